@@ -2,46 +2,75 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import './App.css';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import Profile from './pages/Profile';
 import NotFound from './pages/NotFound';
+import Forbidden from './pages/Forbidden';
 import ProtectedRoute from './components/ProtectedRoute';
 import { AlertProvider } from './contexts/AlertContext';
+import { AuthProvider, useAuth, AUTH_STATUS } from './contexts/AuthContext';
 import AlertContainer from './components/AlertContainer';
-import AuthService from './services/AuthService';
+import RetryNotifier from './components/RetryNotifier';
+import SessionManager from './components/SessionManager';
+import IdleTimeoutManager from './components/IdleTimeoutManager';
+import { PERMISSIONS } from './utils/Permissions';
+
+// Send the root URL to the dashboard or the login page; ProtectedRoute confirms the session
+const HomeRedirect = () => {
+  const { status } = useAuth();
+  return status === AUTH_STATUS.ANONYMOUS ?
+    <Navigate to="/login" replace /> :
+    <Navigate to="/dashboard" replace />;
+};
 
 function App() {
   return (
     <AlertProvider>
-      <Router>
-        <AlertContainer />
-        <Routes>
-          <Route path="/" element={
-            AuthService.isAuthenticated() ? 
-              <Navigate to="/dashboard" replace /> : 
-              <Navigate to="/login" replace />
-          } />
-          <Route path="/login" element={<Login />} />
-          <Route path="/register" element={<Register />} />
-          <Route 
-            path="/dashboard" 
-            element={
-              <ProtectedRoute>
-                <Dashboard />
-              </ProtectedRoute>
-            } 
-          />
-          <Route
-            path="/profile"
-            element={
-              <ProtectedRoute>
-                <Profile />
-              </ProtectedRoute>
-            }
-          />
-          <Route path="*" element={<NotFound />} />
-        </Routes>
-      </Router>
+      <AuthProvider>
+        <Router>
+          <AlertContainer />
+          <RetryNotifier />
+          <SessionManager />
+          <IdleTimeoutManager />
+          <Routes>
+            <Route path="/" element={<HomeRedirect />} />
+            <Route path="/login" element={<Login />} />
+            <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password/:token" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/verify-email/:token" element={<VerifyEmail />} />
+            <Route 
+              path="/dashboard" 
+              element={
+                <ProtectedRoute permissions={[PERMISSIONS.VIEW_RESULTS]}>
+                  <Dashboard />
+                </ProtectedRoute>
+              } 
+            />
+            <Route
+              path="/profile"
+              element={
+                <ProtectedRoute>
+                  <Profile />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/forbidden"
+              element={
+                <ProtectedRoute>
+                  <Forbidden />
+                </ProtectedRoute>
+              }
+            />
+            <Route path="*" element={<NotFound />} />
+          </Routes>
+        </Router>
+      </AuthProvider>
     </AlertProvider>
   );
 }
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import FormSection from './FormSection';
+import Button from './Button';
+import AccountService from '../services/AccountService';
+import { useAlert } from '../contexts/AlertContext';
+import { useAuth } from '../contexts/AuthContext';
+import { describeUserAgent } from '../utils/UserAgentUtils';
+import { formatDateTime } from '../utils/DateUtils';
+import { AbortError } from '../utils/ApiErrors';
+
+/**
+ * ActiveSessions component
+ * Lists the devices signed in to the account, lets the user sign out a single session,
+ * and signs out everywhere by revoking all tokens on the backend and logging out locally.
+ */
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  // ID of the session being revoked
+  const [revokingId, setRevokingId] = useState(null);
+  const [isConfirmingSignOutAll, setIsConfirmingSignOutAll] = useState(false);
+  const [isSigningOutAll, setIsSigningOutAll] = useState(false);
+  const { success, error: showError } = useAlert();
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    AccountService.getSessions({ signal: controller.signal })
+      .then((data) => {
+        setSessions(data);
+      })
+      .catch((err) => {
+        if (err instanceof AbortError) return;
+        console.error('Error fetching sessions:', err);
+        setLoadError('Could not load your active sessions. Please try again later.');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    setRevokingId(sessionId);
+    try {
+      await AccountService.revokeSession(sessionId);
+      setSessions((current) => current.filter((session) => session.id !== sessionId));
+      success('The session has been signed out.');
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      showError(err.message || 'Could not sign out the session. Please try again.');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleSignOutEverywhere = async () => {
+    setIsSigningOutAll(true);
+    try {
+      await AccountService.revokeAllSessions();
+      logout();
+      navigate('/login', {
+        state: { message: 'You have been signed out on all devices.' },
+        replace: true
+      });
+    } catch (err) {
+      console.error('Error revoking all sessions:', err);
+      showError(err.message || 'Could not sign out everywhere. Please try again.');
+      setIsSigningOutAll(false);
+      setIsConfirmingSignOutAll(false);
+    }
+  };
+
+  const renderSessions = () => {
+    if (isLoading) {
+      return (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      );
+    }
+
+    if (loadError) {
+      return <p className="text-sm text-gray-500 py-2">{loadError}</p>;
+    }
+
+    if (sessions.length === 0) {
+      return <p className="text-sm text-gray-500 py-2">No active sessions found.</p>;
+    }
+
+    return (
+      <ul className="divide-y divide-gray-200">
+        {sessions.map((session) => (
+          <li key={session.id} className="py-4 flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-900">
+                {describeUserAgent(session.userAgent)}
+                {session.current && (
+                  <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                    This device
+                  </span>
+                )}
+              </p>
+              <p className="text-sm text-gray-500">
+                {[session.ipAddress, session.location].filter(Boolean).join(' · ') || 'Unknown location'}
+                {' · '}Last active {formatDateTime(session.lastActiveAt || session.createdAt)}
+              </p>
+            </div>
+            {!session.current && (
+              <Button
+                onClick={() => handleRevoke(session.id)}
+                disabled={revokingId === session.id}
+                className="bg-gray-200 text-gray-800 hover:bg-gray-300 text-sm"
+              >
+                {revokingId === session.id ? 'Signing out...' : 'Sign out'}
+              </Button>
+            )}
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <FormSection
+      title="Active Sessions"
+      description="Devices currently signed in to your account"
+      bordered
+    >
+      {renderSessions()}
+
+      <div className="mt-4 pt-4 border-t border-gray-200">
+        {isConfirmingSignOutAll ? (
+          <div className="bg-yellow-50 border-l-4 border-yellow-400 p-3 flex items-center justify-between">
+            <p className="text-sm text-yellow-700">
+              This signs out every device, including this one.
+            </p>
+            <div className="flex space-x-2">
+              <Button
+                onClick={() => setIsConfirmingSignOutAll(false)}
+                disabled={isSigningOutAll}
+                className="bg-gray-200 text-gray-800 hover:bg-gray-300 text-sm"
+              >
+                Cancel
+              </Button>
+              <Button
+                onClick={handleSignOutEverywhere}
+                disabled={isSigningOutAll}
+                className="bg-red-600 hover:bg-red-700 text-sm"
+              >
+                {isSigningOutAll ? 'Signing out...' : 'Sign out everywhere'}
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-600">
+              Don't recognise a device? Sign out everywhere and change your password.
+            </p>
+            <Button
+              onClick={() => setIsConfirmingSignOutAll(true)}
+              className="bg-red-600 hover:bg-red-700"
+            >
+              Sign out everywhere
+            </Button>
+          </div>
+        )}
+      </div>
+    </FormSection>
+  );
+};
+
+export default ActiveSessions;
@@ -3,11 +3,32 @@ import Card from './Card';
 import Button from './Button';
 import EyeAnalysisService from '../services/EyeAnalysisService';
 import { useAlert } from '../contexts/AlertContext';
+import { LATERALITY, LATERALITY_LABELS, LATERALITY_SHORT_LABELS } from '../utils/Laterality';
 
-const AnalysisHistory = ({ history = [], onViewDetail }) => {
+// Choices of the eye filter; '' shows every record, including untagged ones
+const EYE_FILTERS = [
+  { value: '', label: 'All' },
+  { value: LATERALITY.RIGHT, label: LATERALITY_LABELS[LATERALITY.RIGHT] },
+  { value: LATERALITY.LEFT, label: LATERALITY_LABELS[LATERALITY.LEFT] }
+];
+
+const AnalysisHistory = ({ history = [], onViewDetail, loading = false }) => {
   const [isLoading, setIsLoading] = useState(false);
+  const [eyeFilter, setEyeFilter] = useState('');
   const { error } = useAlert();
 
+  // Records already shown stay visible while the history is reloaded
+  if (loading && history.length === 0) {
+    return (
+      <Card title="Analysis History">
+        <div className="flex flex-col items-center justify-center py-8 text-center">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500 mb-4"></div>
+          <p className="text-gray-500">Loading your analysis history...</p>
+        </div>
+      </Card>
+    );
+  }
+
   if (history.length === 0) {
     return (
       <Card title="Analysis History">
@@ -48,7 +69,9 @@ const AnalysisHistory = ({ history = [], onViewDetail }) => {
         conditions: [
           { name: historyItem.diagnosis, probability: historyItem.confidence }
         ],
-        recommendations: getMockRecommendation(historyItem.diagnosis)
+        recommendations: getMockRecommendation(historyItem.diagnosis),
+        laterality: historyItem.laterality,
+        metadata: historyItem.metadata
       };
       
       onViewDetail(detailData);
@@ -92,22 +115,52 @@ const AnalysisHistory = ({ history = [], onViewDetail }) => {
     return new Date(dateString).toLocaleDateString(undefined, options);
   };
 
+  const filteredHistory = eyeFilter
+    ? history.filter((item) => item.laterality === eyeFilter)
+    : history;
+
   return (
     <Card title="Analysis History">
+      <div className="flex items-center mb-4 space-x-2" role="group" aria-label="Filter by eye">
+        <span className="text-sm text-gray-600 mr-1">Eye:</span>
+        {EYE_FILTERS.map((filter) => (
+          <button
+            key={filter.value || 'all'}
+            type="button"
+            onClick={() => setEyeFilter(filter.value)}
+            className={`px-3 py-1 text-xs font-medium rounded-full transition-colors duration-300 ${
+              eyeFilter === filter.value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+            aria-pressed={eyeFilter === filter.value}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+
+      {filteredHistory.length === 0 ? (
+        <p className="py-8 text-center text-sm text-gray-500">
+          No analyses of the {LATERALITY_LABELS[eyeFilter].toLowerCase()} yet.
+        </p>
+      ) : (
       <div className="overflow-hidden rounded-lg border border-gray-200">
         <table className="min-w-full divide-y divide-gray-200">          <thead className="bg-gray-50">
             <tr>
               <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Eye</th>
               <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Diagnosis</th>
               <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Confidence</th>
               <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider" colSpan="2">Actions</th>
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {history.map((item) => (
+            {filteredHistory.map((item) => (
               <tr key={item.id} className="hover:bg-gray-50">
                 <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
                   {formatDate(item.date)}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700" title={LATERALITY_LABELS[item.laterality] || 'Eye not recorded'}>
+                  {LATERALITY_SHORT_LABELS[item.laterality] || '-'}
                 </td>                <td className="px-4 py-3 whitespace-nowrap">
                   <span 
                     className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
@@ -150,6 +203,7 @@ const AnalysisHistory = ({ history = [], onViewDetail }) => {
           </tbody>
         </table>
       </div>
+      )}
     </Card>
   );
 };
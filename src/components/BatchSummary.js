@@ -0,0 +1,102 @@
+import React from 'react';
+import Card from './Card';
+import Button from './Button';
+import UploadStatusBadge from './UploadStatusBadge';
+import { UPLOAD_STATUS } from '../hooks/useUploadQueue';
+import { LATERALITY_SHORT_LABELS } from '../utils/Laterality';
+
+/**
+ * BatchSummary component
+ * Table of the results of a finished batch of uploads
+ * @param {Object} queue - The object returned by useUploadQueue
+ * @param {Function} onViewResult - (item) => void, shows the result of a stored image
+ */
+const BatchSummary = ({ queue, onViewResult }) => {
+  const { items, counts } = queue;
+  const failedCount = counts[UPLOAD_STATUS.FAILED];
+
+  return (
+    <Card title="Batch Results">
+      <p className="text-sm text-gray-600 mb-4">
+        {counts[UPLOAD_STATUS.STORED]} of {counts.total} image(s) analyzed and stored
+        {failedCount > 0 ? `, ${failedCount} failed` : ''}.
+      </p>
+
+      <div className="overflow-x-auto rounded-lg border border-gray-200">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Image</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Eye</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Diagnosis</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Confidence</th>
+              <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {items.map((item) => (
+              <tr key={item.id} className="hover:bg-gray-50">
+                <td className="px-4 py-3 text-sm text-gray-700 max-w-xs truncate" title={item.file.name}>
+                  {item.file.name}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                  {LATERALITY_SHORT_LABELS[item.options.laterality] || '-'}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap">
+                  <UploadStatusBadge status={item.status} />
+                </td>
+                {item.status === UPLOAD_STATUS.STORED && item.result ? (
+                  <>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <span
+                        className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                          item.result.diagnosis.toLowerCase() === 'normal'
+                            ? 'bg-green-100 text-green-800'
+                            : 'bg-red-100 text-red-800'
+                        }`}
+                      >
+                        {item.result.diagnosis}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                      {item.result.confidence}%
+                    </td>
+                  </>
+                ) : (
+                  <td className="px-4 py-3 text-sm text-red-600" colSpan="2">
+                    {item.error}
+                  </td>
+                )}
+                <td className="px-4 py-3 whitespace-nowrap text-center">
+                  {item.status === UPLOAD_STATUS.STORED ? (
+                    <Button onClick={() => onViewResult(item)} className="py-1 px-3 text-xs">
+                      View Details
+                    </Button>
+                  ) : (
+                    <Button onClick={() => queue.retry(item.id)} className="py-1 px-3 text-xs bg-yellow-600 hover:bg-yellow-700">
+                      Retry
+                    </Button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-4 flex justify-end space-x-3">
+        {failedCount > 0 && (
+          <Button onClick={queue.retryFailed} className="bg-yellow-600 hover:bg-yellow-700">
+            Retry Failed ({failedCount})
+          </Button>
+        )}
+        <Button onClick={queue.clear} className="bg-gray-200 text-gray-800 hover:bg-gray-300">
+          Clear Batch
+        </Button>
+      </div>
+    </Card>
+  );
+};
+
+export default BatchSummary;
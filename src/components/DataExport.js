@@ -0,0 +1,107 @@
+import React, { useState, useEffect, useRef } from 'react';
+import FormSection from './FormSection';
+import Button from './Button';
+import AccountService from '../services/AccountService';
+import { useAlert } from '../contexts/AlertContext';
+import { saveBlob } from '../utils/DownloadUtils';
+import { AbortError } from '../utils/ApiErrors';
+
+/**
+ * DataExport component
+ * Downloads the profile, the analysis history and the original images as one ZIP file
+ */
+const DataExport = () => {
+  const [isExporting, setIsExporting] = useState(false);
+  // Image download progress: { completed, total }
+  const [progress, setProgress] = useState(null);
+  const { success, warning, error: showError } = useAlert();
+
+  // Controller for the running export so it can be cancelled
+  const controllerRef = useRef(null);
+
+  // Stop the export when leaving the page
+  useEffect(() => {
+    return () => {
+      if (controllerRef.current) {
+        controllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const handleExport = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsExporting(true);
+    setProgress(null);
+
+    try {
+      const { blob, fileName, missingImages } = await AccountService.exportPersonalData({
+        signal: controller.signal,
+        onProgress: setProgress
+      });
+      saveBlob(blob, fileName);
+
+      if (missingImages.length > 0) {
+        warning(`Your data was exported, but ${missingImages.length} image(s) could not be included. They are listed in manifest.json.`);
+      } else {
+        success('Your data has been exported.');
+      }
+    } catch (err) {
+      if (err instanceof AbortError) return;
+      console.error('Error exporting data:', err);
+      showError(err.message || 'Could not export your data. Please try again later.');
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsExporting(false);
+        setProgress(null);
+      }
+    }
+  };
+
+  const handleCancel = () => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+      controllerRef.current = null;
+    }
+    setIsExporting(false);
+    setProgress(null);
+  };
+
+  const getProgressText = () => {
+    if (!progress || progress.total === 0) {
+      return 'Collecting your data...';
+    }
+    return `Downloading images (${progress.completed} of ${progress.total})...`;
+  };
+
+  return (
+    <FormSection
+      title="Export My Data"
+      description="Download your profile, analysis history and original eye images as a ZIP file"
+      bordered
+    >
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-600">
+          {isExporting
+            ? getProgressText()
+            : 'The archive includes a manifest.json describing every file.'}
+        </p>
+        {isExporting ? (
+          <Button
+            onClick={handleCancel}
+            className="bg-gray-200 text-gray-800 hover:bg-gray-300"
+          >
+            Cancel
+          </Button>
+        ) : (
+          <Button onClick={handleExport}>
+            Export my data
+          </Button>
+        )}
+      </div>
+    </FormSection>
+  );
+};
+
+export default DataExport;
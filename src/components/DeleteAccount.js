@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import FormSection from './FormSection';
+import FormGroup from './FormGroup';
+import PasswordInput from './PasswordInput';
+import Button from './Button';
+import AccountService from '../services/AccountService';
+import { useAlert } from '../contexts/AlertContext';
+import { useAuth } from '../contexts/AuthContext';
+import { ValidationError } from '../utils/ApiErrors';
+
+/**
+ * DeleteAccount component
+ * Deletes the account and all its data after the user confirms with the current password
+ */
+const DeleteAccount = () => {
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [password, setPassword] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+  const { error: showError } = useAlert();
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+
+  const handlePasswordChange = (e) => {
+    setPassword(e.target.value);
+    if (passwordError) {
+      setPasswordError('');
+    }
+  };
+
+  const handleCancel = () => {
+    setIsConfirming(false);
+    setPassword('');
+    setPasswordError('');
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    if (!password) {
+      setPasswordError('Please enter your current password');
+      return;
+    }
+
+    setIsDeleting(true);
+    try {
+      await AccountService.deleteAccount(password);
+      logout();
+      navigate('/login', {
+        state: { message: 'Your account and all your data have been deleted.' },
+        replace: true
+      });
+    } catch (err) {
+      console.error('Error deleting account:', err);
+      setIsDeleting(false);
+
+      // A rejected password is shown next to the field
+      if (err instanceof ValidationError) {
+        setPasswordError(err.fieldErrors.password || err.message);
+        return;
+      }
+      showError(err.message || 'Could not delete your account. Please try again later.');
+    }
+  };
+
+  return (
+    <FormSection
+      title="Delete Account"
+      description="Permanently delete your account, your analysis history and all uploaded images"
+      bordered
+    >
+      {isConfirming ? (
+        <form onSubmit={handleDelete} className="space-y-4">
+          <div className="bg-red-50 border-l-4 border-red-400 p-3">
+            <p className="text-sm text-red-700">
+              This cannot be undone. Export your data first if you want to keep a copy.
+            </p>
+          </div>
+          <FormGroup>
+            <PasswordInput
+              label="Current Password"
+              name="deletePassword"
+              value={password}
+              onChange={handlePasswordChange}
+              placeholder="Enter your current password"
+              error={passwordError}
+              autoComplete="current-password"
+            />
+          </FormGroup>
+          <div className="flex justify-end space-x-4">
+            <Button
+              type="button"
+              onClick={handleCancel}
+              disabled={isDeleting}
+              className="bg-gray-200 text-gray-800 hover:bg-gray-300"
+            >
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isDeleting} className="bg-red-600 hover:bg-red-700">
+              {isDeleting ? 'Deleting...' : 'Delete my account'}
+            </Button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-600">
+            Once your account is deleted, your data cannot be recovered.
+          </p>
+          <Button
+            onClick={() => setIsConfirming(true)}
+            className="bg-red-600 hover:bg-red-700"
+          >
+            Delete account
+          </Button>
+        </div>
+      )}
+    </FormSection>
+  );
+};
+
+export default DeleteAccount;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import Card from './Card';
+import Button from './Button';
+import { LATERALITY, LATERALITY_LABELS } from '../utils/Laterality';
+
+const isNormal = (diagnosis) => diagnosis.toLowerCase() === 'normal';
+
+// Result of one eye, with a switch between its captures when there are several
+const EyeColumn = ({ laterality, items, onViewResult }) => {
+  const [index, setIndex] = useState(0);
+
+  if (items.length === 0) {
+    return (
+      <div className="flex-1 border border-dashed border-gray-300 rounded-lg p-4 flex flex-col items-center justify-center text-center">
+        <h4 className="font-medium text-gray-700 mb-1">{LATERALITY_LABELS[laterality]}</h4>
+        <p className="text-sm text-gray-500">No image of this eye in the batch</p>
+      </div>
+    );
+  }
+
+  const item = items[Math.min(index, items.length - 1)];
+  const { result } = item;
+
+  return (
+    <div className="flex-1 border border-gray-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-medium text-gray-900">{LATERALITY_LABELS[laterality]}</h4>
+        {items.length > 1 && (
+          <div className="flex space-x-1" role="group" aria-label={`Captures of the ${LATERALITY_LABELS[laterality]}`}>
+            {items.map((capture, i) => (
+              <button
+                key={capture.id}
+                type="button"
+                onClick={() => setIndex(i)}
+                className={`px-2 py-0.5 text-xs rounded ${
+                  capture === item ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+                aria-pressed={capture === item}
+              >
+                {i + 1}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {item.preview && (
+        <img src={item.preview} alt={LATERALITY_LABELS[laterality]} className="w-full h-40 object-cover rounded mb-3" />
+      )}
+      <p className="text-xs text-gray-500 truncate mb-2" title={item.file.name}>{item.file.name}</p>
+
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm text-gray-700">Diagnosis</span>
+        <span
+          className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+            isNormal(result.diagnosis) ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+          }`}
+        >
+          {result.diagnosis.charAt(0).toUpperCase() + result.diagnosis.slice(1)}
+        </span>
+      </div>
+
+      <div className="mb-3">
+        <div className="w-full bg-gray-200 rounded-full h-1.5">
+          <div className="bg-blue-600 h-1.5 rounded-full" style={{ width: `${result.confidence}%` }}></div>
+        </div>
+        <p className="text-right text-xs text-gray-600 mt-1">{result.confidence}% confidence</p>
+      </div>
+
+      <p className="text-sm text-gray-700 mb-3">{result.recommendations}</p>
+
+      <Button onClick={() => onViewResult(item)} className="w-full py-1 text-sm">
+        View Details
+      </Button>
+    </div>
+  );
+};
+
+/**
+ * EyePairResults component
+ * Shows the results of the right (OD) and left (OS) eye next to each other
+ * @param {Object[]} items - Stored upload queue items with `options.laterality`
+ * @param {Function} onViewResult - (item) => void, shows the full result of one image
+ */
+const EyePairResults = ({ items, onViewResult }) => {
+  const byEye = (laterality) => items.filter((item) => item.options.laterality === laterality);
+  const right = byEye(LATERALITY.RIGHT);
+  const left = byEye(LATERALITY.LEFT);
+
+  // Only worth pointing out when the eyes disagree
+  const findingsDiffer = right.length > 0 && left.length > 0
+    && isNormal(right[0].result.diagnosis) !== isNormal(left[0].result.diagnosis);
+
+  return (
+    <Card title="Both Eyes">
+      {findingsDiffer && (
+        <div className="bg-yellow-50 border-l-4 border-yellow-400 p-3 mb-4">
+          <p className="text-sm text-yellow-700">
+            The two eyes have different findings. Please review both results with an eye care professional.
+          </p>
+        </div>
+      )}
+      {/* Right eye on the left, as the clinician facing the patient sees it */}
+      <div className="flex flex-col md:flex-row gap-4">
+        <EyeColumn laterality={LATERALITY.RIGHT} items={right} onViewResult={onViewResult} />
+        <EyeColumn laterality={LATERALITY.LEFT} items={left} onViewResult={onViewResult} />
+      </div>
+    </Card>
+  );
+};
+
+export default EyePairResults;
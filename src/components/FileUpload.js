@@ -1,59 +1,271 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import Button from './Button';
+import ImageQualityNotice from './ImageQualityNotice';
+import ImageEditor from './ImageEditor';
 import { useAlert } from '../contexts/AlertContext';
+import { LATERALITY, LATERALITY_LABELS, guessLaterality } from '../utils/Laterality';
+import { validateImageFile } from '../utils/ValidationUtils';
+import { assessImageQuality, QUALITY_STATUS } from '../utils/ImageQuality';
+import { processImage, DEFAULT_EDITS, MAX_SOURCE_SIZE_MB, MAX_UPLOAD_SIZE_MB } from '../utils/ImageProcessing';
+import { convertImageFile, getAcceptedFileTypes, getSupportedFormatNames } from '../utils/ImageFormats';
+import { formatDateTime } from '../utils/DateUtils';
 
-const FileUpload = ({ onFileUpload }) => {
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [preview, setPreview] = useState('');
+// Most images one batch may add to the upload queue
+const MAX_FILES = 20;
+
+// Key telling selected files apart, so the same file picked twice is only analysed once
+const getFileKey = (file) => `${file.name}-${file.size}-${file.lastModified}`;
+
+const formatSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+const isTooLargeToUpload = (file) => file.size > MAX_UPLOAD_SIZE_MB * 1024 * 1024;
+
+// The file sent for analysis: the processed copy when there are edits, unless the user keeps the original
+// (converted to JPEG or PNG if it was in another format)
+const getUploadFile = ({ source, edits, processed, useOriginal }) => {
+  if (!source) return null;
+  if (!edits || useOriginal) return source;
+  return processed ? processed.file : null;
+};
+
+// What a DICOM file says about the image, e.g. "Jane Doe (ID 12345) - acquired Mar 4, 2025, 09:30 AM"
+const describeMetadata = ({ patientName, patientId, acquisitionDate } = {}) => {
+  const patient = [patientName, patientId && `(ID ${patientId})`].filter(Boolean).join(' ');
+  return [patient, acquisitionDate && `acquired ${formatDateTime(acquisitionDate)}`].filter(Boolean).join(' - ');
+};
+
+/**
+ * FileUpload component
+ * Select or drop one or more eye images and tag each as the right (OD) or left (OS) eye.
+ * HEIC, WebP, TIFF and DICOM files are converted first (see utils/ImageFormats.js); a DICOM file's
+ * laterality tag selects the eye, and its patient and acquisition tags are passed on as metadata.
+ * Images can be rotated, flipped, cropped to the retina and resized before upload (see
+ * utils/ImageProcessing.js); photos over the upload limit are processed automatically, and the
+ * user can still send the original when it is small enough. Each image gets a quality check
+ * (see utils/ImageQuality.js); blocked images are only analysed when the user chooses "Analyze anyway".
+ * The images are handed to `onFilesUpload([{ file, laterality, quality, metadata }])` when the user starts the analysis.
+ */
+const FileUpload = ({ onFilesUpload, maxFiles = MAX_FILES }) => {
+  const [selectedFiles, setSelectedFiles] = useState([]);
+  const [editingKey, setEditingKey] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
   const [error, setError] = useState('');
   const fileInputRef = useRef(null);
+  const isMountedRef = useRef(true);
   const { error: showError } = useAlert();
-  const validateFile = (file) => {
-    // Check file type
-    const validTypes = ['image/jpeg', 'image/png', 'image/jpg'];
-    if (!validTypes.includes(file.type)) {
-      setError('Please select a valid image file (JPEG or PNG)');
-      showError('Please select a valid image file (JPEG or PNG)');
-      return false;
+
+  // The selection is read by work that finishes later, so it is kept in a ref as well as in state
+  const selectedFilesRef = useRef(selectedFiles);
+  // Processing and quality checks run one after another, so large photos are not all decoded at once
+  const workRef = useRef(Promise.resolve());
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+
+  // Reason the file cannot be analysed, or '' when it is fine; large photos are accepted and shrunk later
+  const getFileError = (file) => {
+    const fileValidation = validateImageFile(file, MAX_SOURCE_SIZE_MB, { allowConversion: true });
+    return fileValidation.isValid ? '' : `${file.name}: ${fileValidation.message}`;
+  };
+
+  const setSelection = (update) => {
+    selectedFilesRef.current = update(selectedFilesRef.current);
+    setSelectedFiles(selectedFilesRef.current);
+  };
+
+  const updateSelection = (key, changes) => {
+    setSelection((current) => current.map((selected) => (
+      selected.key === key ? { ...selected, ...changes } : selected
+    )));
+  };
+
+  /**
+   * Convert the image if needed, process it if it has edits, then validate and check the quality of the file that will be uploaded
+   * Work for an older version of the selection (edited, toggled or removed since) is dropped.
+   */
+  const prepareSelection = (key, version) => {
+    const isCurrent = () => isMountedRef.current && selectedFilesRef.current.some((selected) => (
+      selected.key === key && selected.version === version
+    ));
+
+    workRef.current = workRef.current.then(async () => {
+      if (!isCurrent()) return;
+      let selection = selectedFilesRef.current.find((selected) => selected.key === key);
+
+      if (!selection.source) {
+        let converted;
+        try {
+          converted = await convertImageFile(selection.original);
+        } catch (err) {
+          console.error('Error reading image:', err);
+          if (!isCurrent()) return;
+          updateSelection(key, {
+            processError: err.message,
+            quality: { status: QUALITY_STATUS.SKIPPED, issues: [], metrics: null }
+          });
+          return;
+        }
+        if (!isCurrent()) return;
+
+        const current = selectedFilesRef.current.find((selected) => selected.key === key);
+        const changes = {
+          source: converted.file,
+          metadata: converted.metadata,
+          // Photos over the upload limit are cropped and shrunk straight away
+          edits: isTooLargeToUpload(converted.file) ? DEFAULT_EDITS : null,
+          // The DICOM laterality tag is more reliable than the file name
+          laterality: converted.metadata.laterality || current.laterality
+        };
+        updateSelection(key, changes);
+        selection = { ...current, ...changes };
+      }
+
+      let { processed } = selection;
+      if (selection.edits && !selection.useOriginal && !processed) {
+        try {
+          processed = await processImage(selection.source, selection.edits);
+        } catch (err) {
+          console.error('Error processing image:', err);
+          if (!isCurrent()) return;
+          updateSelection(key, {
+            processError: 'The image could not be processed in this browser.',
+            quality: { status: QUALITY_STATUS.SKIPPED, issues: [], metrics: null }
+          });
+          return;
+        }
+        if (!isCurrent()) return;
+        updateSelection(key, { processed });
+      }
+
+      // The backend would reject the file anyway, so it is not worth a quality check
+      const uploadFile = getUploadFile({ ...selection, processed });
+      const fileValidation = validateImageFile(uploadFile, MAX_UPLOAD_SIZE_MB);
+      if (!fileValidation.isValid) {
+        updateSelection(key, {
+          processError: fileValidation.message,
+          quality: { status: QUALITY_STATUS.SKIPPED, issues: [], metrics: null }
+        });
+        return;
+      }
+
+      let quality;
+      try {
+        quality = await assessImageQuality(uploadFile);
+      } catch (err) {
+        console.error('Error checking image quality:', err);
+        quality = { status: QUALITY_STATUS.SKIPPED, issues: [], metrics: null };
+      }
+      if (!isCurrent()) return;
+      updateSelection(key, { quality });
+    });
+  };
+
+  // Change the edits or the choice of file; the image is processed and checked again
+  const changeSelection = (key, changes) => {
+    const selection = selectedFilesRef.current.find((selected) => selected.key === key);
+    if (!selection) return;
+    const version = selection.version + 1;
+    updateSelection(key, { ...changes, version, quality: null, override: false, processError: '' });
+    prepareSelection(key, version);
+  };
+
+  // Add the valid files to the selection and report the others
+  const addFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    const errors = [];
+    const validFiles = files.filter((file) => {
+      const fileError = getFileError(file);
+      if (fileError) errors.push(fileError);
+      return !fileError;
+    });
+
+    // The eye is taken from the file name when it says so, otherwise the user picks it
+    const current = selectedFilesRef.current;
+    const newFiles = validFiles
+      .filter((file) => !current.some((selected) => selected.key === getFileKey(file)))
+      .map((file) => ({
+        key: getFileKey(file),
+        original: file,
+        source: null, // The file as JPEG or PNG, once it has been read
+        metadata: {},
+        edits: null,
+        processed: null, // { file, width, height } once the edits have been applied
+        processError: '',
+        useOriginal: false,
+        version: 0,
+        laterality: guessLaterality(file.name),
+        quality: null, // Set once the quality check has run
+        override: false
+      }));
+
+    const room = maxFiles - current.length;
+    if (newFiles.length > room) {
+      errors.push(`You can analyze up to ${maxFiles} images at once. ${newFiles.length - Math.max(0, room)} image(s) were not added.`);
     }
-    
-    // Check file size (max 5MB)
-    if (file.size > 5 * 1024 * 1024) {
-      setError('File size exceeds 5MB limit. Please select a smaller image.');
-      showError('File size exceeds 5MB limit. Please select a smaller image.');
-      return false;
+
+    const addedFiles = newFiles.slice(0, Math.max(0, room));
+    setSelection((selections) => [...selections, ...addedFiles]);
+    addedFiles.forEach(({ key, version }) => prepareSelection(key, version));
+    setError(errors.join(' '));
+    if (errors.length > 0) {
+      showError(errors.length === 1 ? errors[0] : `${errors.length} files could not be added. See the details below the upload area.`);
     }
-    
-    setError('');
-    return true;
   };
 
   const handleFileChange = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-    
-    if (validateFile(file)) {
-      setSelectedFile(file);
-      // Create preview
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        setPreview(reader.result);
-      };
-      reader.readAsDataURL(file);
-    } else {
-      // Reset if invalid
-      setSelectedFile(null);
-      setPreview('');
-    }
+    addFiles(event.target.files);
+    // Allow picking the same file again after removing it
+    event.target.value = '';
+  };
+
+  const handleRemoveFile = (key) => {
+    setSelection((current) => current.filter((selected) => selected.key !== key));
+    if (editingKey === key) setEditingKey(null);
+  };
+
+  const handleApplyEdits = (key, edits) => {
+    setEditingKey(null);
+    changeSelection(key, { edits, processed: null, useOriginal: false });
+  };
+
+  const handleUseOriginalChange = (key, useOriginal) => {
+    changeSelection(key, { useOriginal });
   };
 
+  const handleLateralityChange = (key, laterality) => {
+    updateSelection(key, { laterality: laterality || null });
+  };
+
+  const untaggedCount = selectedFiles.filter((selected) => !selected.laterality).length;
+  const checkingCount = selectedFiles.filter((selected) => !selected.quality).length;
+  const blockedCount = selectedFiles.filter((selected) => (
+    selected.quality && selected.quality.status === QUALITY_STATUS.BLOCKED && !selected.override
+  )).length;
+  // Images whose processing failed and whose original is over the upload limit, or whose upload file is invalid
+  const unusableCount = selectedFiles.filter((selected) => (
+    selected.quality && (!getUploadFile(selected) || selected.processError)
+  )).length;
+  const canSubmit = selectedFiles.length > 0 && untaggedCount === 0 && checkingCount === 0 &&
+    blockedCount === 0 && unusableCount === 0;
+
   const handleSubmit = () => {
-    if (selectedFile) {
-      onFileUpload(selectedFile, preview);
+    if (canSubmit) {
+      onFilesUpload(selectedFiles.map((selected) => ({
+        file: getUploadFile(selected),
+        laterality: selected.laterality,
+        quality: selected.quality,
+        metadata: selected.metadata
+      })));
       // Reset after upload
-      setSelectedFile(null);
-      setPreview('');
+      setSelection(() => []);
+      setEditingKey(null);
+      setError('');
     }
   };
 
@@ -69,19 +281,8 @@ const FileUpload = ({ onFileUpload }) => {
     e.preventDefault();
     setIsDragging(false);
     
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      const file = e.dataTransfer.files[0];
-      
-      if (validateFile(file)) {
-        setSelectedFile(file);
-        
-        // Create preview
-        const reader = new FileReader();
-        reader.onloadend = () => {
-          setPreview(reader.result);
-        };
-        reader.readAsDataURL(file);
-      }
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+      addFiles(e.dataTransfer.files);
     }
   };
 
@@ -103,7 +304,8 @@ const FileUpload = ({ onFileUpload }) => {
           type="file" 
           ref={fileInputRef}
           onChange={handleFileChange} 
-          accept="image/jpeg, image/png, image/jpg" 
+          accept={getAcceptedFileTypes()}
+          multiple
           className="hidden" 
         />
         
@@ -113,49 +315,151 @@ const FileUpload = ({ onFileUpload }) => {
           </div>
         )}
         
-        {preview ? (
-          <div className="w-full flex flex-col items-center">
-            <img 
-              src={preview} 
-              alt="Preview" 
-              className="max-h-48 mb-4 rounded" 
-            />
-            <p className="text-sm text-gray-600 mb-2">{selectedFile.name}</p>
-            <p className="text-xs text-gray-500">
-              {(selectedFile.size / 1024 / 1024).toFixed(2)} MB
-            </p>
-          </div>
-        ) : (
-          <>
-            <svg 
-              className="w-12 h-12 text-gray-400 mb-3" 
-              fill="none" 
-              stroke="currentColor" 
-              viewBox="0 0 24 24" 
-              xmlns="http://www.w3.org/2000/svg"
-            >
-              <path 
-                strokeLinecap="round" 
-                strokeLinejoin="round" 
-                strokeWidth="2" 
-                d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"
-              />
-            </svg>
-            <p className="text-base text-gray-700 font-medium">Drag and drop your eye image here</p>
-            <p className="text-sm text-gray-500 mt-1">or click to browse</p>
-            <p className="text-xs text-gray-500 mt-2">Supported formats: JPEG, PNG (max 5MB)</p>
-          </>
-        )}
+        <svg 
+          className="w-12 h-12 text-gray-400 mb-3" 
+          fill="none" 
+          stroke="currentColor" 
+          viewBox="0 0 24 24" 
+          xmlns="http://www.w3.org/2000/svg"
+        >
+          <path 
+            strokeLinecap="round" 
+            strokeLinejoin="round" 
+            strokeWidth="2" 
+            d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"
+          />
+        </svg>
+        <p className="text-base text-gray-700 font-medium">Drag and drop your eye images here</p>
+        <p className="text-sm text-gray-500 mt-1">or click to browse - you can select several at once</p>
+        <p className="text-xs text-gray-500 mt-2">Supported formats: {getSupportedFormatNames()} (up to {maxFiles} images). Photos over {MAX_UPLOAD_SIZE_MB}MB are cropped and resized before upload, up to {MAX_SOURCE_SIZE_MB}MB each.</p>
       </div>
       
-      {selectedFile && (
-        <div className="mt-4 flex justify-center">
-          <Button 
-            onClick={handleSubmit}
-            className="bg-green-600 hover:bg-green-700"
-          >
-            Analyze Image
-          </Button>
+      {selectedFiles.length > 0 && (
+        <div className="mt-4">
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+            {selectedFiles.map((selection) => {
+              const { key, original: file, source, metadata, edits, processed, processError, useOriginal, laterality, quality, override } = selection;
+              const uploadFile = getUploadFile(selection);
+              const isProcessing = !processError && (!source || (Boolean(edits) && !useOriginal && !processed));
+              const details = describeMetadata(metadata);
+
+              return (
+                <li key={key} className="px-3 py-2 text-sm">
+                  <div className="flex items-center justify-between">
+                    <span className="truncate text-gray-700">{file.name}</span>
+                    <span className="flex items-center flex-shrink-0 ml-3">
+                      <span className="text-xs text-gray-500 mr-3">
+                        {formatSize(file.size)}
+                        {uploadFile && uploadFile !== file && (
+                          <span className="text-green-700" title="Size of the processed image that will be uploaded">
+                            {' → '}{formatSize(uploadFile.size)}
+                          </span>
+                        )}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => setEditingKey(editingKey === key ? null : key)}
+                        disabled={!source}
+                        className="mr-3 text-xs text-blue-600 hover:text-blue-800 focus:outline-none disabled:text-gray-400"
+                        aria-label={`Edit ${file.name}`}
+                        aria-expanded={editingKey === key}
+                      >
+                        Edit
+                      </button>
+                      <select
+                        value={laterality || ''}
+                        onChange={(e) => handleLateralityChange(key, e.target.value)}
+                        className={`mr-3 text-xs border rounded-md py-1 pl-2 pr-6 focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                          laterality ? 'border-gray-300' : 'border-yellow-400 bg-yellow-50'
+                        }`}
+                        aria-label={`Eye shown in ${file.name}`}
+                      >
+                        <option value="">Select eye</option>
+                        <option value={LATERALITY.RIGHT}>{LATERALITY_LABELS[LATERALITY.RIGHT]}</option>
+                        <option value={LATERALITY.LEFT}>{LATERALITY_LABELS[LATERALITY.LEFT]}</option>
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveFile(key)}
+                        className="text-gray-400 hover:text-red-600 focus:outline-none"
+                        aria-label={`Remove ${file.name}`}
+                      >
+                        <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    </span>
+                  </div>
+                  {details && (
+                    <p className="mt-1 text-xs text-gray-500">{details}</p>
+                  )}
+                  {editingKey === key && source && (
+                    <ImageEditor
+                      file={source}
+                      edits={edits}
+                      onApply={(newEdits) => handleApplyEdits(key, newEdits)}
+                      onCancel={() => setEditingKey(null)}
+                    />
+                  )}
+                  {edits && (
+                    <label className="mt-1 flex items-center text-xs text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={useOriginal}
+                        onChange={(e) => handleUseOriginalChange(key, e.target.checked)}
+                        disabled={isTooLargeToUpload(source)}
+                        className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+                        aria-label={`Upload the original ${file.name}`}
+                      />
+                      {isTooLargeToUpload(source)
+                        ? `Upload the original file (not available - it is over ${MAX_UPLOAD_SIZE_MB}MB)`
+                        : 'Upload the original file instead of the edited one'}
+                    </label>
+                  )}
+                  {processError && (
+                    <p className="mt-1 text-xs text-red-700">
+                      {processError}
+                      {source && !uploadFile && isTooLargeToUpload(source) && ` The original is over ${MAX_UPLOAD_SIZE_MB}MB, so this image cannot be analyzed.`}
+                    </p>
+                  )}
+                  {isProcessing ? (
+                    <p className="mt-1 text-xs text-gray-500 flex items-center">
+                      <span className="animate-spin rounded-full h-3 w-3 border-t-2 border-b-2 border-gray-400 mr-1"></span>
+                      Preparing image...
+                    </p>
+                  ) : uploadFile && !processError && (
+                    <ImageQualityNotice
+                      quality={quality}
+                      override={override}
+                      onOverrideChange={(checked) => updateSelection(key, { override: checked })}
+                      fileName={file.name}
+                    />
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          {untaggedCount > 0 && (
+            <p className="mt-2 text-xs text-yellow-700">
+              Select which eye each image shows before starting the analysis ({untaggedCount} not tagged yet).
+            </p>
+          )}
+          {blockedCount > 0 && (
+            <p className="mt-2 text-xs text-red-700">
+              {blockedCount} image(s) did not pass the quality check. Remove or retake them, or choose "Analyze anyway".
+            </p>
+          )}
+          <div className="mt-4 flex justify-center">
+            <Button 
+              onClick={handleSubmit}
+              className="bg-green-600 hover:bg-green-700"
+              disabled={!canSubmit}
+            >
+              {checkingCount > 0
+                ? 'Preparing images...'
+                : selectedFiles.length === 1 ? 'Analyze Image' : `Analyze ${selectedFiles.length} Images`}
+            </Button>
+          </div>
         </div>
       )}
     </div>
@@ -0,0 +1,110 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import FileUpload from './FileUpload';
+import { AlertProvider } from '../contexts/AlertContext';
+import { convertImageFile } from '../utils/ImageFormats';
+import { processImage, decodeImage, renderImage, DEFAULT_EDITS } from '../utils/ImageProcessing';
+import { assessImageQuality } from '../utils/ImageQuality';
+
+// Decoding and drawing need a real browser; the upload flow around them is what is tested here
+jest.mock('../utils/ImageFormats', () => ({
+  ...jest.requireActual('../utils/ImageFormats'),
+  convertImageFile: jest.fn()
+}));
+jest.mock('../utils/ImageProcessing', () => ({
+  ...jest.requireActual('../utils/ImageProcessing'),
+  processImage: jest.fn(),
+  decodeImage: jest.fn(),
+  renderImage: jest.fn()
+}));
+jest.mock('../utils/ImageQuality', () => ({
+  ...jest.requireActual('../utils/ImageQuality'),
+  assessImageQuality: jest.fn()
+}));
+
+const withSize = (file, size) => {
+  Object.defineProperty(file, 'size', { value: size });
+  return file;
+};
+
+const processedFile = new File(['edited'], 'scan-edited.jpg', { type: 'image/jpeg' });
+
+const renderUpload = () => {
+  const onFilesUpload = jest.fn();
+  render(
+    <AlertProvider>
+      <FileUpload onFilesUpload={onFilesUpload} />
+    </AlertProvider>
+  );
+  return { onFilesUpload };
+};
+
+const dropFile = (file) => {
+  fireEvent.drop(screen.getByText('Drag and drop your eye images here'), { dataTransfer: { files: [file] } });
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  assessImageQuality.mockResolvedValue({ status: 'ok', issues: [], metrics: null });
+  processImage.mockResolvedValue({ file: processedFile, width: 2048, height: 1536 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+test('shrinks a converted TIFF over the upload limit from the converted file', async () => {
+  const tiff = new File(['tiff'], 'scan_OD.tif', { type: 'image/tiff' });
+  const converted = withSize(new File(['png'], 'scan_OD.png', { type: 'image/png' }), 8 * 1024 * 1024);
+  convertImageFile.mockResolvedValue({ file: converted, format: 'tiff', metadata: {} });
+  const { onFilesUpload } = renderUpload();
+
+  dropFile(tiff);
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Analyze Image' })).not.toBeDisabled());
+
+  // Files compare equal by value, so the identity is checked
+  const [[file, edits]] = processImage.mock.calls;
+  expect(file).toBe(converted);
+  expect(edits).toEqual(DEFAULT_EDITS);
+  fireEvent.click(screen.getByRole('button', { name: 'Analyze Image' }));
+  expect(onFilesUpload.mock.calls[0][0][0].file).toBe(processedFile);
+});
+
+test('applies edits to the image converted from a DICOM file', async () => {
+  const dicom = new File(['dicom'], 'scan.dcm', { type: '' });
+  const converted = new File(['jpeg'], 'scan.jpg', { type: 'image/jpeg' });
+  convertImageFile.mockResolvedValue({ file: converted, format: 'dicom', metadata: { laterality: 'OS' } });
+  decodeImage.mockResolvedValue({ image: {}, orientation: 1 });
+  renderImage.mockImplementation((image, edits, { canvas }) => canvas);
+  const { onFilesUpload } = renderUpload();
+
+  dropFile(dicom);
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Analyze Image' })).not.toBeDisabled());
+  expect(processImage).not.toHaveBeenCalled();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Edit scan.dcm' }));
+  expect(decodeImage.mock.calls[0][0]).toBe(converted);
+  fireEvent.click(await screen.findByRole('button', { name: /Rotate right/ }));
+  fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Analyze Image' })).not.toBeDisabled());
+  const [[file, edits]] = processImage.mock.calls;
+  expect(file).toBe(converted);
+  expect(edits).toEqual({ ...DEFAULT_EDITS, rotation: 90 });
+  fireEvent.click(screen.getByRole('button', { name: 'Analyze Image' }));
+  expect(onFilesUpload.mock.calls[0][0][0]).toMatchObject({ file: processedFile, laterality: 'OS' });
+});
+
+test('reports an upload file the backend would reject instead of checking its quality', async () => {
+  const webp = new File(['webp'], 'scan_OS.webp', { type: 'image/webp' });
+  const converted = new File(['gif'], 'scan_OS.gif', { type: 'image/gif' });
+  convertImageFile.mockResolvedValue({ file: converted, format: 'webp', metadata: {} });
+  renderUpload();
+
+  dropFile(webp);
+
+  expect(await screen.findByText(/Unsupported file format: image\/gif/)).toBeInTheDocument();
+  expect(assessImageQuality).not.toHaveBeenCalled();
+  expect(screen.getByRole('button', { name: 'Analyze Image' })).toBeDisabled();
+});
@@ -0,0 +1,20 @@
+import React from 'react';
+import FormContext from '../contexts/FormContext';
+
+/**
+ * Form component
+ * Renders a <form> for a useForm instance. FormField and PasswordInput inside it
+ * take their value, change and blur handlers and error from the form by `name`.
+ * Browser validation is turned off so the schema's messages are shown instead.
+ */
+const Form = ({ form, children, className = '', ...otherProps }) => {
+  return (
+    <FormContext.Provider value={form}>
+      <form onSubmit={form.handleSubmit} className={className} noValidate {...otherProps}>
+        {children}
+      </form>
+    </FormContext.Provider>
+  );
+};
+
+export default Form;
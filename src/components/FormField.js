@@ -1,9 +1,11 @@
 import React from 'react';
 import Input from './Input';
+import { useFormContext } from '../contexts/FormContext';
 
 /**
  * FormField component for creating consistent form layouts with validation
- * This component wraps the Input component and adds layout options
+ * This component wraps the Input component and adds layout options.
+ * Inside a <Form>, value, handlers and error come from the form by `name` unless passed explicitly.
  */
 const FormField = ({
   label,
@@ -11,10 +13,11 @@ const FormField = ({
   type = 'text',
   value,
   onChange,
+  onBlur,
   placeholder = '',
   required = false,
   disabled = false,
-  error = '',
+  error,
   isValid = true,
   showValidation = false,
   helpText = '',
@@ -24,6 +27,9 @@ const FormField = ({
   width = 'full', // 'full', '1/2', '1/3', '2/3', '1/4', '3/4'
   children = null
 }) => {
+  const form = useFormContext();
+  const field = form && name ? form.getFieldProps(name) : {};
+
   const getWidthClass = () => {
     switch (width) {
       case '1/2': return 'w-full sm:w-1/2';
@@ -78,12 +84,13 @@ const FormField = ({
         label={label}
         type={type}
         name={name}
-        value={value}
-        onChange={onChange}
+        value={value !== undefined ? value : field.value}
+        onChange={onChange || field.onChange}
+        onBlur={onBlur || field.onBlur}
         placeholder={placeholder}
         required={required}
         disabled={disabled}
-        error={error}
+        error={error !== undefined ? error : field.error}
         isValid={isValid}
         showValidation={showValidation}
         helpText={helpText}
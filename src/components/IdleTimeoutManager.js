@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import Button from './Button';
+import ConfigService from '../services/ConfigService';
+import { useAuth, AUTH_STATUS } from '../contexts/AuthContext';
+import { useAlert } from '../contexts/AlertContext';
+
+// Browser events that count as user activity
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart', 'wheel'];
+
+// Shared between tabs so working in one tab keeps the others signed in too
+const LAST_ACTIVITY_KEY = 'last_activity';
+
+// Write the activity timestamp at most this often
+const ACTIVITY_THROTTLE = 5 * 1000;
+
+// Show the warning this long before the session is ended
+const WARNING_TIME = 60 * 1000;
+
+// How often the remaining time is checked
+const CHECK_INTERVAL = 1000;
+
+// Read the last activity of any tab
+const getLastActivity = () => {
+  const value = Number(localStorage.getItem(LAST_ACTIVITY_KEY));
+  return Number.isFinite(value) && value > 0 ? value : Date.now();
+};
+
+// Record activity now
+const recordActivity = () => {
+  localStorage.setItem(LAST_ACTIVITY_KEY, String(Date.now()));
+};
+
+/**
+ * IdleTimeoutManager component
+ * Signs the user out after a period without mouse or keyboard activity (idleTimeoutMinutes in the
+ * runtime configuration), so shared clinic workstations don't stay signed in. A dialog counts down
+ * the last minute and lets the user stay signed in. Mount it once inside the AuthProvider.
+ */
+const IdleTimeoutManager = () => {
+  const { status, logout, refresh } = useAuth();
+  const { warning } = useAlert();
+  // Milliseconds until sign-out while the warning is shown, null otherwise
+  const [remaining, setRemaining] = useState(null);
+  const [isRenewing, setIsRenewing] = useState(false);
+
+  // Keep the latest alert function without resubscribing on every render
+  const warningRef = useRef(warning);
+  warningRef.current = warning;
+
+  // Activity is ignored while the warning is open - the user has to confirm explicitly
+  const isWarningRef = useRef(false);
+  isWarningRef.current = remaining !== null;
+
+  // Status before the last change, to tell a new login from a tab that was opened or reloaded
+  const previousStatusRef = useRef(status);
+
+  const timeout = ConfigService.getConfig().idleTimeoutMinutes * 60 * 1000;
+  const isEnabled = status === AUTH_STATUS.AUTHENTICATED && timeout > 0;
+
+  // Check how long all tabs have been idle and warn or sign out
+  const checkIdle = useCallback(() => {
+    const timeLeft = timeout - (Date.now() - getLastActivity());
+
+    if (timeLeft <= 0) {
+      setRemaining(null);
+      localStorage.removeItem(LAST_ACTIVITY_KEY);
+      logout();
+      warningRef.current('You were signed out due to inactivity.');
+    } else if (timeLeft <= Math.min(WARNING_TIME, timeout / 2)) {
+      setRemaining(timeLeft);
+    } else {
+      setRemaining(null);
+    }
+  }, [timeout, logout]);
+
+  useEffect(() => {
+    if (!isEnabled) {
+      setRemaining(null);
+      return undefined;
+    }
+
+    // A session that was just created starts active; opening or reloading a tab is not activity,
+    // as the timestamp is shared and would keep every other tab signed in
+    if (previousStatusRef.current === AUTH_STATUS.ANONYMOUS || localStorage.getItem(LAST_ACTIVITY_KEY) === null) {
+      recordActivity();
+    }
+    let lastWrite = Date.now();
+
+    const handleActivity = () => {
+      if (isWarningRef.current) return;
+
+      const now = Date.now();
+      if (now - lastWrite >= ACTIVITY_THROTTLE) {
+        lastWrite = now;
+        recordActivity();
+      }
+    };
+
+    // Timers are slowed down in background tabs, so check right away when the tab is shown again
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        checkIdle();
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach((event) => {
+      window.addEventListener(event, handleActivity, { passive: true });
+    });
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    const interval = setInterval(checkIdle, CHECK_INTERVAL);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((event) => {
+        window.removeEventListener(event, handleActivity);
+      });
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      clearInterval(interval);
+    };
+  }, [isEnabled, checkIdle]);
+
+  // Runs after the effect above, which needs the status from before the change
+  useEffect(() => {
+    previousStatusRef.current = status;
+  }, [status]);
+
+  // Confirm the user is still there and renew the session with the backend
+  const handleStaySignedIn = async () => {
+    recordActivity();
+    setRemaining(null);
+    setIsRenewing(true);
+    try {
+      await refresh({ renew: true });
+    } finally {
+      setIsRenewing(false);
+    }
+  };
+
+  const handleSignOut = () => {
+    setRemaining(null);
+    logout();
+  };
+
+  if (!isEnabled || remaining === null) {
+    return null;
+  }
+
+  const seconds = Math.ceil(remaining / 1000);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 px-4">
+      <div
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="idle-timeout-title"
+        aria-describedby="idle-timeout-description"
+        className="bg-white rounded-lg shadow-xl max-w-md w-full p-6"
+      >
+        <h2 id="idle-timeout-title" className="text-lg font-medium text-gray-900">
+          Are you still there?
+        </h2>
+        <p id="idle-timeout-description" className="mt-2 text-sm text-gray-600">
+          For your security you will be signed out in{' '}
+          <span className="font-semibold text-gray-900">{seconds} {seconds === 1 ? 'second' : 'seconds'}</span>{' '}
+          because there has been no activity.
+        </p>
+        <div className="mt-6 flex justify-end space-x-3">
+          <Button
+            onClick={handleSignOut}
+            className="bg-gray-200 text-gray-800 hover:bg-gray-300"
+          >
+            Sign out
+          </Button>
+          <Button onClick={handleStaySignedIn} disabled={isRenewing}>
+            {isRenewing ? 'Renewing...' : 'Stay signed in'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IdleTimeoutManager;
@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Button from './Button';
+import { DEFAULT_EDITS, OUTPUT_SIZES, decodeImage, renderImage } from '../utils/ImageProcessing';
+
+// Longer side of the preview in pixels
+const PREVIEW_SIZE = 360;
+
+const ToolButton = ({ icon, children, onClick, pressed }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className={`px-3 py-1 text-xs rounded-md border focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+      pressed ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+    }`}
+    aria-pressed={pressed}
+  >
+    <span aria-hidden="true" className="mr-1">{icon}</span>
+    {children}
+  </button>
+);
+
+/**
+ * ImageEditor component
+ * Rotate, flip, crop to the fundus and resize an image before it is uploaded. The preview shows
+ * the result; the edits are only applied to the file when the user clicks Apply.
+ * @param {File} file - The original image
+ * @param {Object|null} edits - The current edits, or null to start from DEFAULT_EDITS
+ * @param {Function} onApply - (edits) => void
+ * @param {Function} onCancel - () => void
+ */
+const ImageEditor = ({ file, edits: initialEdits, onApply, onCancel }) => {
+  const [edits, setEdits] = useState(initialEdits || DEFAULT_EDITS);
+  const [decoded, setDecoded] = useState(null);
+  const [error, setError] = useState('');
+  const canvasRef = useRef(null);
+
+  // Decode the image once; every change of the edits only redraws the preview
+  useEffect(() => {
+    let cancelled = false;
+    decodeImage(file)
+      .then((result) => {
+        if (!cancelled) setDecoded(result);
+      })
+      .catch((err) => {
+        console.error('Error loading image for editing:', err);
+        if (!cancelled) setError('The image could not be opened for editing.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  useEffect(() => {
+    if (!decoded || !canvasRef.current) return;
+    const previewSize = edits.maxDimension ? Math.min(edits.maxDimension, PREVIEW_SIZE) : PREVIEW_SIZE;
+    const canvas = renderImage(decoded.image, { ...edits, maxDimension: previewSize }, {
+      orientation: decoded.orientation,
+      canvas: canvasRef.current
+    });
+    if (!canvas) setError('This browser cannot edit images.');
+  }, [decoded, edits]);
+
+  const update = (changes) => setEdits((current) => ({ ...current, ...changes }));
+
+  const rotate = (degrees) => {
+    update({ rotation: (edits.rotation + degrees + 360) % 360 });
+  };
+
+  const handleSizeChange = (value) => {
+    update({ maxDimension: value ? Number(value) : null });
+  };
+
+  return (
+    <div className="mt-2 p-3 border border-gray-200 rounded-md bg-gray-50">
+      <div className="flex justify-center items-center bg-black rounded p-2">
+        {error ? (
+          <p className="p-4 text-xs text-red-300">{error}</p>
+        ) : (
+          <>
+            {!decoded && (
+              <div className="h-40 flex items-center">
+                <span className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-gray-400"></span>
+              </div>
+            )}
+            <canvas
+              ref={canvasRef}
+              className={`max-w-full max-h-80 ${decoded ? '' : 'hidden'}`}
+              aria-label={`Preview of ${file.name}`}
+            />
+          </>
+        )}
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <ToolButton icon="⟲" onClick={() => rotate(-90)}>Rotate left</ToolButton>
+        <ToolButton icon="⟳" onClick={() => rotate(90)}>Rotate right</ToolButton>
+        <ToolButton
+          icon="⇋"
+          onClick={() => update({ flipHorizontal: !edits.flipHorizontal })}
+          pressed={edits.flipHorizontal}
+        >
+          Flip horizontally
+        </ToolButton>
+        <ToolButton
+          icon="⇵"
+          onClick={() => update({ flipVertical: !edits.flipVertical })}
+          pressed={edits.flipVertical}
+        >
+          Flip vertically
+        </ToolButton>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-4 text-xs text-gray-700">
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            checked={edits.cropToFundus}
+            onChange={(e) => update({ cropToFundus: e.target.checked })}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+          />
+          Crop to the retina
+        </label>
+        <label className="flex items-center">
+          <span className="mr-2">Size</span>
+          <select
+            value={edits.maxDimension || ''}
+            onChange={(e) => handleSizeChange(e.target.value)}
+            className="border border-gray-300 rounded-md py-1 pl-2 pr-6 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {OUTPUT_SIZES.map(({ value, label }) => (
+              <option key={label} value={value || ''}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* A mirrored right eye looks like a left eye, to a reader and to the model */}
+      {(edits.flipHorizontal || edits.flipVertical) && (
+        <p className="mt-2 text-xs text-yellow-700">
+          Flipping mirrors the eye. Only flip images that were taken mirrored, and check the eye is still tagged correctly.
+        </p>
+      )}
+
+      <div className="mt-3 flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={() => setEdits(DEFAULT_EDITS)}
+          className="px-3 py-2 text-sm text-gray-600 hover:text-gray-900 focus:outline-none"
+        >
+          Reset
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50 focus:outline-none"
+        >
+          Cancel
+        </button>
+        <Button onClick={() => onApply(edits)} disabled={!decoded || Boolean(error)} className="text-sm">
+          Apply
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ImageEditor;
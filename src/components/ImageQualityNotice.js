@@ -0,0 +1,67 @@
+import React from 'react';
+import { QUALITY_STATUS, QUALITY_SEVERITY } from '../utils/ImageQuality';
+
+/**
+ * ImageQualityNotice component
+ * Explains the result of the quality check of a selected image. Blocked images get an
+ * "Analyze anyway" option for when the user knows better than the checks.
+ * @param {Object|null} quality - The result of assessImageQuality, or null while it runs
+ * @param {boolean} override - Whether the user chose to analyze a blocked image anyway
+ * @param {Function} onOverrideChange - (override) => void
+ * @param {string} fileName - The image's file name, for screen readers
+ */
+const ImageQualityNotice = ({ quality, override = false, onOverrideChange, fileName }) => {
+  if (!quality) {
+    return (
+      <p className="mt-1 text-xs text-gray-500 flex items-center">
+        <span className="animate-spin rounded-full h-3 w-3 border-t-2 border-b-2 border-gray-400 mr-1"></span>
+        Checking image quality...
+      </p>
+    );
+  }
+
+  if (quality.status === QUALITY_STATUS.OK) {
+    return <p className="mt-1 text-xs text-green-600">Image quality looks good</p>;
+  }
+
+  if (quality.status !== QUALITY_STATUS.WARNING && quality.status !== QUALITY_STATUS.BLOCKED) {
+    return null;
+  }
+
+  const isBlocked = quality.status === QUALITY_STATUS.BLOCKED;
+
+  return (
+    <div
+      className={`mt-2 p-2 rounded border-l-4 text-xs ${
+        isBlocked ? 'bg-red-50 border-red-400 text-red-700' : 'bg-yellow-50 border-yellow-400 text-yellow-700'
+      }`}
+    >
+      <p className="font-medium">
+        {isBlocked
+          ? 'This image is not good enough for a reliable analysis:'
+          : 'The analysis of this image may be less reliable:'}
+      </p>
+      <ul className="list-disc pl-5 mt-1 space-y-0.5">
+        {quality.issues.map((issue) => (
+          <li key={issue.code} className={issue.severity === QUALITY_SEVERITY.ERROR ? 'font-medium' : ''}>
+            {issue.message}
+          </li>
+        ))}
+      </ul>
+      {isBlocked && onOverrideChange && (
+        <label className="mt-2 flex items-center text-gray-700">
+          <input
+            type="checkbox"
+            checked={override}
+            onChange={(e) => onOverrideChange(e.target.checked)}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+            aria-label={`Analyze ${fileName} anyway`}
+          />
+          Analyze anyway - I understand the result may be wrong
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default ImageQualityNotice;
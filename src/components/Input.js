@@ -6,6 +6,7 @@ const Input = ({
   name, 
   value, 
   onChange, 
+  onBlur,
   placeholder = '', 
   required = false,
   disabled = false,
@@ -39,6 +40,7 @@ const Input = ({
           name={name}
           value={value}
           onChange={onChange}
+          onBlur={onBlur}
           placeholder={placeholder}
           required={required}
           disabled={disabled}
@@ -1,17 +1,26 @@
 import React from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import eyeLogo from '../assets/images/eye-logo.png';
-import AuthService from '../services/AuthService';
 import UserProfile from './UserProfile';
 import { useAlert } from '../contexts/AlertContext';
+import { useAuth } from '../contexts/AuthContext';
+import useCan from '../hooks/useCan';
+import { PERMISSIONS } from '../utils/Permissions';
+
+// Header links - each one is shown only to users with its permission
+const NAV_LINKS = [
+  { to: '/dashboard', label: 'Dashboard', permission: PERMISSIONS.VIEW_RESULTS }
+];
 
 const Header = () => {
   const navigate = useNavigate();
   const { success } = useAlert();
+  const { logout } = useAuth();
+  const can = useCan();
   
   const handleLogout = () => {
-    // Use AuthService to logout and clear tokens
-    AuthService.logout();
+    // Logout here and in every other open tab
+    logout();
     // Show success message
     success('You have been successfully logged out');
     // Redirect to login page
@@ -27,9 +36,15 @@ const Header = () => {
             <span className="text-xl font-semibold text-gray-800">Eye Disease Detection</span>
           </div>
           <nav className="flex items-center space-x-4">
-            <Link to="/dashboard" className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:text-blue-600">
-              Dashboard
-            </Link>
+            {NAV_LINKS.filter((link) => can(link.permission)).map((link) => (
+              <Link
+                key={link.to}
+                to={link.to}
+                className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:text-blue-600"
+              >
+                {link.label}
+              </Link>
+            ))}
             <UserProfile onLogout={handleLogout} />
           </nav>
         </div>
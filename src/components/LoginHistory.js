@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import FormSection from './FormSection';
+import Button from './Button';
+import AccountService from '../services/AccountService';
+import { describeUserAgent } from '../utils/UserAgentUtils';
+import { formatDateTime } from '../utils/DateUtils';
+import { AbortError } from '../utils/ApiErrors';
+
+/**
+ * LoginHistory component
+ * Paginated list of recent sign-ins with time, IP address and device
+ */
+const LoginHistory = () => {
+  const [page, setPage] = useState(0);
+  const [history, setHistory] = useState({ items: [], totalPages: 1 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    setLoadError('');
+
+    AccountService.getLoginHistory(page, { signal: controller.signal })
+      .then((data) => {
+        setHistory(data);
+      })
+      .catch((err) => {
+        if (err instanceof AbortError) return;
+        console.error('Error fetching login history:', err);
+        setLoadError('Could not load your login history. Please try again later.');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [page]);
+
+  const renderHistory = () => {
+    if (loadError) {
+      return <p className="text-sm text-gray-500 py-2">{loadError}</p>;
+    }
+
+    if (!isLoading && history.items.length === 0) {
+      return <p className="text-sm text-gray-500 py-2">No sign-ins recorded yet.</p>;
+    }
+
+    return (
+      <div className={`overflow-x-auto ${isLoading ? 'opacity-50' : ''}`}>
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP Address</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Device</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {history.items.map((entry, index) => (
+              <tr key={entry.id || `${entry.timestamp}-${index}`}>
+                <td className="px-4 py-2 text-sm text-gray-900 whitespace-nowrap">{formatDateTime(entry.timestamp)}</td>
+                <td className="px-4 py-2 text-sm text-gray-700 whitespace-nowrap">{entry.ipAddress || 'Unknown'}</td>
+                <td className="px-4 py-2 text-sm text-gray-700" title={entry.userAgent}>
+                  {describeUserAgent(entry.userAgent)}
+                </td>
+                <td className="px-4 py-2 text-sm whitespace-nowrap">
+                  {entry.success === false ? (
+                    <span className="text-red-600">Failed</span>
+                  ) : (
+                    <span className="text-green-600">Success</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <FormSection
+      title="Login History"
+      description="Recent sign-ins to your account. If you don't recognise one, change your password."
+      bordered
+    >
+      {renderHistory()}
+
+      {history.totalPages > 1 && (
+        <div className="mt-4 flex items-center justify-between">
+          <Button
+            onClick={() => setPage(page - 1)}
+            disabled={isLoading || page === 0}
+            className="bg-gray-200 text-gray-800 hover:bg-gray-300 text-sm"
+          >
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">
+            Page {page + 1} of {history.totalPages}
+          </span>
+          <Button
+            onClick={() => setPage(page + 1)}
+            disabled={isLoading || page >= history.totalPages - 1}
+            className="bg-gray-200 text-gray-800 hover:bg-gray-300 text-sm"
+          >
+            Next
+          </Button>
+        </div>
+      )}
+    </FormSection>
+  );
+};
+
+export default LoginHistory;
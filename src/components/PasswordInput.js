@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import Input from './Input';
 import PasswordStrengthMeter from './PasswordStrengthMeter';
 import { validatePasswordStrength } from '../utils/ValidationUtils';
+import { useFormContext } from '../contexts/FormContext';
 
 /**
  * PasswordInput component
@@ -9,22 +10,32 @@ import { validatePasswordStrength } from '../utils/ValidationUtils';
  * - Password visibility toggle
  * - Password strength meter
  * - Password requirements display
+ * Inside a <Form>, value, handlers and error come from the form by `name` unless passed explicitly.
+ * Pass `userInputs` (the user's name, username or email) to rate passwords containing them as weak.
  */
 const PasswordInput = ({
   label = 'Password',
   name,
-  value,
-  onChange,
+  value: valueProp,
+  onChange: onChangeProp,
+  onBlur,
   placeholder = 'Enter password',
   required = true,
   showStrengthMeter = false,
   showRequirements = false,
   validateOnChange = false,
-  error = '',
+  userInputs = [],
+  error: errorProp,
   helpText = '',
   className = '',
   ...otherProps
 }) => {
+  const form = useFormContext();
+  const field = form && name ? form.getFieldProps(name) : {};
+  const value = valueProp !== undefined ? valueProp : field.value;
+  const onChange = onChangeProp || field.onChange;
+  const error = errorProp !== undefined ? errorProp : field.error || '';
+
   const [showPassword, setShowPassword] = useState(false);
   const [validationMessage, setValidationMessage] = useState('');
   
@@ -44,7 +55,7 @@ const PasswordInput = ({
     
     // Perform validation if needed
     if (validateOnChange && newValue) {
-      const validation = validatePasswordStrength(newValue);
+      const validation = validatePasswordStrength(newValue, userInputs);
       setValidationMessage(validation.isValid ? '' : validation.message);
     } else {
       setValidationMessage('');
@@ -63,6 +74,7 @@ const PasswordInput = ({
           name={name}
           value={value}
           onChange={handlePasswordChange}
+          onBlur={onBlur || field.onBlur}
           placeholder={placeholder}
           required={required}
           error={displayError}
@@ -95,7 +107,7 @@ const PasswordInput = ({
       {/* Password strength meter */}
       {showStrengthMeter && value && (
         <div className="mt-2">
-          <PasswordStrengthMeter password={value} />
+          <PasswordStrengthMeter password={value} userInputs={userInputs} />
         </div>
       )}
       
@@ -1,19 +1,29 @@
 import React from 'react';
 import { calculatePasswordStrength } from '../utils/ValidationUtils';
 
-const PasswordStrengthMeter = ({ password }) => {
-  const strength = calculatePasswordStrength(password);
-  const strengthPercentage = (strength.score / 6) * 100;
+// Text color of the label per score
+const LABEL_COLORS = ['text-red-600', 'text-red-600', 'text-yellow-600', 'text-green-600', 'text-green-700'];
+
+// Scores from here on are strong enough to leave out the advice
+const STRONG_SCORE = 3;
+
+/**
+ * PasswordStrengthMeter component
+ * Shows how hard the password is to guess, and for weaker passwords what makes them weak
+ * and how to improve them.
+ * @param {string} password - The password to rate
+ * @param {string[]} userInputs - The user's own name, username or email, which the password should not contain
+ */
+const PasswordStrengthMeter = ({ password, userInputs = [] }) => {
+  const strength = calculatePasswordStrength(password, userInputs);
+  const strengthPercentage = password ? ((strength.score + 1) / (strength.maxScore + 1)) * 100 : 0;
+  const showAdvice = password && strength.score < STRONG_SCORE;
   
   return (
     <div className="mt-1 mb-2">
       <div className="flex justify-between items-center mb-1">
         <span className="text-xs text-gray-500">Password Strength</span>
-        <span className={`text-xs font-medium ${
-          strength.label === 'Weak' ? 'text-red-600' : 
-          strength.label === 'Moderate' ? 'text-yellow-600' : 
-          strength.label === 'Strong' ? 'text-green-600' : 'text-gray-500'
-        }`}>
+        <span className={`text-xs font-medium ${password ? LABEL_COLORS[strength.score] : 'text-gray-500'}`}>
           {strength.label}
         </span>
       </div>
@@ -23,6 +33,20 @@ const PasswordStrengthMeter = ({ password }) => {
           style={{ width: `${strengthPercentage}%` }}
         ></div>
       </div>
+      {showAdvice && (
+        <div className="mt-2 text-xs" aria-live="polite">
+          {strength.warning && (
+            <p className="text-yellow-700 font-medium">{strength.warning}</p>
+          )}
+          {strength.suggestions.length > 0 && (
+            <ul className="mt-1 list-disc pl-5 space-y-0.5 text-gray-500">
+              {strength.suggestions.map((suggestion) => (
+                <li key={suggestion}>{suggestion}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
     </div>
   );
 };
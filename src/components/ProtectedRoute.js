@@ -1,16 +1,63 @@
-import React from 'react';
-import { Navigate } from 'react-router-dom';
-import AuthService from '../services/AuthService';
-
-const ProtectedRoute = ({ children }) => {
-  // Check if user is authenticated via JWT
-  const isAuthenticated = AuthService.isAuthenticated();
-  
-  if (!isAuthenticated) {
+import React, { useEffect, useState } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import Button from './Button';
+import { useAuth, AUTH_STATUS } from '../contexts/AuthContext';
+import { hasPermission, hasRole } from '../utils/Permissions';
+
+/**
+ * ProtectedRoute component
+ * Renders its children only for a confirmed session. With `roles` (any of) and `permissions` (all of),
+ * signed-in users without access are sent to the forbidden page instead of the login page.
+ * When the backend cannot be reached to check the session, the user can try again instead of being signed out.
+ */
+const ProtectedRoute = ({ children, roles = [], permissions = [] }) => {
+  const location = useLocation();
+  const { status, user, refresh } = useAuth();
+  const [isRetrying, setIsRetrying] = useState(false);
+
+  useEffect(() => {
+    // Check the token with the backend so a revoked or tampered token never shows protected pages
+    refresh();
+  }, [location.pathname, refresh]);
+
+  if (status === AUTH_STATUS.LOADING) {
+    return (
+      <div className="min-h-screen flex flex-col justify-center items-center bg-gray-50">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500 mb-4"></div>
+        <p className="text-gray-600">Verifying your session...</p>
+      </div>
+    );
+  }
+
+  if (status === AUTH_STATUS.UNREACHABLE) {
+    const handleRetry = async () => {
+      setIsRetrying(true);
+      await refresh();
+      setIsRetrying(false);
+    };
+
+    return (
+      <div className="min-h-screen flex flex-col justify-center items-center bg-gray-50 px-4 text-center">
+        <p className="text-gray-800 font-medium mb-1">We could not verify your session</p>
+        <p className="text-gray-600 mb-4">The server is not responding. Check your connection and try again.</p>
+        <Button onClick={handleRetry} disabled={isRetrying}>
+          {isRetrying ? 'Trying again...' : 'Try again'}
+        </Button>
+      </div>
+    );
+  }
+
+  if (status === AUTH_STATUS.ANONYMOUS) {
     // Redirect to login if not authenticated
     return <Navigate to="/login" replace />;
   }
-  
+
+  // Check the roles and permissions from the JWT claims
+  const userRoles = user ? user.roles : [];
+  if (!hasRole(userRoles, roles) || !hasPermission(userRoles, permissions)) {
+    return <Navigate to="/forbidden" replace state={{ from: location.pathname }} />;
+  }
+
   return children;
 };
 
@@ -0,0 +1,29 @@
+import { useEffect, useRef } from 'react';
+import ApiInterceptor from '../utils/ApiInterceptor';
+import { useAlert } from '../contexts/AlertContext';
+
+/**
+ * RetryNotifier component
+ * Reports ApiInterceptor retries through the alert system, e.g. "Retrying (2/3)…"
+ * Renders nothing - mount it once inside the AlertProvider
+ */
+const RetryNotifier = () => {
+  const { info } = useAlert();
+  
+  // Keep the latest alert function without resubscribing on every render
+  const infoRef = useRef(info);
+  infoRef.current = info;
+  
+  useEffect(() => {
+    const unsubscribe = ApiInterceptor.addRetryListener(({ attempt, maxAttempts, delay }) => {
+      // Keep the alert up until the retry has been sent
+      infoRef.current(`Connection problem. Retrying (${attempt}/${maxAttempts})…`, Math.max(delay, 2000));
+    });
+    
+    return unsubscribe;
+  }, []);
+  
+  return null;
+};
+
+export default RetryNotifier;
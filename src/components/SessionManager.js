@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import AuthService from '../services/AuthService';
+import { useAlert } from '../contexts/AlertContext';
+
+/**
+ * SessionManager component
+ * Keeps the access token renewed in the background and sends the user to the login page
+ * through the router (no full page reload) when the session can no longer be renewed.
+ * Renders nothing - mount it once inside the Router and the AlertProvider
+ */
+const SessionManager = () => {
+  const navigate = useNavigate();
+  const { warning } = useAlert();
+  
+  // Keep the latest alert function without resubscribing on every render
+  const warningRef = useRef(warning);
+  warningRef.current = warning;
+  
+  useEffect(() => {
+    // Resume silent renewal for a session restored from storage
+    AuthService.scheduleTokenRefresh();
+    
+    const unsubscribe = AuthService.onSessionExpired(() => {
+      warningRef.current('Your session has expired. Please login again.');
+      navigate('/login', { replace: true });
+    });
+    
+    return unsubscribe;
+  }, [navigate]);
+  
+  return null;
+};
+
+export default SessionManager;
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import FormField from './FormField';
+import FormGroup from './FormGroup';
+import FormSection from './FormSection';
+import Button from './Button';
+import Card from './Card';
+
+// Authenticator apps show 6 digits; backup codes are longer and may contain letters and dashes
+const TOTP_CODE_PATTERN = /^\d{6}$/;
+const BACKUP_CODE_PATTERN = /^[A-Za-z0-9-]{8,}$/;
+
+/**
+ * TwoFactorChallenge component
+ * Second login step for accounts with two-factor authentication. Asks for the code from the
+ * authenticator app, or a backup code, and whether this device should be trusted.
+ */
+const TwoFactorChallenge = ({ onVerify, onCancel, isLoading = false, error = '' }) => {
+  const [code, setCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [trustDevice, setTrustDevice] = useState(false);
+  const [codeError, setCodeError] = useState('');
+
+  const handleChange = (e) => {
+    setCode(e.target.value);
+    if (codeError) {
+      setCodeError('');
+    }
+  };
+
+  const toggleBackupCode = () => {
+    setUseBackupCode(!useBackupCode);
+    setCode('');
+    setCodeError('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const cleanCode = code.replace(/\s+/g, '');
+    if (!cleanCode) {
+      setCodeError('Verification code is required');
+      return;
+    }
+    if (!useBackupCode && !TOTP_CODE_PATTERN.test(cleanCode)) {
+      setCodeError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+    if (useBackupCode && !BACKUP_CODE_PATTERN.test(cleanCode)) {
+      setCodeError('Please enter a valid backup code');
+      return;
+    }
+
+    onVerify(cleanCode, { backupCode: useBackupCode, trustDevice });
+  };
+
+  return (
+    <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+      <Card className="p-6">
+        <FormSection
+          title="Two-Factor Authentication"
+          description={useBackupCode
+            ? 'Enter one of the backup codes you saved when you set up two-factor authentication'
+            : 'Enter the 6-digit code from your authenticator app'}
+          borderless
+        >
+          <FormGroup>
+            <FormField
+              label={useBackupCode ? 'Backup Code' : 'Verification Code'}
+              type="text"
+              name="code"
+              value={code}
+              onChange={handleChange}
+              placeholder={useBackupCode ? 'xxxx-xxxx' : '123456'}
+              required
+              error={codeError || error}
+              helpText={useBackupCode ? 'Each backup code can only be used once' : ''}
+            />
+
+            <div className="flex items-center justify-between mt-4">
+              <div className="flex items-center">
+                <input
+                  id="trust-device"
+                  name="trust-device"
+                  type="checkbox"
+                  checked={trustDevice}
+                  onChange={(e) => setTrustDevice(e.target.checked)}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="trust-device" className="ml-2 block text-sm text-gray-900">
+                  Trust this device
+                </label>
+              </div>
+
+              <button
+                type="button"
+                onClick={toggleBackupCode}
+                className="text-sm font-medium text-blue-600 hover:text-blue-500"
+              >
+                {useBackupCode ? 'Use authenticator app' : 'Use a backup code'}
+              </button>
+            </div>
+          </FormGroup>
+        </FormSection>
+      </Card>
+
+      <Button
+        type="submit"
+        className="w-full flex justify-center py-3"
+        disabled={isLoading}
+      >
+        {isLoading ? 'Verifying...' : 'Verify'}
+      </Button>
+
+      <div className="text-center mt-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-sm font-medium text-blue-600 hover:text-blue-500"
+        >
+          Back to sign in
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorChallenge;
@@ -0,0 +1,334 @@
+import React, { useState, useEffect } from 'react';
+import FormField from './FormField';
+import FormGroup from './FormGroup';
+import FormSection from './FormSection';
+import PasswordInput from './PasswordInput';
+import Button from './Button';
+import AuthService from '../services/AuthService';
+import { useAlert } from '../contexts/AlertContext';
+import { AbortError, ValidationError } from '../utils/ApiErrors';
+
+// Authenticator apps show 6 digits
+const TOTP_CODE_PATTERN = /^\d{6}$/;
+
+/**
+ * TwoFactorSettings component
+ * Profile section to enrol an authenticator app (QR code or secret, then a confirmation code),
+ * show the backup codes once, and turn two-factor authentication off again.
+ */
+const TwoFactorSettings = () => {
+  const [isEnabled, setIsEnabled] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUnavailable, setIsUnavailable] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // Enrolment in progress: { secret, otpauthUrl, qrCode }
+  const [setup, setSetup] = useState(null);
+  // Shown once right after enabling
+  const [backupCodes, setBackupCodes] = useState([]);
+  const [isDisabling, setIsDisabling] = useState(false);
+  const [formData, setFormData] = useState({ code: '', password: '' });
+  const [validationErrors, setValidationErrors] = useState({});
+  const { success, error: showError } = useAlert();
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    AuthService.getTwoFactorStatus({ signal: controller.signal })
+      .then((data) => {
+        setIsEnabled(!!(data && data.enabled));
+      })
+      .catch((err) => {
+        if (err instanceof AbortError) return;
+        console.error('Error fetching two-factor status:', err);
+        setIsUnavailable(true);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value
+    });
+
+    if (validationErrors[name]) {
+      setValidationErrors({
+        ...validationErrors,
+        [name]: ''
+      });
+    }
+  };
+
+  const resetForm = () => {
+    setFormData({ code: '', password: '' });
+    setValidationErrors({});
+  };
+
+  // Check the code format before asking the backend
+  const validateCode = () => {
+    const code = formData.code.replace(/\s+/g, '');
+    if (!TOTP_CODE_PATTERN.test(code)) {
+      setValidationErrors({ code: 'Enter the 6-digit code from your authenticator app' });
+      return false;
+    }
+    return true;
+  };
+
+  // Show server-side rejections next to the matching field
+  const handleError = (err, fallbackMessage) => {
+    console.error('Two-factor settings error:', err);
+    if (err instanceof ValidationError && Object.keys(err.fieldErrors).length > 0) {
+      setValidationErrors({ ...err.fieldErrors });
+      return;
+    }
+    showError(err.message || fallbackMessage);
+  };
+
+  const handleStartSetup = async () => {
+    setIsSubmitting(true);
+    try {
+      const data = await AuthService.startTwoFactorSetup();
+      resetForm();
+      setSetup(data);
+    } catch (err) {
+      handleError(err, 'Could not start two-factor setup. Please try again later.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    if (!validateCode()) return;
+
+    setIsSubmitting(true);
+    try {
+      const data = await AuthService.enableTwoFactor(formData.code);
+      setIsEnabled(true);
+      setSetup(null);
+      setBackupCodes((data && data.backupCodes) || []);
+      resetForm();
+      success('Two-factor authentication is now enabled.');
+    } catch (err) {
+      handleError(err, 'Could not enable two-factor authentication. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    if (!formData.password) {
+      setValidationErrors({ password: 'Password is required' });
+      return;
+    }
+    if (!validateCode()) return;
+
+    setIsSubmitting(true);
+    try {
+      await AuthService.disableTwoFactor(formData.password, formData.code);
+      setIsEnabled(false);
+      setIsDisabling(false);
+      setBackupCodes([]);
+      resetForm();
+      success('Two-factor authentication has been turned off.');
+    } catch (err) {
+      handleError(err, 'Could not turn off two-factor authentication. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCancel = () => {
+    setSetup(null);
+    setIsDisabling(false);
+    resetForm();
+  };
+
+  const renderContent = () => {
+    if (isLoading) {
+      return (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      );
+    }
+
+    if (isUnavailable) {
+      return (
+        <p className="text-sm text-gray-500 py-2">
+          Two-factor settings are unavailable right now. Please try again later.
+        </p>
+      );
+    }
+
+    if (backupCodes.length > 0) {
+      return (
+        <div className="space-y-4">
+          <div className="bg-yellow-50 border-l-4 border-yellow-400 p-3">
+            <p className="text-sm text-yellow-700">
+              Save these backup codes somewhere safe. Each one can be used once to sign in if you lose
+              access to your authenticator app. They will not be shown again.
+            </p>
+          </div>
+          <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+            {backupCodes.map((code) => (
+              <li key={code} className="px-3 py-2 bg-gray-50 rounded border border-gray-200">{code}</li>
+            ))}
+          </ul>
+          <div className="flex justify-end">
+            <Button onClick={() => setBackupCodes([])}>
+              I have saved my backup codes
+            </Button>
+          </div>
+        </div>
+      );
+    }
+
+    if (setup) {
+      return (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Scan the QR code with an authenticator app such as Google Authenticator or Authy, then enter the
+            6-digit code it shows.
+          </p>
+          <div className="flex flex-col sm:flex-row items-center sm:items-start gap-6">
+            {setup.qrCode && (
+              <img
+                src={setup.qrCode}
+                alt="QR code for your authenticator app"
+                className="h-40 w-40 border border-gray-200 rounded"
+              />
+            )}
+            <div className="space-y-2 text-sm">
+              <p className="text-gray-500">Can't scan the code? Enter this key manually:</p>
+              <p className="font-mono text-gray-900 break-all bg-gray-50 px-3 py-2 rounded border border-gray-200">
+                {setup.secret}
+              </p>
+              {setup.otpauthUrl && (
+                <a href={setup.otpauthUrl} className="inline-block font-medium text-blue-600 hover:text-blue-500">
+                  Open in authenticator app
+                </a>
+              )}
+            </div>
+          </div>
+          <FormGroup>
+            <FormField
+              label="Verification Code"
+              name="code"
+              value={formData.code}
+              onChange={handleChange}
+              placeholder="123456"
+              required
+              error={validationErrors.code}
+              width="1/2"
+            />
+          </FormGroup>
+          <div className="flex justify-end space-x-4">
+            <Button
+              type="button"
+              onClick={handleCancel}
+              className="bg-gray-200 text-gray-800 hover:bg-gray-300"
+            >
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isSubmitting}>
+              {isSubmitting ? 'Verifying...' : 'Enable'}
+            </Button>
+          </div>
+        </form>
+      );
+    }
+
+    if (isDisabling) {
+      return (
+        <form onSubmit={handleDisable} className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Confirm with your password and a code from your authenticator app.
+          </p>
+          <FormGroup layout="grid" columns={2}>
+            <PasswordInput
+              label="Password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              placeholder="Enter your password"
+              error={validationErrors.password}
+            />
+            <FormField
+              label="Verification Code"
+              name="code"
+              value={formData.code}
+              onChange={handleChange}
+              placeholder="123456"
+              required
+              error={validationErrors.code}
+            />
+          </FormGroup>
+          <div className="flex justify-end space-x-4">
+            <Button
+              type="button"
+              onClick={handleCancel}
+              className="bg-gray-200 text-gray-800 hover:bg-gray-300"
+            >
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isSubmitting} className="bg-red-600 hover:bg-red-700">
+              {isSubmitting ? 'Turning off...' : 'Turn off'}
+            </Button>
+          </div>
+        </form>
+      );
+    }
+
+    return (
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <span
+            className={`px-3 py-1 rounded-full text-sm font-medium ${
+              isEnabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+            }`}
+          >
+            {isEnabled ? 'Enabled' : 'Disabled'}
+          </span>
+          <p className="ml-3 text-sm text-gray-600">
+            {isEnabled
+              ? 'A code from your authenticator app is required when you sign in.'
+              : 'Add a second step to your sign-in with an authenticator app.'}
+          </p>
+        </div>
+        {isEnabled ? (
+          <Button
+            onClick={() => setIsDisabling(true)}
+            className="bg-gray-200 text-gray-800 hover:bg-gray-300"
+          >
+            Turn off
+          </Button>
+        ) : (
+          <Button onClick={handleStartSetup} disabled={isSubmitting}>
+            {isSubmitting ? 'Starting...' : 'Set up'}
+          </Button>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <FormSection
+      title="Two-Factor Authentication"
+      description="Protect your account with a code from an authenticator app"
+      bordered
+    >
+      {renderContent()}
+    </FormSection>
+  );
+};
+
+export default TwoFactorSettings;
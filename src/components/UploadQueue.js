@@ -0,0 +1,110 @@
+import React from 'react';
+import Button from './Button';
+import UploadStatusBadge from './UploadStatusBadge';
+import { UPLOAD_STATUS } from '../hooks/useUploadQueue';
+import { LATERALITY_SHORT_LABELS, LATERALITY_LABELS } from '../utils/Laterality';
+
+/**
+ * UploadQueue component
+ * Lists the images of the current batch with their status, and lets the user retry
+ * failed images, remove images or cancel the rest of the batch.
+ * @param {Object} queue - The object returned by useUploadQueue
+ * @param {Function} onViewResult - (item) => void, shows the result of a stored image
+ */
+const UploadQueue = ({ queue, onViewResult }) => {
+  const { items, counts, isProcessing } = queue;
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  const finished = counts[UPLOAD_STATUS.STORED] + counts[UPLOAD_STATUS.FAILED];
+  const progressPercentage = (finished / counts.total) * 100;
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-medium text-gray-700">
+          Upload Queue ({finished} of {counts.total} done)
+        </h3>
+        {isProcessing && (
+          <button
+            type="button"
+            onClick={queue.cancelAll}
+            className="text-xs text-red-600 hover:text-red-800 focus:outline-none"
+          >
+            Cancel remaining
+          </button>
+        )}
+      </div>
+
+      <div className="h-1.5 w-full bg-gray-200 rounded-full overflow-hidden mb-3">
+        <div
+          className="h-full bg-blue-600 transition-all duration-300"
+          style={{ width: `${progressPercentage}%` }}
+        ></div>
+      </div>
+
+      <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+        {items.map((item) => (
+          <li key={item.id} className="flex items-center px-3 py-2">
+            {item.preview ? (
+              <img src={item.preview} alt="" className="h-10 w-10 rounded object-cover flex-shrink-0" />
+            ) : (
+              <div className="h-10 w-10 rounded bg-gray-100 flex-shrink-0"></div>
+            )}
+
+            <div className="ml-3 min-w-0 flex-1">
+              <p className="text-sm text-gray-700 truncate">
+                {item.options.laterality && (
+                  <span
+                    className="mr-2 px-1.5 py-0.5 text-xs font-semibold rounded bg-indigo-100 text-indigo-800"
+                    title={LATERALITY_LABELS[item.options.laterality]}
+                  >
+                    {LATERALITY_SHORT_LABELS[item.options.laterality]}
+                  </span>
+                )}
+                {item.file.name}
+              </p>
+              {item.status === UPLOAD_STATUS.FAILED && item.error && (
+                <p className="text-xs text-red-600 truncate" title={item.error}>{item.error}</p>
+              )}
+              {item.status === UPLOAD_STATUS.STORED && item.result && (
+                <p className="text-xs text-gray-500 truncate">
+                  {item.result.diagnosis} ({item.result.confidence}%)
+                </p>
+              )}
+            </div>
+
+            <div className="ml-3 flex items-center space-x-2 flex-shrink-0">
+              <UploadStatusBadge status={item.status} />
+
+              {item.status === UPLOAD_STATUS.STORED && onViewResult && (
+                <Button onClick={() => onViewResult(item)} className="py-1 px-3 text-xs">
+                  View
+                </Button>
+              )}
+              {item.status === UPLOAD_STATUS.FAILED && (
+                <Button onClick={() => queue.retry(item.id)} className="py-1 px-3 text-xs bg-yellow-600 hover:bg-yellow-700">
+                  Retry
+                </Button>
+              )}
+              <button
+                type="button"
+                onClick={() => queue.remove(item.id)}
+                className="text-gray-400 hover:text-red-600 focus:outline-none"
+                aria-label={`Remove ${item.file.name}`}
+              >
+                <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default UploadQueue;
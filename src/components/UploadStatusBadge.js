@@ -0,0 +1,28 @@
+import React from 'react';
+import { UPLOAD_STATUS } from '../hooks/useUploadQueue';
+
+const STATUS_STYLES = {
+  [UPLOAD_STATUS.PENDING]: { label: 'Pending', className: 'bg-gray-100 text-gray-700' },
+  [UPLOAD_STATUS.ANALYZING]: { label: 'Analyzing', className: 'bg-blue-100 text-blue-800' },
+  [UPLOAD_STATUS.STORED]: { label: 'Stored', className: 'bg-green-100 text-green-800' },
+  [UPLOAD_STATUS.FAILED]: { label: 'Failed', className: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * UploadStatusBadge component
+ * Shows the status of an image in the upload queue
+ */
+const UploadStatusBadge = ({ status }) => {
+  const style = STATUS_STYLES[status] || STATUS_STYLES[UPLOAD_STATUS.PENDING];
+
+  return (
+    <span className={`px-2 inline-flex items-center text-xs leading-5 font-semibold rounded-full ${style.className}`}>
+      {status === UPLOAD_STATUS.ANALYZING && (
+        <span className="animate-spin rounded-full h-3 w-3 border-t-2 border-b-2 border-blue-500 mr-1"></span>
+      )}
+      {style.label}
+    </span>
+  );
+};
+
+export default UploadStatusBadge;
@@ -1,28 +1,26 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import AuthService from '../services/AuthService';
+import { useAuth } from '../contexts/AuthContext';
+import useCan from '../hooks/useCan';
+import { PERMISSIONS, ROLE_LABELS, getEffectiveRoles } from '../utils/Permissions';
+
+// Dropdown links - each one is shown only to users with its permission (none means everyone)
+const MENU_LINKS = [
+  { to: '/dashboard', label: 'Dashboard', permission: PERMISSIONS.VIEW_RESULTS },
+  { to: '/profile', label: 'Profile Settings' }
+];
 
 const UserProfile = ({ onLogout }) => {
   const [isOpen, setIsOpen] = useState(false);
   const dropdownRef = useRef(null);
-  const [username, setUsername] = useState('User');
+  const { user } = useAuth();
+  const can = useCan();
 
-  // Get username from JWT token 
-  useEffect(() => {
-    try {
-      const token = AuthService.getToken();
-      if (token) {
-        // Basic parsing of JWT to get user info (in a real app, you'd use a proper JWT library)
-        const payload = token.split('.')[1];
-        const decodedPayload = JSON.parse(atob(payload));
-        if (decodedPayload && decodedPayload.sub) {
-          setUsername(decodedPayload.sub);
-        }
-      }
-    } catch (error) {
-      console.error('Error parsing JWT token:', error);
-    }
-  }, []);
+  // Username and roles from the JWT claims of the current session
+  const username = (user && user.username) || 'User';
+  const roleLabel = getEffectiveRoles(user ? user.roles : [])
+    .map((role) => ROLE_LABELS[role] || role)
+    .join(', ');
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -64,21 +62,21 @@ const UserProfile = ({ onLogout }) => {
 
       {isOpen && (
         <div className="absolute right-0 mt-2 w-48 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 z-10">
+          <div className="px-4 py-2 border-b border-gray-100">
+            <p className="text-sm font-medium text-gray-900 truncate">{username}</p>
+            <p className="text-xs text-gray-500">{roleLabel}</p>
+          </div>
           <div className="py-1">
-            <Link
-              to="/dashboard"
-              className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
-              onClick={() => setIsOpen(false)}
-            >
-              Dashboard
-            </Link>
-            <Link
-              to="/profile"
-              className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
-              onClick={() => setIsOpen(false)}
-            >
-              Profile Settings
-            </Link>
+            {MENU_LINKS.filter((link) => can(link.permission)).map((link) => (
+              <Link
+                key={link.to}
+                to={link.to}
+                className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                onClick={() => setIsOpen(false)}
+              >
+                {link.label}
+              </Link>
+            ))}
             <button
               onClick={() => {
                 setIsOpen(false);
@@ -0,0 +1,205 @@
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
+import AuthService from '../services/AuthService';
+import { getTokenClaims } from '../utils/TokenUtils';
+import { useAlert } from './AlertContext';
+
+// Create Auth Context
+const AuthContext = createContext();
+
+// Authentication status values
+export const AUTH_STATUS = {
+  LOADING: 'loading', // A token exists but has not been confirmed by the backend yet
+  AUTHENTICATED: 'authenticated',
+  ANONYMOUS: 'anonymous',
+  UNREACHABLE: 'unreachable' // A token exists but the backend could not be reached to confirm it
+};
+
+// Channel and storage key used to keep every open tab in sync
+const AUTH_CHANNEL = 'eye-detection-auth';
+const TOKEN_STORAGE_KEY = 'jwt_token';
+
+// Read the current user from the stored token
+const readUser = () => getTokenClaims(AuthService.getToken());
+
+// Auth Provider Component
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(readUser);
+  const [status, setStatus] = useState(() => (
+    AuthService.getToken() ? AUTH_STATUS.LOADING : AUTH_STATUS.ANONYMOUS
+  ));
+  const { info } = useAlert();
+
+  // Keep the latest alert function without resubscribing on every render
+  const infoRef = useRef(info);
+  infoRef.current = info;
+
+  // BroadcastChannel to tell other tabs about logins and logouts
+  const channelRef = useRef(null);
+
+  const setAnonymous = useCallback(() => {
+    setUser(null);
+    setStatus(AUTH_STATUS.ANONYMOUS);
+  }, []);
+
+  // Latest status, read by the cross-tab listeners so a logout is only announced once
+  const statusRef = useRef(status);
+  statusRef.current = status;
+
+  const broadcast = useCallback((type) => {
+    if (channelRef.current) {
+      channelRef.current.postMessage({ type });
+    }
+  }, []);
+
+  // Re-check the session with the backend. With `renew`, the access token is renewed first
+  // and the cached validation is skipped, e.g. when the user confirms they are still there.
+  const refresh = useCallback(async ({ renew = false } = {}) => {
+    if (!AuthService.getToken()) {
+      setAnonymous();
+      return false;
+    }
+
+    if (renew) {
+      AuthService.clearValidationCache();
+      if (AuthService.getRefreshToken()) {
+        try {
+          await AuthService.refreshAccessToken();
+        } catch (error) {
+          console.error('Session renewal failed:', error);
+        }
+      }
+    }
+
+    const isValid = await AuthService.validateToken();
+    if (isValid) {
+      setUser(readUser());
+      setStatus(AUTH_STATUS.AUTHENTICATED);
+    } else if (isValid === null) {
+      // Keep the tokens unless the backend rejected them; a session confirmed before stays usable
+      setStatus((current) => (current === AUTH_STATUS.AUTHENTICATED ? current : AUTH_STATUS.UNREACHABLE));
+    } else {
+      // Drop the rejected token so it is not sent again
+      AuthService.logout();
+      setAnonymous();
+    }
+    return isValid;
+  }, [setAnonymous]);
+
+  // Login and publish the new session to other tabs
+  // Pass `{ remember: true }` to keep the session after the browser is closed.
+  // Resolves with `{ twoFactorRequired: true, challengeToken }` when a second step is needed.
+  const login = useCallback(async (username, password, options) => {
+    const data = await AuthService.login(username, password, options);
+    if (data && data.twoFactorRequired) {
+      return data;
+    }
+    setUser(readUser());
+    setStatus(AUTH_STATUS.AUTHENTICATED);
+    broadcast('login');
+    return data;
+  }, [broadcast]);
+
+  // Finish a two-factor login with the code from the authenticator app or a backup code
+  const verifyTwoFactor = useCallback(async (challengeToken, code, options) => {
+    const data = await AuthService.verifyTwoFactor(challengeToken, code, options);
+    setUser(readUser());
+    setStatus(AUTH_STATUS.AUTHENTICATED);
+    broadcast('login');
+    return data;
+  }, [broadcast]);
+
+  // Logout here and in every other open tab
+  const logout = useCallback(() => {
+    AuthService.logout();
+    setAnonymous();
+    broadcast('logout');
+  }, [setAnonymous, broadcast]);
+
+  // Confirm a stored session with the backend when the app starts
+  useEffect(() => {
+    if (AuthService.getToken()) {
+      refresh();
+    }
+  }, [refresh]);
+
+  // The session ended because the token could not be renewed
+  useEffect(() => {
+    return AuthService.onSessionExpired(() => {
+      setAnonymous();
+      broadcast('logout');
+    });
+  }, [setAnonymous, broadcast]);
+
+  // Keep tabs in sync through BroadcastChannel and the storage event
+  useEffect(() => {
+    const handleSignedOutElsewhere = () => {
+      // Both the message and the storage event may arrive for the same logout
+      if (statusRef.current === AUTH_STATUS.ANONYMOUS) return;
+
+      // Clear tokens, timers and caches in this tab as well
+      AuthService.logout();
+      setAnonymous();
+      infoRef.current('You have been signed out in another window.');
+    };
+
+    const handleMessage = (event) => {
+      if (event.data && event.data.type === 'logout') {
+        handleSignedOutElsewhere();
+      } else if (event.data && event.data.type === 'login') {
+        refresh();
+      }
+    };
+
+    // Only localStorage raises storage events, so this covers remembered sessions
+    const handleStorage = (event) => {
+      if (event.key !== TOKEN_STORAGE_KEY && event.key !== null) return;
+      if (event.newValue) {
+        // Logged in or token renewed in another tab
+        refresh();
+      } else if (!AuthService.getToken()) {
+        handleSignedOutElsewhere();
+      }
+    };
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      channelRef.current = new BroadcastChannel(AUTH_CHANNEL);
+      channelRef.current.addEventListener('message', handleMessage);
+    }
+    window.addEventListener('storage', handleStorage);
+
+    return () => {
+      window.removeEventListener('storage', handleStorage);
+      if (channelRef.current) {
+        channelRef.current.close();
+        channelRef.current = null;
+      }
+    };
+  }, [refresh, setAnonymous]);
+
+  const value = {
+    user,
+    status,
+    isAuthenticated: status === AUTH_STATUS.AUTHENTICATED,
+    login,
+    verifyTwoFactor,
+    logout,
+    refresh
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+// Custom hook to use the auth context
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (context === undefined) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+export default AuthContext;
@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// The useForm instance of the surrounding <Form>, or null outside of one
+const FormContext = createContext(null);
+
+/**
+ * Get the form that fields inside <Form> connect to
+ * @returns {Object|null} - The object returned by useForm, or null
+ */
+export const useFormContext = () => useContext(FormContext);
+
+export default FormContext;
@@ -0,0 +1,22 @@
+import { useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { hasPermission, hasRole } from '../utils/Permissions';
+
+/**
+ * Check the current user's permissions, e.g. to hide buttons the user may not use
+ * @returns {Function} - can(permissions, { roles }): true if every permission and one of the roles is granted
+ *
+ * @example
+ * const can = useCan();
+ * {can(PERMISSIONS.UPLOAD_SCAN) && <FileUpload ... />}
+ */
+const useCan = () => {
+  const { user } = useAuth();
+
+  return useCallback((permissions, { roles } = {}) => {
+    if (!user) return false;
+    return hasPermission(user.roles, permissions) && hasRole(user.roles, roles);
+  }, [user]);
+};
+
+export default useCan;
@@ -0,0 +1,30 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Count down the seconds until an action may be repeated, e.g. after the server rate limited a request
+ * @returns {Object} - { remaining, isCoolingDown, start(seconds) }
+ */
+const useCooldown = () => {
+  const [remaining, setRemaining] = useState(0);
+
+  useEffect(() => {
+    if (remaining <= 0) return undefined;
+
+    const timer = setTimeout(() => {
+      setRemaining((seconds) => Math.max(0, seconds - 1));
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [remaining]);
+
+  const start = useCallback((seconds) => {
+    setRemaining(Math.max(0, Math.ceil(seconds)));
+  }, []);
+
+  return {
+    remaining,
+    isCoolingDown: remaining > 0,
+    start
+  };
+};
+
+export default useCooldown;
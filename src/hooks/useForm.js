@@ -0,0 +1,331 @@
+import { useState, useEffect, useRef } from 'react';
+import { AbortError } from '../utils/ApiErrors';
+import {
+  getInitialValues,
+  validateField,
+  validateValues,
+  getAffectedFields
+} from '../utils/FormValidation';
+
+// States of an asynchronous field check
+export const ASYNC_VALIDATION_STATUS = {
+  IDLE: 'idle', // Nothing to check yet
+  CHECKING: 'checking',
+  VALID: 'valid',
+  INVALID: 'invalid',
+  ERROR: 'error' // The check itself failed - the server still validates on submit
+};
+
+// Wait this long after the last keystroke before running an async validator
+const DEFAULT_ASYNC_DELAY = 400;
+
+/**
+ * Form state and validation driven by a schema (see utils/FormValidation.js)
+ * Errors are shown once a field has been left or the form submitted; async validators run
+ * while the user types and are awaited on submit. Wrap the fields in <Form form={form}> to
+ * connect FormField and PasswordInput by name.
+ * @param {Object} options - Options
+ * @param {Object} options.schema - The form schema
+ * @param {Object} options.initialValues - Overrides for the schema's initial values
+ * @param {Function} options.onSubmit - (values) => Promise, called when all fields are valid
+ * @param {Function} options.onInvalid - (errors) => void, called when submitting an invalid form
+ * @param {Function} options.onError - (error) => void, called when onSubmit throws; the error is also kept
+ *   as `submitError` and its `fieldErrors`, if any, are shown on the fields
+ * @param {number} options.asyncDelay - Debounce delay for async validators in milliseconds
+ * @returns {Object} - Form state and handlers
+ */
+const useForm = ({ schema, initialValues = {}, onSubmit, onInvalid, onError, asyncDelay = DEFAULT_ASYNC_DELAY }) => {
+  const initialValuesRef = useRef(null);
+  if (initialValuesRef.current === null) {
+    initialValuesRef.current = { ...getInitialValues(schema), ...initialValues };
+  }
+
+  const [values, setValuesState] = useState(initialValuesRef.current);
+  const [errors, setErrorsState] = useState({});
+  const [touched, setTouched] = useState({});
+  const [submitCount, setSubmitCount] = useState(0);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // Error thrown by the last onSubmit, null when it succeeded
+  const [submitError, setSubmitError] = useState(null);
+  // Result of the async validator per field: { status, message }
+  const [asyncResults, setAsyncResults] = useState({});
+
+  // Current values for handlers that run between renders
+  const valuesRef = useRef(values);
+  // Async check per field: { value, timer, controller, promise }
+  const pendingRef = useRef({});
+  const isMountedRef = useRef(true);
+
+  // Latest callbacks, so the page can pass inline functions
+  const onSubmitRef = useRef(onSubmit);
+  const onInvalidRef = useRef(onInvalid);
+  const onErrorRef = useRef(onError);
+  onSubmitRef.current = onSubmit;
+  onInvalidRef.current = onInvalid;
+  onErrorRef.current = onError;
+
+  const cancelAsync = (name) => {
+    const pending = pendingRef.current[name];
+    if (pending) {
+      clearTimeout(pending.timer);
+      if (pending.controller) pending.controller.abort();
+      delete pendingRef.current[name];
+    }
+  };
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    const pending = pendingRef.current;
+    return () => {
+      isMountedRef.current = false;
+      Object.keys(pending).forEach((name) => {
+        clearTimeout(pending[name].timer);
+        if (pending[name].controller) pending[name].controller.abort();
+      });
+    };
+  }, []);
+
+  const setAsyncResult = (name, result) => {
+    if (!isMountedRef.current) return;
+    setAsyncResults((current) => ({ ...current, [name]: result }));
+  };
+
+  // Run the async validator now; resolves with { status, message }
+  const runAsync = (name, value) => {
+    cancelAsync(name);
+
+    const controller = new AbortController();
+    const pending = { value, controller };
+    pending.promise = schema[name].asyncValidator(value, { signal: controller.signal, values: valuesRef.current })
+      .then(({ isValid, message }) => ({
+        status: isValid ? ASYNC_VALIDATION_STATUS.VALID : ASYNC_VALIDATION_STATUS.INVALID,
+        message: message || ''
+      }))
+      .catch((err) => {
+        if (err instanceof AbortError || controller.signal.aborted) {
+          return { status: ASYNC_VALIDATION_STATUS.IDLE, message: '' };
+        }
+        console.error(`Async validation error for ${name}:`, err);
+        return { status: ASYNC_VALIDATION_STATUS.ERROR, message: '' };
+      })
+      .then((result) => {
+        if (!controller.signal.aborted) {
+          setAsyncResult(name, result);
+        }
+        return result;
+      });
+
+    pendingRef.current[name] = pending;
+    return pending.promise;
+  };
+
+  // Debounce the async validator of a field after its value changed
+  const scheduleAsync = (name, nextValues) => {
+    cancelAsync(name);
+    const value = nextValues[name];
+
+    // Values failing the synchronous rules are not sent to the backend
+    if (!value || validateField(schema, name, nextValues)) {
+      setAsyncResult(name, { status: ASYNC_VALIDATION_STATUS.IDLE, message: '' });
+      return;
+    }
+
+    setAsyncResult(name, { status: ASYNC_VALIDATION_STATUS.CHECKING, message: '' });
+    pendingRef.current[name] = {
+      value,
+      timer: setTimeout(() => runAsync(name, value), asyncDelay)
+    };
+  };
+
+  // Update some values and validate the changed fields and the fields depending on them
+  const setValues = (changes) => {
+    const nextValues = { ...valuesRef.current, ...changes };
+    valuesRef.current = nextValues;
+    setValuesState(nextValues);
+
+    const affected = getAffectedFields(schema, Object.keys(changes));
+    setErrorsState((current) => {
+      const nextErrors = { ...current };
+      affected.forEach((name) => {
+        nextErrors[name] = validateField(schema, name, nextValues);
+      });
+      return nextErrors;
+    });
+
+    Object.keys(changes)
+      .filter((name) => schema[name] && schema[name].asyncValidator)
+      .forEach((name) => scheduleAsync(name, nextValues));
+  };
+
+  const setValue = (name, value) => {
+    setValues({ [name]: value });
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setValue(name, type === 'checkbox' ? checked : value);
+  };
+
+  const handleBlur = (e) => {
+    const { name } = e.target;
+    setTouched((current) => (current[name] ? current : { ...current, [name]: true }));
+  };
+
+  /**
+   * Show errors from the server on the matching fields, e.g. ValidationError.fieldErrors
+   * @param {Object} fieldErrors - Error message per field name
+   */
+  const setErrors = (fieldErrors) => {
+    setErrorsState((current) => ({ ...current, ...fieldErrors }));
+    setTouched((current) => ({
+      ...current,
+      ...Object.keys(fieldErrors).reduce((result, name) => ({ ...result, [name]: true }), {})
+    }));
+  };
+
+  /**
+   * Start over with new values, e.g. after loading or saving the data
+   * @param {Object} nextValues - Overrides for the schema's initial values
+   */
+  const reset = (nextValues = {}) => {
+    Object.keys(pendingRef.current).forEach(cancelAsync);
+    initialValuesRef.current = { ...getInitialValues(schema), ...nextValues };
+    valuesRef.current = initialValuesRef.current;
+    setValuesState(initialValuesRef.current);
+    setErrorsState({});
+    setTouched({});
+    setSubmitCount(0);
+    setSubmitError(null);
+    setAsyncResults({});
+  };
+
+  /**
+   * Validate every field, waiting for async validators
+   * @returns {Promise<Object>} - Error message per invalid field
+   */
+  const validate = async () => {
+    const currentValues = valuesRef.current;
+    const nextErrors = validateValues(schema, currentValues);
+
+    const asyncFields = Object.keys(schema).filter((name) => (
+      schema[name].asyncValidator && currentValues[name] && !nextErrors[name]
+    ));
+
+    await Promise.all(asyncFields.map(async (name) => {
+      const pending = pendingRef.current[name];
+      // Reuse the running or finished check for the same value, otherwise check now
+      const result = pending && pending.value === currentValues[name] && pending.promise
+        ? await pending.promise
+        : await runAsync(name, currentValues[name]);
+      if (result.status === ASYNC_VALIDATION_STATUS.INVALID) {
+        nextErrors[name] = result.message;
+      }
+    }));
+
+    return nextErrors;
+  };
+
+  const handleSubmit = async (e) => {
+    if (e && e.preventDefault) {
+      e.preventDefault();
+    }
+
+    setSubmitCount((count) => count + 1);
+    setSubmitError(null);
+    setIsSubmitting(true);
+
+    try {
+      const nextErrors = await validate();
+      if (!isMountedRef.current) return;
+      setErrorsState(nextErrors);
+
+      if (Object.keys(nextErrors).length > 0) {
+        if (onInvalidRef.current) onInvalidRef.current(nextErrors);
+        return;
+      }
+
+      if (onSubmitRef.current) {
+        await onSubmitRef.current(valuesRef.current);
+      }
+    } catch (error) {
+      // The returned promise never rejects, since Form hands it to the browser's submit event
+      if (!isMountedRef.current) return;
+      setSubmitError(error);
+      if (error && error.fieldErrors) {
+        setErrors(error.fieldErrors);
+      }
+      if (onErrorRef.current) {
+        onErrorRef.current(error);
+      } else {
+        console.error('Form submission failed:', error);
+      }
+    } finally {
+      if (isMountedRef.current) {
+        setIsSubmitting(false);
+      }
+    }
+  };
+
+  // Error shown for a field: rule errors once the field was left or the form submitted,
+  // async errors as soon as the check returns
+  const getFieldError = (name) => {
+    if (errors[name] && (touched[name] || submitCount > 0)) {
+      return errors[name];
+    }
+    const asyncResult = asyncResults[name];
+    if (asyncResult && asyncResult.status === ASYNC_VALIDATION_STATUS.INVALID) {
+      return asyncResult.message;
+    }
+    return '';
+  };
+
+  /**
+   * Everything known about a field
+   * @param {string} name - The field name
+   * @returns {Object} - { value, error, touched, dirty, asyncStatus }
+   */
+  const getFieldState = (name) => ({
+    value: values[name],
+    error: getFieldError(name),
+    touched: Boolean(touched[name]),
+    dirty: values[name] !== initialValuesRef.current[name],
+    asyncStatus: (asyncResults[name] && asyncResults[name].status) || ASYNC_VALIDATION_STATUS.IDLE
+  });
+
+  /**
+   * Props connecting an input to the form: { name, value, onChange, onBlur, error }
+   * @param {string} name - The field name
+   * @returns {Object} - Props for FormField, Input or PasswordInput
+   */
+  const getFieldProps = (name) => ({
+    name,
+    value: values[name] !== undefined && values[name] !== null ? values[name] : '',
+    onChange: handleChange,
+    onBlur: handleBlur,
+    error: getFieldError(name)
+  });
+
+  const isDirty = Object.keys(values).some((name) => values[name] !== initialValuesRef.current[name]);
+
+  return {
+    values,
+    errors,
+    touched,
+    submitCount,
+    isSubmitting,
+    submitError,
+    isDirty,
+    handleChange,
+    handleBlur,
+    handleSubmit,
+    setValue,
+    setValues,
+    setErrors,
+    reset,
+    validate,
+    getFieldProps,
+    getFieldState
+  };
+};
+
+export default useForm;
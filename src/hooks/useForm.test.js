@@ -0,0 +1,55 @@
+import { renderHook, act } from '@testing-library/react';
+import useForm from './useForm';
+import { rules } from '../utils/FormValidation';
+import { ValidationError } from '../utils/ApiErrors';
+
+const schema = {
+  userName: {
+    rules: [rules.required('Username is required')]
+  }
+};
+
+const renderForm = (options) => renderHook(() => useForm({
+  schema,
+  initialValues: { userName: 'jane' },
+  ...options
+}));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('submits the values when every field is valid', async () => {
+  const onSubmit = jest.fn().mockResolvedValue();
+  const { result } = renderForm({ onSubmit });
+
+  await act(() => result.current.handleSubmit());
+
+  expect(onSubmit).toHaveBeenCalledWith({ userName: 'jane' });
+  expect(result.current.submitError).toBeNull();
+  expect(result.current.isSubmitting).toBe(false);
+});
+
+test('keeps an error thrown by onSubmit and hands it to onError', async () => {
+  const error = new ValidationError('Username taken', { status: 409, fieldErrors: { userName: 'Username taken' } });
+  const onError = jest.fn();
+  const { result } = renderForm({ onSubmit: jest.fn().mockRejectedValue(error), onError });
+
+  await act(() => expect(result.current.handleSubmit()).resolves.toBeUndefined());
+
+  expect(onError).toHaveBeenCalledWith(error);
+  expect(result.current.submitError).toBe(error);
+  expect(result.current.getFieldState('userName').error).toBe('Username taken');
+  expect(result.current.isSubmitting).toBe(false);
+});
+
+test('logs an error thrown by onSubmit without onError', async () => {
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const error = new Error('Request failed');
+  const { result } = renderForm({ onSubmit: jest.fn().mockRejectedValue(error) });
+
+  await act(() => result.current.handleSubmit());
+
+  expect(result.current.submitError).toBe(error);
+  expect(consoleError).toHaveBeenCalledWith('Form submission failed:', error);
+});
@@ -0,0 +1,215 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { AbortError } from '../utils/ApiErrors';
+
+// States of an image in the upload queue
+export const UPLOAD_STATUS = {
+  PENDING: 'pending', // Waiting for a free slot
+  ANALYZING: 'analyzing', // Sent for prediction and being stored
+  STORED: 'stored', // Analysed and saved in the history
+  FAILED: 'failed'
+};
+
+// Analyse this many images at the same time by default
+const DEFAULT_CONCURRENCY = 2;
+
+let nextItemId = 1;
+
+const isActive = (item) => (
+  item.status === UPLOAD_STATUS.PENDING || item.status === UPLOAD_STATUS.ANALYZING
+);
+
+// Thumbnails are object URLs, which are missing in some test environments
+const createPreview = (file) => (
+  typeof URL.createObjectURL === 'function' ? URL.createObjectURL(file) : ''
+);
+
+const revokePreview = (item) => {
+  if (item.preview && typeof URL.revokeObjectURL === 'function') {
+    URL.revokeObjectURL(item.preview);
+  }
+};
+
+/**
+ * Queue of images analysed a few at a time
+ * Items move from pending to analyzing to stored or failed; failed items can be retried and
+ * any item can be removed, which cancels its request when it is still running.
+ * @param {Object} options - Options
+ * @param {Function} options.analyze - (file, { signal, ...itemOptions }) => Promise<result>, e.g. EyeAnalysisService.analyzeEyeImage
+ * @param {number} options.concurrency - How many images are analysed at the same time
+ * @param {Function} options.formatError - (error) => message shown for a failed item
+ * @param {Function} options.onError - (error, item) => void, called for every failed item
+ * @param {Function} options.onBatchComplete - (items) => void, called when the last active item finished
+ * @returns {Object} - { items, counts, isProcessing, isBatchComplete, addFiles, retry, retryFailed, remove, cancelAll, clear }
+ */
+const useUploadQueue = ({
+  analyze,
+  concurrency = DEFAULT_CONCURRENCY,
+  formatError = (error) => error.message,
+  onError,
+  onBatchComplete
+}) => {
+  const [items, setItems] = useState([]);
+
+  // Controller per running item, so removing or cancelling aborts its request
+  const controllersRef = useRef({});
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+
+  // Latest callbacks, so the page can pass inline functions
+  const callbacksRef = useRef({});
+  callbacksRef.current = { analyze, formatError, onError, onBatchComplete };
+
+  const updateItem = useCallback((id, changes) => {
+    setItems((current) => current.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  const startItem = useCallback((item) => {
+    const controller = new AbortController();
+    controllersRef.current[item.id] = controller;
+    updateItem(item.id, { status: UPLOAD_STATUS.ANALYZING, error: '', cancelled: false, attempts: item.attempts + 1 });
+
+    // Free the slot before the status change, so the next pending item can start
+    const release = () => {
+      if (controllersRef.current[item.id] === controller) {
+        delete controllersRef.current[item.id];
+      }
+    };
+
+    callbacksRef.current.analyze(item.file, { ...item.options, signal: controller.signal })
+      .then((result) => {
+        if (controller.signal.aborted) return;
+        release();
+        updateItem(item.id, { status: UPLOAD_STATUS.STORED, result });
+      })
+      .catch((err) => {
+        // Removed, cancelled or the page was left; whoever aborted has updated the item
+        if (err instanceof AbortError || controller.signal.aborted) return;
+
+        release();
+        const { formatError: format, onError: handleError } = callbacksRef.current;
+        updateItem(item.id, { status: UPLOAD_STATUS.FAILED, error: format(err) || 'Analysis failed' });
+        if (handleError) handleError(err, item);
+      });
+  }, [updateItem]);
+
+  // Start pending items while there are free slots
+  useEffect(() => {
+    const running = Object.keys(controllersRef.current).length;
+    const pending = items.filter((item) => (
+      item.status === UPLOAD_STATUS.PENDING && !controllersRef.current[item.id]
+    ));
+    pending.slice(0, Math.max(0, concurrency - running)).forEach(startItem);
+  }, [items, concurrency, startItem]);
+
+  const isProcessing = items.some(isActive);
+
+  // Report the end of a batch once, when the last active item has finished
+  const wasProcessingRef = useRef(false);
+  useEffect(() => {
+    if (wasProcessingRef.current && !isProcessing && callbacksRef.current.onBatchComplete) {
+      callbacksRef.current.onBatchComplete(itemsRef.current);
+    }
+    wasProcessingRef.current = isProcessing;
+  }, [isProcessing]);
+
+  // Cancel running requests and release the thumbnails when leaving the page
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => {
+      Object.values(controllers).forEach((controller) => controller.abort());
+      itemsRef.current.forEach(revokePreview);
+    };
+  }, []);
+
+  const abortItem = (id) => {
+    const controller = controllersRef.current[id];
+    if (controller) {
+      controller.abort();
+      delete controllersRef.current[id];
+    }
+  };
+
+  /**
+   * Add images to the end of the queue
+   * @param {Array<File|Object>} files - The images to analyse, either files or { file, options } where
+   *   the options are passed on to `analyze`, e.g. { laterality: 'OD' }
+   */
+  const addFiles = (files) => {
+    const newItems = Array.from(files).map((entry) => ({
+      id: nextItemId++,
+      file: entry.file || entry,
+      options: entry.file ? entry.options || {} : {},
+      preview: createPreview(entry.file || entry),
+      status: UPLOAD_STATUS.PENDING,
+      result: null,
+      error: '',
+      cancelled: false, // Stopped by cancelAll rather than failed
+      attempts: 0
+    }));
+    setItems((current) => [...current, ...newItems]);
+  };
+
+  /**
+   * Queue a failed item again
+   * @param {number} id - The item id
+   */
+  const retry = (id) => {
+    setItems((current) => current.map((item) => (
+      item.id === id && item.status === UPLOAD_STATUS.FAILED
+        ? { ...item, status: UPLOAD_STATUS.PENDING, error: '' }
+        : item
+    )));
+  };
+
+  const retryFailed = () => {
+    setItems((current) => current.map((item) => (
+      item.status === UPLOAD_STATUS.FAILED ? { ...item, status: UPLOAD_STATUS.PENDING, error: '' } : item
+    )));
+  };
+
+  /**
+   * Take an item out of the queue, cancelling its analysis if it is running
+   * @param {number} id - The item id
+   */
+  const remove = (id) => {
+    abortItem(id);
+    const item = itemsRef.current.find((queued) => queued.id === id);
+    if (item) revokePreview(item);
+    setItems((current) => current.filter((queued) => queued.id !== id));
+  };
+
+  // Stop everything that has not finished; the items stay in the queue as failed and cancelled so they can be retried
+  const cancelAll = () => {
+    itemsRef.current.filter(isActive).forEach((item) => abortItem(item.id));
+    setItems((current) => current.map((item) => (
+      isActive(item) ? { ...item, status: UPLOAD_STATUS.FAILED, error: 'Cancelled', cancelled: true } : item
+    )));
+  };
+
+  // Empty the queue, cancelling whatever is still running
+  const clear = () => {
+    Object.keys(controllersRef.current).forEach(abortItem);
+    itemsRef.current.forEach(revokePreview);
+    setItems([]);
+  };
+
+  const counts = Object.values(UPLOAD_STATUS).reduce((result, status) => ({
+    ...result,
+    [status]: items.filter((item) => item.status === status).length
+  }), { total: items.length });
+
+  return {
+    items,
+    counts,
+    isProcessing,
+    isBatchComplete: items.length > 0 && !isProcessing,
+    addFiles,
+    retry,
+    retryFailed,
+    remove,
+    cancelAll,
+    clear
+  };
+};
+
+export default useUploadQueue;
@@ -2,12 +2,25 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import ConfigError from './pages/ConfigError';
+import ConfigService from './services/ConfigService';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-    <App />
-);
+
+// Load the runtime configuration before rendering so every service sees the right endpoints
+ConfigService.loadConfig()
+  .then(() => {
+    root.render(
+        <App />
+    );
+  })
+  .catch((error) => {
+    console.error('Invalid application configuration:', error);
+    root.render(
+        <ConfigError error={error} />
+    );
+  });
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
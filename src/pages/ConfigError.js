@@ -0,0 +1,31 @@
+import React from 'react';
+
+/**
+ * Startup error screen shown instead of the app when the runtime configuration is invalid
+ * Rendered outside the Router and providers, so it must not depend on them
+ */
+const ConfigError = ({ error }) => {
+  const details = error && error.errors ? error.errors : [];
+
+  return (
+    <div className="min-h-screen flex flex-col justify-center items-center bg-gray-50 px-4">
+      <h1 className="text-4xl font-bold text-red-600">Configuration Error</h1>
+      <h2 className="text-xl font-medium text-gray-800 mt-4 mb-6">
+        {(error && error.message) || 'The application could not be configured'}
+      </h2>
+      {details.length > 0 && (
+        <ul className="max-w-2xl w-full mb-6 p-4 bg-red-50 border-l-4 border-red-400 rounded-md text-sm text-red-800 list-disc pl-8 space-y-1">
+          {details.map((detail, index) => (
+            <li key={index} className="break-words">{detail}</li>
+          ))}
+        </ul>
+      )}
+      <p className="text-gray-600 text-center max-w-md">
+        Check the <code>config.json</code> file deployed with the application or the
+        {' '}<code>REACT_APP_*</code> environment variables used for the build, then reload the page.
+      </p>
+    </div>
+  );
+};
+
+export default ConfigError;
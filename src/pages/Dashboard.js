@@ -1,48 +1,144 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Layout from '../components/Layout';
 import Card from '../components/Card';
 import FileUpload from '../components/FileUpload';
+import UploadQueue from '../components/UploadQueue';
+import BatchSummary from '../components/BatchSummary';
+import EyePairResults from '../components/EyePairResults';
 import Button from '../components/Button';
 import AnalysisHistory from '../components/AnalysisHistory';
-import AuthService from '../services/AuthService';
 import EyeAnalysisService from '../services/EyeAnalysisService';
 import { useAlert } from '../contexts/AlertContext';
+import { useAuth } from '../contexts/AuthContext';
+import useCan from '../hooks/useCan';
+import useUploadQueue, { UPLOAD_STATUS } from '../hooks/useUploadQueue';
+import { PERMISSIONS } from '../utils/Permissions';
 import { validateImageFile } from '../utils/ValidationUtils';
+import { LATERALITY, LATERALITY_LABELS } from '../utils/Laterality';
+import { formatDateTime } from '../utils/DateUtils';
+import {
+  TimeoutError,
+  AbortError,
+  NetworkError,
+  AuthExpiredError,
+  ValidationError,
+  InferenceError
+} from '../utils/ApiErrors';
+
+// Give up on loading the history after 15 seconds
+const HISTORY_TIMEOUT = 15000;
+
+// Images sent to the model server at the same time
+const MAX_CONCURRENT_ANALYSES = 2;
+
+// Abort the request held in the given ref, if any
+const cancelRequest = (requestRef) => {
+  if (requestRef.current) {
+    requestRef.current.abort();
+    requestRef.current = null;
+  }
+};
+
+// Message shown for an image whose analysis failed, by error type
+const getAnalysisErrorMessage = (err) => {
+  if (err instanceof NetworkError) {
+    return 'Network error. Please check your internet connection and try again.';
+  }
+  if (err instanceof TimeoutError) {
+    return 'Analysis timed out. The server might be busy, please try again later.';
+  }
+  if (err instanceof InferenceError && err.status >= 400 && err.status < 500) {
+    // The model server rejected the image itself
+    return 'The image format cannot be processed. Please try a different image.';
+  }
+  if (err instanceof ValidationError && err.message) {
+    // The records backend refused to store the result
+    return err.message;
+  }
+  // The server's own message, or a generic fallback
+  return err.message || 'An unexpected error occurred during image analysis. Please try again.';
+};
 
 const Dashboard = () => {
-  const [uploadedImage, setUploadedImage] = useState(null);
   const [imagePreview, setImagePreview] = useState('');
   const [analysisResult, setAnalysisResult] = useState(null);
-  const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysisHistory, setAnalysisHistory] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
+  // Controller for the in-flight history request so it can be cancelled
+  const historyRequestRef = useRef(null);
+  // Several images can fail with an expired session, but the user is logged out once
+  const sessionEndedRef = useRef(false);
   const navigate = useNavigate();
-  const { success, error: showError, info } = useAlert();  useEffect(() => {
-    // Check if user is authenticated using AuthService
-    if (!AuthService.isAuthenticated()) {
+  const { success, warning, error: showError, info } = useAlert();
+  // Keep the latest alert function so the history loader does not change on every render
+  const showErrorRef = useRef(showError);
+  showErrorRef.current = showError;
+  const { logout } = useAuth();
+  const can = useCan();
+
+  const handleAnalysisError = (err) => {
+    console.error('Error analyzing image:', err);
+
+    if (err instanceof AuthExpiredError && !sessionEndedRef.current) {
+      sessionEndedRef.current = true;
+      showError(err.message);
+      logout();
       navigate('/login');
-      return;
+    }
+  };
+
+  const handleBatchComplete = (items) => {
+    const stored = items.filter((item) => item.status === UPLOAD_STATUS.STORED);
+    const failed = items.filter((item) => item.status === UPLOAD_STATUS.FAILED);
+    // Nothing to report when the batch was cleared or the session ended
+    if (items.length === 0 || sessionEndedRef.current) return;
+
+    if (items.length === 1) {
+      // A single image is shown right away, like before batches existed
+      if (stored.length === 1) {
+        setAnalysisResult(stored[0].result);
+        setImagePreview(stored[0].preview);
+        success('Analysis complete!');
+      } else if (!failed[0].cancelled) {
+        showError(failed[0].error);
+      }
+    } else if (failed.length === 0) {
+      success(`All ${items.length} images were analyzed and stored.`);
+    } else {
+      warning(`${stored.length} of ${items.length} images were analyzed, ${failed.length} failed. You can retry them from the batch results.`);
     }
 
-    // Load user's analysis history
-    fetchAnalysisHistory();
-  }, [navigate]);  // Fetch user's analysis history from Java backend with enhanced error handling
-  const fetchAnalysisHistory = async () => {
+    // Refresh history once the batch stored new results
+    if (stored.length > 0) {
+      fetchAnalysisHistory();
+    }
+  };
+
+  const queue = useUploadQueue({
+    analyze: EyeAnalysisService.analyzeEyeImage,
+    concurrency: MAX_CONCURRENT_ANALYSES,
+    formatError: getAnalysisErrorMessage,
+    onError: handleAnalysisError,
+    onBatchComplete: handleBatchComplete
+  });
+
+  // Fetch user's analysis history from Java backend with enhanced error handling
+  const fetchAnalysisHistory = useCallback(async () => {
+    // Only the latest history request matters
+    cancelRequest(historyRequestRef);
+    const controller = new AbortController();
+    historyRequestRef.current = controller;
+
     try {
       setIsLoading(true);
       
-      // Use a timeout promise to prevent infinite loading if the request takes too long
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Request timeout')), 15000); // 15 second timeout
+      // The request is aborted if it takes too long, so loading never hangs
+      const history = await EyeAnalysisService.getUserAnalysisHistory({
+        signal: controller.signal,
+        timeout: HISTORY_TIMEOUT
       });
       
-      // Race the actual request against the timeout
-      const history = await Promise.race([
-        EyeAnalysisService.getUserAnalysisHistory(),
-        timeoutPromise
-      ]);
-      
       // Process the history data
       if (Array.isArray(history)) {
         setAnalysisHistory(history);
@@ -51,17 +147,23 @@ const Dashboard = () => {
         setAnalysisHistory([]);
       }
     } catch (err) {
+      // Cancelled because the user left the page or a newer request started
+      if (err instanceof AbortError) {
+        return;
+      }
+      
       console.error('Error fetching analysis history:', err);
       
       // Provide specific error messages based on error type
-      if (err.message === 'Request timeout') {
+      const showError = showErrorRef.current;
+      if (err instanceof TimeoutError) {
         showError('Request timed out while loading history. The server may be experiencing high load.');
-      } else if (err.message && err.message.includes('network')) {
+      } else if (err instanceof NetworkError) {
         showError('Network error while loading history. Please check your connection.');
-      } else if (err.message && err.message.includes('unauthorized')) {
+      } else if (err instanceof AuthExpiredError) {
         showError('Your session has expired. Please login again.');
-        // Redirect to login if unauthorized
-        AuthService.removeToken();
+        // End the session everywhere and redirect to login
+        logout();
         navigate('/login');
         return;
       } else {
@@ -71,77 +173,75 @@ const Dashboard = () => {
       // Set empty history if API fails
       setAnalysisHistory([]);
     } finally {
-      setIsLoading(false);
+      if (historyRequestRef.current === controller) {
+        historyRequestRef.current = null;
+        setIsLoading(false);
+      }
     }
-  };
+  }, [logout, navigate]);
 
-  // Improved file upload handler with enhanced validation and error feedback
-  const handleFileUpload = (file, preview) => {
-    // Reset the current analysis state before starting a new one
-    setAnalysisResult(null);
-    
-    // Validate the uploaded file using ValidationUtils
-    const fileValidation = validateImageFile(file);
-    if (!fileValidation.isValid) {
-      showError(fileValidation.message);
-      return;
-    }
+  useEffect(() => {
+    // Load user's analysis history (ProtectedRoute has already confirmed the session)
+    fetchAnalysisHistory();
 
-    // All validations passed, proceed with upload
-    setUploadedImage(file);
-    setImagePreview(preview);
-    
-    // Show loading state
-    setIsAnalyzing(true);
-    info('Analyzing your eye image...', 2000);
+    // Cancel the history request when leaving the dashboard; the queue cancels its own
+    return () => {
+      cancelRequest(historyRequestRef);
+    };
+  }, [fetchAnalysisHistory]);
 
-    // Use the EyeAnalysisService to analyze the image with enhanced error handling
-    EyeAnalysisService.analyzeEyeImage(file)
-      .then(data => {
-        if (!data) {
-          throw new Error('No analysis data received from server');
-        }
-        
-        // Store the analysis result
-        setAnalysisResult(data);
-        success('Analysis complete!');
-        
-        // Refresh history after successful analysis
-        fetchAnalysisHistory();
-      })
-      .catch(err => {
-        console.error('Error analyzing image:', err);
-        
-        // Categorize and display specific error messages based on error type
-        if (err.message && err.message.includes('network')) {
-          showError('Network error. Please check your internet connection and try again.');
-        } else if (err.message && err.message.includes('timeout')) {
-          showError('Analysis timed out. The server might be busy, please try again later.');
-        } else if (err.message && err.message.includes('format')) {
-          showError('The image format cannot be processed. Please try a different image.');
-        } else if (err.message) {
-          // If server provided a specific error message
-          showError(err.message);
-        } else {
-          // Generic fallback message
-          showError('An unexpected error occurred during image analysis. Please try again.');
-        }
-        
-        // Reset the analysis result
-        setAnalysisResult(null);
-      })
-      .finally(() => {
-        setIsAnalyzing(false);
-      });
+  // Validate the selected images and add them to the upload queue with the eye they show
+  const handleFilesUpload = (selections) => {
+    const validFiles = selections.filter(({ file }) => {
+      const fileValidation = validateImageFile(file);
+      if (!fileValidation.isValid) {
+        showError(fileValidation.message);
+      }
+      return fileValidation.isValid;
+    });
+    if (validFiles.length === 0) return;
+
+    // New results replace the one on display
+    setAnalysisResult(null);
+    setImagePreview('');
+    queue.addFiles(validFiles.map(({ file, laterality, metadata }) => ({ file, options: { laterality, metadata } })));
+    info(validFiles.length === 1 ? 'Analyzing your eye image...' : `Analyzing ${validFiles.length} eye images...`, 2000);
   };
 
   const handleNewScan = () => {
-    setUploadedImage(null);
+    // Stop analyses that are still running
+    queue.clear();
     setImagePreview('');
     setAnalysisResult(null);
   };
+
+  // Close the result of one image and go back to the queue
+  const handleCloseResult = () => {
+    setImagePreview('');
+    setAnalysisResult(null);
+  };
+
+  const handleViewQueuedResult = (item) => {
+    setAnalysisResult(item.result);
+    setImagePreview(item.preview);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  // Stored results of the current batch, shown side by side once both eyes have one
+  const storedItems = queue.items.filter((item) => item.status === UPLOAD_STATUS.STORED);
+  const hasBothEyes = [LATERALITY.RIGHT, LATERALITY.LEFT].every((laterality) => (
+    storedItems.some((item) => item.options.laterality === laterality)
+  ));
+
+  // Patient and capture date the image file carried, e.g. a DICOM export
+  const resultMetadata = (analysisResult && analysisResult.metadata) || {};
+  const resultPatient = [resultMetadata.patientName, resultMetadata.patientId && `(ID ${resultMetadata.patientId})`]
+    .filter(Boolean)
+    .join(' ');
+
   const handleViewDetail = (detailData) => {
     setAnalysisResult(detailData);
+    setImagePreview('');
     // Scroll to the top to show results
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
@@ -154,19 +254,40 @@ const Dashboard = () => {
         <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
           {/* Upload Section */}
           <Card title="Upload Eye Image">
-            <FileUpload onFileUpload={handleFileUpload} />
+            {can(PERMISSIONS.UPLOAD_SCAN) ? (
+              <>
+                <FileUpload onFilesUpload={handleFilesUpload} />
+                <UploadQueue queue={queue} onViewResult={handleViewQueuedResult} />
+              </>
+            ) : (
+              <div className="py-12 text-center text-gray-500">
+                Your role can review analysis results, but uploading images is done by patients and technicians.
+              </div>
+            )}
           </Card>
           
           {/* Results Section */}
           <Card title="Analysis Results">
-            {isAnalyzing ? (
+            {queue.isProcessing && !analysisResult ? (
               <div className="flex flex-col items-center justify-center py-8">
                 <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-blue-500 mb-4"></div>
-                <p className="text-lg text-gray-700">Analyzing your eye image...</p>
+                <p className="text-lg text-gray-700">
+                  {queue.counts.total === 1
+                    ? 'Analyzing your eye image...'
+                    : `Analyzing eye images... ${queue.counts[UPLOAD_STATUS.STORED] + queue.counts[UPLOAD_STATUS.FAILED]} of ${queue.counts.total} done`}
+                </p>
+                <Button 
+                  onClick={queue.cancelAll}
+                  className="mt-4 bg-gray-200 text-gray-800 hover:bg-gray-300"
+                >
+                  Cancel Analysis
+                </Button>
               </div>            ) : analysisResult ? (
               <div className="space-y-4">
                 <div className="flex items-center justify-between">
-                  <h3 className="text-xl font-semibold">Diagnosis:</h3>
+                  <h3 className="text-xl font-semibold">
+                    Diagnosis{analysisResult.laterality ? ` - ${LATERALITY_LABELS[analysisResult.laterality]}` : ''}:
+                  </h3>
                   <span 
                     className={`px-3 py-1 rounded-full text-sm font-medium ${
                       analysisResult.diagnosis === 'normal' || analysisResult.diagnosis === 'Normal' 
@@ -177,6 +298,23 @@ const Dashboard = () => {
                     {analysisResult.diagnosis.charAt(0).toUpperCase() + analysisResult.diagnosis.slice(1)}
                   </span>
                 </div>
+
+                {(resultPatient || resultMetadata.acquisitionDate) && (
+                  <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm bg-gray-50 rounded-md p-3">
+                    {resultPatient && (
+                      <>
+                        <dt className="text-gray-500">Patient</dt>
+                        <dd className="text-gray-900">{resultPatient}</dd>
+                      </>
+                    )}
+                    {resultMetadata.acquisitionDate && (
+                      <>
+                        <dt className="text-gray-500">Image taken</dt>
+                        <dd className="text-gray-900">{formatDateTime(resultMetadata.acquisitionDate)}</dd>
+                      </>
+                    )}
+                  </dl>
+                )}
                 
                 <div>
                   <h4 className="font-medium mb-2">Confidence Score</h4>
@@ -206,12 +344,21 @@ const Dashboard = () => {
                   <p className="text-gray-700">{analysisResult.recommendations}</p>
                 </div>
                 
-                <Button 
-                  onClick={handleNewScan}
-                  className="w-full mt-4"
-                >
-                  Start New Scan
-                </Button>
+                {queue.counts.total > 1 ? (
+                  <Button 
+                    onClick={handleCloseResult}
+                    className="w-full mt-4"
+                  >
+                    Back to Batch
+                  </Button>
+                ) : (
+                  <Button 
+                    onClick={handleNewScan}
+                    className="w-full mt-4"
+                  >
+                    Start New Scan
+                  </Button>
+                )}
               </div>
             ) : (
               <div className="flex flex-col items-center justify-center py-12 text-center">
@@ -251,11 +398,26 @@ const Dashboard = () => {
           </div>
         )}
 
+        {/* Two-Eye Results Section */}
+        {hasBothEyes && (
+          <div className="mt-8">
+            <EyePairResults items={storedItems} onViewResult={handleViewQueuedResult} />
+          </div>
+        )}
+
+        {/* Batch Results Section */}
+        {queue.isBatchComplete && queue.counts.total > 1 && (
+          <div className="mt-8">
+            <BatchSummary queue={queue} onViewResult={handleViewQueuedResult} />
+          </div>
+        )}
+
         {/* Analysis History Section */}
         <div className="mt-8">
           <AnalysisHistory 
             history={analysisHistory} 
             onViewDetail={handleViewDetail} 
+            loading={isLoading}
           />
         </div>
         
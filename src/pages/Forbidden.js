@@ -0,0 +1,26 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import Button from '../components/Button';
+
+const Forbidden = () => {
+  const location = useLocation();
+  const from = location.state && location.state.from;
+
+  return (
+    <div className="min-h-screen flex flex-col justify-center items-center bg-gray-50 px-4">
+      <h1 className="text-9xl font-bold text-blue-600">403</h1>
+      <h2 className="text-2xl font-medium text-gray-800 mt-4 mb-6">Access Denied</h2>
+      <p className="text-gray-600 text-center max-w-md mb-8">
+        Your account does not have permission to view {from ? <code className="text-gray-800">{from}</code> : 'this page'}.
+        If you think this is a mistake, please contact your clinic administrator.
+      </p>
+      <Link to="/dashboard">
+        <Button className="px-8">
+          Go to Dashboard
+        </Button>
+      </Link>
+    </div>
+  );
+};
+
+export default Forbidden;
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import FormField from '../components/FormField';
+import FormGroup from '../components/FormGroup';
+import FormSection from '../components/FormSection';
+import Button from '../components/Button';
+import Card from '../components/Card';
+import eyeLogo from '../assets/images/eye-logo.png';
+import eyeScan from '../assets/images/eye-scan.jpg';
+import AuthService from '../services/AuthService';
+import { useAlert } from '../contexts/AlertContext';
+import useCooldown from '../hooks/useCooldown';
+import { isValidEmail } from '../utils/ValidationUtils';
+import { RateLimitError } from '../utils/ApiErrors';
+
+// Seconds before another reset link can be requested
+const RESEND_COOLDOWN = 60;
+
+// Wait used when the server rate limits without a Retry-After header
+const DEFAULT_RATE_LIMIT_WAIT = 60;
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [emailError, setEmailError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSent, setIsSent] = useState(false);
+  const [error, setError] = useState('');
+  const { error: showError, success, warning, validation } = useAlert();
+  const cooldown = useCooldown();
+
+  const handleChange = (e) => {
+    setEmail(e.target.value);
+
+    // Clear errors when user starts typing
+    if (emailError) {
+      setEmailError('');
+    }
+    if (error) {
+      setError('');
+    }
+  };
+
+  const sendResetLink = () => {
+    setIsLoading(true);
+    setError('');
+
+    AuthService.requestPasswordReset(email)
+      .then(() => {
+        setIsSent(true);
+        success('Check your inbox for the password reset link.');
+        cooldown.start(RESEND_COOLDOWN);
+      })
+      .catch(err => {
+        if (err instanceof RateLimitError) {
+          const waitSeconds = err.retryAfter ? Math.ceil(err.retryAfter / 1000) : DEFAULT_RATE_LIMIT_WAIT;
+          cooldown.start(waitSeconds);
+          setError(`Too many reset requests. Please try again in ${waitSeconds} seconds.`);
+          warning('Too many reset requests. Please wait before trying again.');
+          return;
+        }
+
+        setError(err.message || 'Could not send the reset link. Please try again.');
+        showError(err.message || 'Could not send the reset link. Please try again.');
+      })
+      .finally(() => {
+        setIsLoading(false);
+      });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    // Email validation
+    if (!email) {
+      setEmailError('Email is required');
+      validation('Please fix the validation errors to continue');
+      return;
+    }
+    if (!isValidEmail(email)) {
+      setEmailError('Please enter a valid email address');
+      validation('Please fix the validation errors to continue');
+      return;
+    }
+
+    if (cooldown.isCoolingDown) {
+      return;
+    }
+
+    sendResetLink();
+  };
+
+  // Label for the submit button while a request is running or the cooldown is active
+  const getButtonLabel = (idleLabel) => {
+    if (isLoading) return 'Sending...';
+    if (cooldown.isCoolingDown) return `${idleLabel} in ${cooldown.remaining}s`;
+    return idleLabel;
+  };
+
+  return (
+    <div className="min-h-screen flex">
+      {/* Left Side - Forgot Password Form */}
+      <div className="w-full lg:w-1/2 flex flex-col justify-center items-center p-8 bg-white">
+        <div className="max-w-md w-full space-y-8">
+          <div className="text-center">
+            <img
+              className="mx-auto h-16 w-auto"
+              src={eyeLogo}
+              alt="Eye Disease Detection"
+            />
+            <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+              Forgot your password?
+            </h2>
+            <p className="mt-2 text-sm text-gray-600">
+              Enter your email and we'll send you a link to reset it
+            </p>
+          </div>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {isSent ? (
+            <div className="mt-8 space-y-6">
+              <div className="p-4 bg-green-50 border border-green-200 text-green-700 rounded-md text-sm">
+                If an account exists for <span className="font-medium">{email}</span>, you will receive an email
+                with a link to reset your password. The link is valid for a limited time.
+              </div>
+
+              <Button
+                type="button"
+                className="w-full flex justify-center py-3"
+                onClick={sendResetLink}
+                disabled={isLoading || cooldown.isCoolingDown}
+              >
+                {getButtonLabel('Send again')}
+              </Button>
+            </div>
+          ) : (
+            <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+              <Card className="p-6">
+                <FormSection
+                  title="Reset Password"
+                  description="We'll email you a secure reset link"
+                  borderless
+                >
+                  <FormGroup>
+                    <FormField
+                      label="Email Address"
+                      type="email"
+                      name="email"
+                      value={email}
+                      onChange={handleChange}
+                      placeholder="Enter your email"
+                      required
+                      error={emailError}
+                      isValid={!emailError && email.length > 0}
+                      showValidation={true}
+                    />
+                  </FormGroup>
+                </FormSection>
+              </Card>
+
+              <Button
+                type="submit"
+                className="w-full flex justify-center py-3"
+                disabled={isLoading || cooldown.isCoolingDown}
+              >
+                {getButtonLabel('Send reset link')}
+              </Button>
+            </form>
+          )}
+
+          <div className="text-center mt-4">
+            <p className="text-sm text-gray-600">
+              Remembered your password?{' '}
+              <Link to="/login" className="font-medium text-blue-600 hover:text-blue-500">
+                Sign in
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Right Side - Image */}
+      <div className="hidden lg:block lg:w-1/2 relative">
+        <img
+          className="absolute inset-0 h-full w-full object-cover"
+          src={eyeScan}
+          alt="Eye scan visualization"
+        />
+        <div className="absolute inset-0 bg-gradient-to-r from-blue-500 to-purple-600 opacity-60"></div>
+        <div className="absolute inset-0 flex flex-col justify-center items-center text-white p-12">
+          <h1 className="text-4xl font-bold mb-4 text-center">Eye Disease Detection</h1>
+          <p className="text-xl text-center max-w-lg">
+            Regain access to your analysis history in a few steps.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
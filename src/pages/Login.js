@@ -1,29 +1,73 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, Link, useLocation } from 'react-router-dom';
+import Form from '../components/Form';
 import FormField from '../components/FormField';
 import FormGroup from '../components/FormGroup';
 import FormSection from '../components/FormSection';
 import PasswordInput from '../components/PasswordInput';
 import Button from '../components/Button';
 import Card from '../components/Card';
+import TwoFactorChallenge from '../components/TwoFactorChallenge';
 import eyeLogo from '../assets/images/eye-logo.png';
 import eyeScan from '../assets/images/eye-scan.jpg';
-import AuthService from '../services/AuthService';
 import { useAlert } from '../contexts/AlertContext';
-import { isValidEmail } from '../utils/ValidationUtils';
+import { useAuth, AUTH_STATUS } from '../contexts/AuthContext';
+import useForm from '../hooks/useForm';
+import { loginSchema } from '../utils/FormSchemas';
+import { AuthExpiredError, RateLimitError, ValidationError } from '../utils/ApiErrors';
+
+// Error code the backend sends when the account's email address is not verified
+const EMAIL_NOT_VERIFIED = 'EMAIL_NOT_VERIFIED';
 
 const Login = () => {
-  const [formData, setFormData] = useState({
-    email: '',
-    password: '',
-  });
-  const [validationErrors, setValidationErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
+  // Pending 2FA challenge after the password was accepted: { challengeToken, remember }
+  const [challenge, setChallenge] = useState(null);
+  const [challengeError, setChallengeError] = useState('');
   const navigate = useNavigate();
   const location = useLocation();
   const { error: showError, success, validation } = useAlert();
+  const { status, login, verifyTwoFactor } = useAuth();
+
+  const form = useForm({
+    schema: loginSchema,
+    onInvalid: () => {
+      validation('Please fix the validation errors to continue');
+    },
+    onSubmit: (values) => {
+      setError('');
+
+      return login(values.email, values.password, { remember: values.rememberMe })
+        .then((data) => {
+          if (data && data.twoFactorRequired) {
+            // Ask for the second factor - the password is no longer needed
+            setChallenge({ challengeToken: data.challengeToken, remember: values.rememberMe });
+            setChallengeError('');
+            form.reset({ email: values.email, rememberMe: values.rememberMe });
+            return;
+          }
+          success('Login successful!');
+          navigate('/dashboard');
+        })
+        .catch(err => {
+          // The password was right, but the email address has not been confirmed yet
+          if (err instanceof ValidationError && err.code === EMAIL_NOT_VERIFIED) {
+            navigate('/verify-email', { state: { email: values.email } });
+            return;
+          }
+
+          // Save the error in state for in-form display
+          setError(err.message || 'Login failed. Please check your credentials.');
+          // Also display an alert notification for better visibility
+          showError(err.message || 'Login failed. Please check your credentials.');
+
+          // Reset password field on error for security
+          form.reset({ email: values.email, rememberMe: values.rememberMe });
+        });
+    }
+  });
   
   useEffect(() => {
     // Check if there's a registration success message
@@ -41,107 +85,62 @@ const Login = () => {
       // This will run regardless of fromRegistration value
       window.history.replaceState({}, document.title);
     }
+  }, [location, success]);
 
-    // Check if user is already authenticated via JWT
-    const checkAuth = async () => {
-      const isValid = await AuthService.validateToken();
-      if (isValid) {
-        navigate('/dashboard');
-      } else {
-        // If token is invalid, remove it
-        AuthService.removeToken();
-      }
-    };
-
-    if (AuthService.isAuthenticated()) {
-      checkAuth();
-    }
-  }, [navigate, location, success]);
-  const validateForm = () => {
-    const errors = {};
-    let isValid = true;
-
-    // Email validation
-    if (!formData.email) {
-      errors.email = 'Email is required';
-      isValid = false;
-    } else if (!isValidEmail(formData.email)) {
-      errors.email = 'Please enter a valid email address';
-      isValid = false;
-    }
-
-    // Password validation
-    if (!formData.password) {
-      errors.password = 'Password is required';
-      isValid = false;
-    } else if (formData.password.length < 6) {
-      errors.password = 'Password must be at least 6 characters';
-      isValid = false;
-    }
-
-    setValidationErrors(errors);
-    
-    if (!isValid) {
-      validation('Please fix the validation errors to continue');
+  useEffect(() => {
+    // Skip the login form if the stored session has been confirmed
+    if (status === AUTH_STATUS.AUTHENTICATED) {
+      navigate('/dashboard');
     }
-    
-    return isValid;
-  };
+  }, [status, navigate]);
 
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData({
-      ...formData,
-      [name]: value,
-    });
-    
-    // Clear specific field error when user starts typing
-    if (validationErrors[name]) {
-      setValidationErrors({
-        ...validationErrors,
-        [name]: ''
-      });
-    }
-    
-    // Clear general error message when user makes changes
+  // Clear general error message when user makes changes
+  const handleFormChange = () => {
     if (error) {
       setError('');
     }
   };
-  
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    
-    // Validate form before submitting
-    if (!validateForm()) {
-      return;
-    }
-    
+
+  const handleVerifyTwoFactor = (code, { backupCode, trustDevice }) => {
     setIsLoading(true);
     setError('');
+    setChallengeError('');
 
-    AuthService.login(formData.email, formData.password)
+    verifyTwoFactor(challenge.challengeToken, code, {
+      backupCode,
+      trustDevice,
+      remember: challenge.remember
+    })
       .then(() => {
         success('Login successful!');
         navigate('/dashboard');
       })
       .catch(err => {
-        // Save the error in state for in-form display
-        setError(err.message || 'Login failed. Please check your credentials.');
-        // Also display an alert notification for better visibility
-        showError(err.message || 'Login failed. Please check your credentials.');
-        
-        // Reset password field on error for security
-        setFormData({
-          ...formData,
-          password: ''
-        });
+        if (err instanceof AuthExpiredError) {
+          // The challenge timed out - start over with the password
+          setChallenge(null);
+          setError(err.message);
+          showError(err.message);
+        } else if (err instanceof RateLimitError) {
+          setChallengeError('Too many attempts. Please wait a moment before trying again.');
+        } else if (err instanceof ValidationError) {
+          setChallengeError(err.message);
+        } else {
+          setError(err.message || 'Verification failed. Please try again.');
+          showError(err.message || 'Verification failed. Please try again.');
+        }
       })
       .finally(() => {
         setIsLoading(false);
       });
   };
 
+  const handleCancelTwoFactor = () => {
+    setChallenge(null);
+    setChallengeError('');
+    setError('');
+  };
+
   return (
     <div className="min-h-screen flex">
       {/* Left Side - Login Form */}
@@ -171,79 +170,84 @@ const Login = () => {
               {successMessage}
             </div>
           )}
-            <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-            <Card className="p-6">
-              <FormSection
-                title="Sign In"
-                description="Access your account"
-                borderless
-              >
-                <FormGroup>
-                  <FormField
-                    label="Email Address"
-                    type="email"
-                    name="email"
-                    value={formData.email}
-                    onChange={handleChange}
-                    placeholder="Enter your email"
-                    required
-                    error={validationErrors.email}
-                    isValid={!validationErrors.email && formData.email.length > 0}
-                    showValidation={true}
-                    helpText="We'll never share your email"
-                  />
+          {challenge ? (
+            <TwoFactorChallenge
+              onVerify={handleVerifyTwoFactor}
+              onCancel={handleCancelTwoFactor}
+              isLoading={isLoading}
+              error={challengeError}
+            />
+          ) : (
+            <Form form={form} className="mt-8 space-y-6" onChange={handleFormChange}>
+              <Card className="p-6">
+                <FormSection
+                  title="Sign In"
+                  description="Access your account"
+                  borderless
+                >
+                  <FormGroup>
+                    <FormField
+                      label="Email Address"
+                      type="email"
+                      name="email"
+                      placeholder="Enter your email"
+                      required
+                      isValid={!form.getFieldState('email').error && form.values.email.length > 0}
+                      showValidation={true}
+                      helpText="We'll never share your email"
+                    />
                   
-                  <PasswordInput
-                    label="Password"
-                    name="password"
-                    value={formData.password}
-                    onChange={handleChange}
-                    placeholder="Enter your password"
-                    required
-                    error={validationErrors.password}
-                    showStrengthMeter={false}
-                  />
+                    <PasswordInput
+                      label="Password"
+                      name="password"
+                      placeholder="Enter your password"
+                      required
+                      showStrengthMeter={false}
+                    />
                   
-                  <div className="flex items-center justify-between mt-4">
-                    <div className="flex items-center">
-                      <input
-                        id="remember-me"
-                        name="remember-me"
-                        type="checkbox"
-                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                      />
-                      <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
-                        Remember me
-                      </label>
-                    </div>
+                    <div className="flex items-center justify-between mt-4">
+                      <div className="flex items-center">
+                        <input
+                          id="remember-me"
+                          name="rememberMe"
+                          type="checkbox"
+                          checked={form.values.rememberMe}
+                          onChange={form.handleChange}
+                          className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                        />
+                        <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
+                          Remember me
+                        </label>
+                      </div>
                     
-                    <div className="text-sm">
-                      <a href="#" className="font-medium text-blue-600 hover:text-blue-500">
-                        Forgot your password?
-                      </a>
+                      <div className="text-sm">
+                        <Link to="/forgot-password" className="font-medium text-blue-600 hover:text-blue-500">
+                          Forgot your password?
+                        </Link>
+                      </div>
                     </div>
-                  </div>
-                </FormGroup>
-              </FormSection>
-            </Card>
+                  </FormGroup>
+                </FormSection>
+              </Card>
             
-            <Button
-              type="submit"
-              className="w-full flex justify-center py-3"
-              disabled={isLoading}
-            >
-              {isLoading ? 'Signing in...' : 'Sign in'}
-            </Button>
+              <Button
+                type="submit"
+                className="w-full flex justify-center py-3"
+                disabled={form.isSubmitting}
+              >
+                {form.isSubmitting ? 'Signing in...' : 'Sign in'}
+              </Button>
               
-            <div className="text-center mt-4">
-              <p className="text-sm text-gray-600">
-                Don't have an account?{' '}
-                <Link to="/register" className="font-medium text-blue-600 hover:text-blue-500">
-                  Sign up
-                </Link>
-              </p>
-            </div>
-          </form>
+              <div className="text-center mt-4">
+                <p className="text-sm text-gray-600">
+                  Don't have an account?{' '}
+                  <Link to="/register" className="font-medium text-blue-600 hover:text-blue-500">
+                    Sign up
+                  </Link>
+                </p>
+              </div>
+            </Form>
+          )}
         </div>
       </div>
       
@@ -1,227 +1,162 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Layout from '../components/Layout';
 import Card from '../components/Card';
-import Input from '../components/Input';
 import Button from '../components/Button';
+import Form from '../components/Form';
 import FormField from '../components/FormField';
 import FormGroup from '../components/FormGroup';
 import FormSection from '../components/FormSection';
 import PasswordInput from '../components/PasswordInput';
-import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
-import AuthService from '../services/AuthService';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import ActiveSessions from '../components/ActiveSessions';
+import LoginHistory from '../components/LoginHistory';
+import DataExport from '../components/DataExport';
+import DeleteAccount from '../components/DeleteAccount';
 import ApiInterceptor from '../utils/ApiInterceptor';
 import { useAlert } from '../contexts/AlertContext';
-import { validatePasswordStrength, passwordsMatch, validateName } from '../utils/ValidationUtils';
+import { useAuth } from '../contexts/AuthContext';
+import useForm from '../hooks/useForm';
+import { profileSchema } from '../utils/FormSchemas';
+import { AbortError, AuthExpiredError, ValidationError } from '../utils/ApiErrors';
 
-const Profile = () => {  const [userData, setUserData] = useState({
+const Profile = () => {
+  const [userData, setUserData] = useState({
     firstName: '',
     lastName: '',
     userName: '',
   });
   const [isLoading, setIsLoading] = useState(true);
   const [isEditing, setIsEditing] = useState(false);
-  const [formData, setFormData] = useState({
-    firstName: '',
-    lastName: '',
-    userName: '',
-    currentPassword: '',
-    newPassword: '',
-    confirmPassword: ''
-  });
   
-  const [validationErrors, setValidationErrors] = useState({});
+  // Controller for the in-flight profile request so it can be cancelled on unmount
+  const requestRef = useRef(null);
   
   const navigate = useNavigate();
   const { success, error: showError, validation } = useAlert();
+  const { logout } = useAuth();
+
+  const form = useForm({
+    schema: profileSchema,
+    onInvalid: (errors) => {
+      if (errors.firstName || errors.lastName) {
+        validation('Please fix the validation errors in your profile information');
+        return;
+      }
+      // Show the most important error message
+      validation(Object.values(errors)[0]);
+    },
+    onSubmit: (values) => updateProfile(values)
+  });
+  const { values } = form;
+
+  // Alert and form functions change on every render; the profile loader reads the latest ones
+  const latestRef = useRef({ showError, resetForm: form.reset });
+  latestRef.current = { showError, resetForm: form.reset };
   
-  useEffect(() => {
-    // Check if user is authenticated
-    if (!AuthService.isAuthenticated()) {
-      navigate('/login');
-      return;
+  // Abort the current profile request, if any, and start tracking a new one
+  const cancelRequest = useCallback(() => {
+    if (requestRef.current) {
+      requestRef.current.abort();
+      requestRef.current = null;
     }
-    
-    // Fetch user profile data
-    fetchUserProfile();
-  }, [navigate, showError]);
+  }, []);
+  
+  const startRequest = useCallback(() => {
+    cancelRequest();
+    requestRef.current = new AbortController();
+    return requestRef.current;
+  }, [cancelRequest]);
   
   // Define fetchUserProfile to get user data
-  const fetchUserProfile = async () => {
+  const fetchUserProfile = useCallback(async () => {
+    const { showError, resetForm } = latestRef.current;
+    const controller = startRequest();
     try {
       setIsLoading(true);
       
       // Use ApiInterceptor for consistent error handling
-      const data = await ApiInterceptor.get('/users/profile');
+      const data = await ApiInterceptor.get('/users/profile', { signal: controller.signal });
       
       // If successful, update the user data
       setUserData(data);
-      setFormData({
+      resetForm({
         firstName: data.firstName || '',
         lastName: data.lastName || '',
-        userName: data.userName || '',
-        currentPassword: '',
-        newPassword: '',
-        confirmPassword: ''
+        userName: data.userName || ''
       });
     } catch (err) {
+      // Cancelled because the user left the page
+      if (err instanceof AbortError) {
+        return;
+      }
+      
       console.error('Error fetching user profile:', err);
-      showError('Could not load profile data. Please try again later.');
       
-      // Redirect to login if unauthorized
-      if (err.message && (err.message.includes('unauthorized') || err.message.includes('token'))) {
-        AuthService.removeToken();
+      // Redirect to login if the session is no longer valid
+      if (err instanceof AuthExpiredError) {
+        showError(err.message);
+        logout();
         navigate('/login');
+        return;
       }
+      
+      showError('Could not load profile data. Please try again later.');
     } finally {
-      setIsLoading(false);
+      if (requestRef.current === controller) {
+        requestRef.current = null;
+        setIsLoading(false);
+      }
     }
-  };
-    const handleInputChange = (e) => {
-    const { name, value } = e.target;
-    setFormData({
-      ...formData,
-      [name]: value
-    });
+  }, [startRequest, logout, navigate]);
+
+  useEffect(() => {
+    // Fetch user profile data (ProtectedRoute has already confirmed the session)
+    fetchUserProfile();
     
-    // Clear specific field error when user starts typing
-    if (validationErrors[name]) {
-      setValidationErrors({
-        ...validationErrors,
-        [name]: null
-      });
-    }
+    // Cancel the in-flight request when leaving the page
+    return () => {
+      cancelRequest();
+    };
+  }, [fetchUserProfile, cancelRequest]);
+  
+  // Helper to determine if user is attempting to change password
+  const isAttemptingPasswordChange = () => {
+    return Boolean(values.currentPassword || values.newPassword || values.confirmPassword);
   };
   
   // Check if password fields are valid for submission
   const isPasswordChangeValid = () => {
-    // If user started typing in any password field
-    const isChangingPassword = formData.currentPassword || formData.newPassword || formData.confirmPassword;
-    
-    if (isChangingPassword) {
+    if (isAttemptingPasswordChange()) {
       // All password fields must be filled
-      return formData.currentPassword && formData.newPassword && formData.confirmPassword;
+      return Boolean(values.currentPassword && values.newPassword && values.confirmPassword);
     }
     
     // If not changing password, return true (no validation needed)
     return true;
   };
-  // Helper to determine if user is attempting to change password
-  const isAttemptingPasswordChange = () => {
-    return Boolean(formData.currentPassword || formData.newPassword || formData.confirmPassword);
-  };
-  
-  // Validate profile information
-  const validateProfileInfo = () => {
-    const errors = {};
-    let isValid = true;
-    
-    // Validate first name if provided
-    if (formData.firstName) {
-      const nameValidation = validateName(formData.firstName);
-      if (!nameValidation.isValid) {
-        errors.firstName = nameValidation.message;
-        isValid = false;
-      }
-    }
-    
-    // Validate last name if provided
-    if (formData.lastName) {
-      const nameValidation = validateName(formData.lastName);
-      if (!nameValidation.isValid) {
-        errors.lastName = nameValidation.message;
-        isValid = false;
-      }
-    }
-    
-    return { isValid, errors };
-  };
-    // Enhanced password validation with more detailed checks using ValidationUtils
-  const validatePassword = () => {
-    // If not changing password, no validation needed
-    if (!isAttemptingPasswordChange()) {
-      return { valid: true, errors: {} };
-    }
-    
-    const errors = {};
-    
-    // Check if current password is provided
-    if (!formData.currentPassword) {
-      errors.currentPassword = 'Current password is required';
-    }
-    
-    // Validate new password strength
-    if (formData.newPassword) {
-      const passwordValidation = validatePasswordStrength(formData.newPassword);
-      if (!passwordValidation.isValid) {
-        errors.newPassword = passwordValidation.message;
-      }
-    } else {
-      errors.newPassword = 'New password is required';
-    }
-    
-    // Check if passwords match
-    if (formData.newPassword) {
-      const matchValidation = passwordsMatch(formData.newPassword, formData.confirmPassword);
-      if (!matchValidation.isValid) {
-        errors.confirmPassword = matchValidation.message;
-      }
-    } else if (formData.confirmPassword) {
-      // If confirm password is provided but new password is not
-      errors.confirmPassword = 'Please enter new password first';
-    }
-    
-    return {
-      valid: Object.keys(errors).length === 0,
-      errors
-    };
-  };  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    // Reset validation errors before validation
-    setValidationErrors({});
 
-    // Validate profile information
-    const profileValidation = validateProfileInfo();
-    if (!profileValidation.isValid) {
-      setValidationErrors(profileValidation.errors);
-      validation('Please fix the validation errors in your profile information');
-      return;
-    }
-
-    // Validate passwords with enhanced validation
-    if (isAttemptingPasswordChange()) {
-      const { valid, errors } = validatePassword();
-      if (!valid) {
-        setValidationErrors(errors);
-        
-        // Show the most important error message
-        const errorMessages = Object.values(errors);
-        if (errorMessages.length > 0) {
-          validation(errorMessages[0]);
-        }
-        return;
-      }
-    }
-    
+  // Save the validated form
+  const updateProfile = async (submitted) => {
+    const controller = startRequest();
     try {
       setIsLoading(true);
       
       // Prepare update data for the PATCH request
       const updateData = {
-        userName: formData.userName,
-        firstName: formData.firstName,
-        lastName: formData.lastName
+        userName: submitted.userName,
+        firstName: submitted.firstName,
+        lastName: submitted.lastName
       };
       
       // Add password fields only if user is changing password
-      if (formData.currentPassword && formData.newPassword) {
-        updateData.oldPassword = formData.currentPassword;
-        updateData.newPassword = formData.newPassword;
+      if (submitted.currentPassword && submitted.newPassword) {
+        updateData.oldPassword = submitted.currentPassword;
+        updateData.newPassword = submitted.newPassword;
       }
       
       // Use ApiInterceptor for consistent error handling
-      const responseData = await ApiInterceptor.patch('/users/update', updateData);
+      const responseData = await ApiInterceptor.patch('/users/update', updateData, { signal: controller.signal });
       
       // Success message
       const successMessage = responseData.message || 'Profile updated successfully';
@@ -230,29 +165,34 @@ const Profile = () => {  const [userData, setUserData] = useState({
       // Update local state with the form data
       setUserData({
         ...userData,
-        firstName: formData.firstName,
-        lastName: formData.lastName
+        firstName: submitted.firstName,
+        lastName: submitted.lastName
       });
       
-      // Reset password fields and validation errors
-      setFormData({
-        ...formData,
-        currentPassword: '',
-        newPassword: '',
-        confirmPassword: ''
+      // Start over from the saved data, without the password fields
+      form.reset({
+        firstName: submitted.firstName,
+        lastName: submitted.lastName,
+        userName: submitted.userName
       });
-      setValidationErrors({});
       
       setIsEditing(false);
     } catch (err) {
+      // Cancelled because the user left the page
+      if (err instanceof AbortError) {
+        return;
+      }
+      
       console.error('Profile update error:', err);
       
-      // Handle password validation errors
-      if (err.message && err.message.toLowerCase().includes('password')) {
-        // Set a specific validation error for the current password field
-        setValidationErrors({
-          ...validationErrors,
-          currentPassword: err.message
+      // Handle errors in the submitted data
+      if (err instanceof ValidationError) {
+        // A 401 here means the current password was wrong, otherwise use the server's field errors
+        const { oldPassword, ...fieldErrors } = err.fieldErrors;
+        const passwordError = err.status === 401 ? err.message : oldPassword;
+        form.setErrors({
+          ...fieldErrors,
+          ...(passwordError ? { currentPassword: passwordError } : {})
         });
         showError(err.message);
         return;
@@ -262,7 +202,10 @@ const Profile = () => {  const [userData, setUserData] = useState({
       const errorMessage = err.message || 'Failed to update profile. Please try again later.';
       showError(errorMessage);
     } finally {
-      setIsLoading(false);
+      if (requestRef.current === controller) {
+        requestRef.current = null;
+        setIsLoading(false);
+      }
     }
   };
 
@@ -279,11 +222,11 @@ const Profile = () => {  const [userData, setUserData] = useState({
   const shouldHighlightPasswordField = (field) => {
     switch (field) {
       case 'currentPassword':
-        return (formData.newPassword || formData.confirmPassword) && !formData.currentPassword;
+        return (values.newPassword || values.confirmPassword) && !values.currentPassword;
       case 'newPassword':
-        return (formData.currentPassword || formData.confirmPassword) && !formData.newPassword;
+        return (values.currentPassword || values.confirmPassword) && !values.newPassword;
       case 'confirmPassword':
-        return (formData.currentPassword || formData.newPassword) && !formData.confirmPassword;
+        return (values.currentPassword || values.newPassword) && !values.confirmPassword;
       default:
         return false;
     }
@@ -300,7 +243,7 @@ const Profile = () => {  const [userData, setUserData] = useState({
               <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
             </div>
           ) : isEditing ? (
-            <form onSubmit={handleSubmit} className="space-y-6">
+            <Form form={form} className="space-y-6">
               <FormSection
                 title="Personal Information"
                 description="Update your personal details"
@@ -311,22 +254,18 @@ const Profile = () => {  const [userData, setUserData] = useState({
                     label="First Name"
                     type="text"
                     name="firstName"
-                    value={formData.firstName}
-                    onChange={handleInputChange}
                     placeholder="Enter your first name"
                     showValidation={true}
-                    isValid={formData.firstName.length > 0}
+                    isValid={values.firstName.length > 0}
                   />
                   
                   <FormField
                     label="Last Name"
                     type="text"
                     name="lastName"
-                    value={formData.lastName}
-                    onChange={handleInputChange}
                     placeholder="Enter your last name"
                     showValidation={true}
-                    isValid={formData.lastName.length > 0}
+                    isValid={values.lastName.length > 0}
                   />
                 </FormGroup>
                 
@@ -335,8 +274,6 @@ const Profile = () => {  const [userData, setUserData] = useState({
                     label="Username"
                     type="text"
                     name="userName"
-                    value={formData.userName}
-                    onChange={handleInputChange}
                     placeholder="Enter your username"
                     disabled={true}
                     helpText="Username cannot be changed"
@@ -363,10 +300,7 @@ const Profile = () => {  const [userData, setUserData] = useState({
                   <PasswordInput
                     label="Current Password"
                     name="currentPassword"
-                    value={formData.currentPassword}
-                    onChange={handleInputChange}
                     placeholder="Enter your current password"
-                    error={validationErrors.currentPassword}
                     className={shouldHighlightPasswordField('currentPassword') ? "border-red-300" : ""}
                   />
                 </FormGroup>
@@ -375,23 +309,18 @@ const Profile = () => {  const [userData, setUserData] = useState({
                   <PasswordInput
                     label="New Password"
                     name="newPassword"
-                    value={formData.newPassword}
-                    onChange={handleInputChange}
                     placeholder="Enter new password"
-                    error={validationErrors.newPassword}
                     className={shouldHighlightPasswordField('newPassword') ? "border-red-300" : ""}
                     showStrengthMeter={true}
                     showRequirements={true}
                     validateOnChange={true}
+                    userInputs={[form.values.firstName, form.values.lastName, form.values.userName]}
                   />
                   
                   <PasswordInput
                     label="Confirm New Password"
                     name="confirmPassword"
-                    value={formData.confirmPassword}
-                    onChange={handleInputChange}
                     placeholder="Confirm new password"
-                    error={validationErrors.confirmPassword}
                     className={shouldHighlightPasswordField('confirmPassword') ? "border-red-300" : ""}
                   />
                 </FormGroup>
@@ -414,7 +343,7 @@ const Profile = () => {  const [userData, setUserData] = useState({
                   {isLoading ? 'Saving...' : 'Save Changes'}
                 </Button>
               </div>
-            </form>
+            </Form>
           ) : (
             <div>
               <div className="flex justify-between items-center mb-6">
@@ -467,7 +396,26 @@ const Profile = () => {  const [userData, setUserData] = useState({
               </FormSection>
             </div>
           )}
-        </Card>        <div className="mt-8">
+        </Card>
+
+        <div className="mt-8">
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">Security</h2>
+          <Card>
+            <TwoFactorSettings />
+            <ActiveSessions />
+            <LoginHistory />
+          </Card>
+        </div>
+
+        <div className="mt-8">
+          <h2 className="text-2xl font-bold text-red-700 mb-4">Danger Zone</h2>
+          <Card className="border border-red-200">
+            <DataExport />
+            <DeleteAccount />
+          </Card>
+        </div>
+
+        <div className="mt-8">
           <Card>
             <FormSection
               title="Account Security"
@@ -512,7 +460,7 @@ const Profile = () => {  const [userData, setUserData] = useState({
                   <div className="ml-3">
                     <h3 className="font-medium text-purple-800">Data Handling</h3>
                     <p className="mt-1 text-sm text-purple-700">
-                      You control your data. You can download or delete your eye scan history at any time from the dashboard. Your personal information is never shared with third parties without your explicit consent.
+                      You control your data. You can download or delete your eye scan history at any time, or export everything we hold in the Danger Zone above. Your personal information is never shared with third parties without your explicit consent.
                     </p>
                   </div>
                 </div>
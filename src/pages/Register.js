@@ -1,80 +1,84 @@
 import React, { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import Input from '../components/Input';
+import Form from '../components/Form';
+import FormField from '../components/FormField';
+import PasswordInput from '../components/PasswordInput';
 import Button from '../components/Button';
 import eyeLogo from '../assets/images/eye-logo.png';
 import eyeScan from '../assets/images/eye-scan.jpg';
 import AuthService from '../services/AuthService';
 import { useAlert } from '../contexts/AlertContext';
+import useForm, { ASYNC_VALIDATION_STATUS } from '../hooks/useForm';
+import { registerSchema } from '../utils/FormSchemas';
+import { ValidationError } from '../utils/ApiErrors';
 
 const Register = () => {
-  const [formData, setFormData] = useState({
-    firstName: '',
-    lastName: '',
-    userName: '',
-    password: '',
-    confirmPassword: ''
-  });
-  const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const navigate = useNavigate();
-  const { error: showError, success } = useAlert();
+  const { error: showError, validation } = useAlert();
+
+  // Show the server's field errors on the matching inputs, anything else above the form
+  const applyServerErrors = (fieldErrors) => {
+    const fieldMessages = {};
+    const otherMessages = [];
 
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData({
-      ...formData,
-      [name]: value,
+    Object.entries(fieldErrors).forEach(([field, message]) => {
+      if (registerSchema[field]) {
+        fieldMessages[field] = message;
+      } else {
+        otherMessages.push(message);
+      }
     });
-  };  const handleSubmit = (e) => {
-    e.preventDefault();
-    setIsLoading(true);
-    setError('');
 
-    // Validate passwords match
-    if (formData.password !== formData.confirmPassword) {
-      setError('Passwords do not match');
-      showError('Passwords do not match');
-      setIsLoading(false);
-      return;
+    form.setErrors(fieldMessages);
+    if (otherMessages.length > 0) {
+      setError(otherMessages.join(' '));
     }
+  };
 
-    // Validate password strength
-    if (formData.password.length < 8) {
-      setError('Password must be at least 8 characters long');
-      showError('Password must be at least 8 characters long');
-      setIsLoading(false);
-      return;
-    }
-    
-    // Call the register API using AuthService
-    AuthService.register(formData)
-      .then(() => {
-        // Registration successful, redirect to login page
-        // We'll set a clear flag to indicate this is a new registration
-        const registrationMessage = 'Registration successful! Please login with your credentials.';
-        
-        // Show success message right before navigating
-        // But do NOT show it here to avoid duplicate notifications
-        
-        // Navigate to login with the registration message in state
-        navigate('/login', { 
-          state: { 
-            message: registrationMessage,
-            fromRegistration: true
-          },
-          replace: true // Use replace to avoid browser history stacking
+  const form = useForm({
+    schema: registerSchema,
+    onInvalid: () => {
+      validation('Please fix the validation errors to continue');
+    },
+    onSubmit: (values) => {
+      setError('');
+
+      // Call the register API using AuthService
+      return AuthService.register(values)
+        .then(() => {
+          // Registration successful - the account is activated from the link in the verification email
+          navigate('/verify-email', {
+            state: { email: values.email },
+            replace: true // Use replace to avoid browser history stacking
+          });
+        })
+        .catch(err => {
+          // Field-level problems are shown next to the inputs instead of in an alert
+          if (err instanceof ValidationError && Object.keys(err.fieldErrors).length > 0) {
+            applyServerErrors(err.fieldErrors);
+            return;
+          }
+
+          // Save the error in state for in-form display
+          setError(err.message || 'Registration failed. Please try again.');
+          // Also display an alert notification for better visibility
+          showError(err.message || 'Registration failed. Please try again.');
         });
-      })
-      .catch(err => {
-        // Save the error in state for in-form display
-        setError(err.message || 'Registration failed. Please try again.');
-        // Also display an alert notification for better visibility
-        showError(err.message || 'Registration failed. Please try again.');
-      })
-      .finally(() => {
-        setIsLoading(false);
-      });
+    }
+  });
+
+  const usernameStatus = form.getFieldState('userName').asyncStatus;
+
+  const getUsernameHelpText = () => {
+    switch (usernameStatus) {
+      case ASYNC_VALIDATION_STATUS.CHECKING:
+        return 'Checking availability...';
+      case ASYNC_VALIDATION_STATUS.VALID:
+        return 'Username is available';
+      default:
+        return '';
+    }
   };
 
   return (
@@ -102,49 +106,50 @@ const Register = () => {
             </div>
           )}
           
-          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-            <Input
+          <Form form={form} className="mt-8 space-y-6">
+            <FormField
               label="FirstName"
               type="text"
               name="firstName"
-              value={formData.firstName}
-              onChange={handleChange}
               placeholder="Enter your first name"
               required
             />
-            <Input
+            <FormField
               label="LastName"
               type="text"
               name="lastName"
-              value={formData.lastName}
-              onChange={handleChange}
               placeholder="Enter your last name"
               required
             />
-            <Input
+            <FormField
               label="Username"
               type="text"
               name="userName"
-              value={formData.userName}
-              onChange={handleChange}
               placeholder="Enter your username"
               required
+              isValid={usernameStatus === ASYNC_VALIDATION_STATUS.VALID}
+              showValidation={true}
+              helpText={getUsernameHelpText()}
             />
-            <Input
+            <FormField
+              label="Email"
+              type="email"
+              name="email"
+              placeholder="Enter your email"
+              required
+              helpText="We'll send you a link to confirm this address"
+            />
+            <PasswordInput
               label="Password"
-              type="password"
               name="password"
-              value={formData.password}
-              onChange={handleChange}
               placeholder="Enter your password"
-              required
+              showStrengthMeter={true}
+              userInputs={[form.values.firstName, form.values.lastName, form.values.userName, form.values.email]}
             />
-            <Input
+            <FormField
               label="Confirm Password"
               type="password"
               name="confirmPassword"
-              value={formData.confirmPassword}
-              onChange={handleChange}
               placeholder="Confirm your password"
               required
             />
@@ -152,9 +157,9 @@ const Register = () => {
             <Button
               type="submit"
               className="w-full flex justify-center py-3"
-              disabled={isLoading}
+              disabled={form.isSubmitting}
             >
-              {isLoading ? 'Registering...' : 'Register'}
+              {form.isSubmitting ? 'Registering...' : 'Register'}
             </Button>
             
             <div className="text-center mt-4">
@@ -165,7 +170,7 @@ const Register = () => {
                 </Link>
               </p>
             </div>
-          </form>
+          </Form>
         </div>
       </div>
       
@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import FormGroup from '../components/FormGroup';
+import FormSection from '../components/FormSection';
+import PasswordInput from '../components/PasswordInput';
+import Button from '../components/Button';
+import Card from '../components/Card';
+import eyeLogo from '../assets/images/eye-logo.png';
+import eyeScan from '../assets/images/eye-scan.jpg';
+import AuthService from '../services/AuthService';
+import { useAlert } from '../contexts/AlertContext';
+import useCooldown from '../hooks/useCooldown';
+import { validatePasswordStrength, passwordsMatch } from '../utils/ValidationUtils';
+import { RateLimitError, ValidationError } from '../utils/ApiErrors';
+
+// Wait used when the server rate limits without a Retry-After header
+const DEFAULT_RATE_LIMIT_WAIT = 60;
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const [formData, setFormData] = useState({
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [validationErrors, setValidationErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  // The link cannot be used any more - the user has to request a new one
+  const [isLinkInvalid, setIsLinkInvalid] = useState(false);
+  const navigate = useNavigate();
+  const { error: showError, success, warning, validation } = useAlert();
+  const cooldown = useCooldown();
+
+  const validateForm = () => {
+    const errors = {};
+
+    const passwordValidation = validatePasswordStrength(formData.newPassword);
+    if (!passwordValidation.isValid) {
+      errors.newPassword = passwordValidation.message;
+    }
+
+    const matchValidation = passwordsMatch(formData.newPassword, formData.confirmPassword);
+    if (!matchValidation.isValid) {
+      errors.confirmPassword = matchValidation.message;
+    }
+
+    setValidationErrors(errors);
+
+    const isValid = Object.keys(errors).length === 0;
+    if (!isValid) {
+      validation('Please fix the validation errors to continue');
+    }
+    return isValid;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+    });
+
+    // Clear specific field error when user starts typing
+    if (validationErrors[name]) {
+      setValidationErrors({
+        ...validationErrors,
+        [name]: ''
+      });
+    }
+
+    if (error) {
+      setError('');
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!validateForm() || cooldown.isCoolingDown) {
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    AuthService.resetPassword(token, formData.newPassword)
+      .then(() => {
+        success('Your password has been reset.');
+        navigate('/login', {
+          state: { message: 'Your password has been reset. Please sign in with your new password.' },
+          replace: true
+        });
+      })
+      .catch(err => {
+        if (err instanceof RateLimitError) {
+          const waitSeconds = err.retryAfter ? Math.ceil(err.retryAfter / 1000) : DEFAULT_RATE_LIMIT_WAIT;
+          cooldown.start(waitSeconds);
+          setError(`Too many attempts. Please try again in ${waitSeconds} seconds.`);
+          warning('Too many attempts. Please wait before trying again.');
+          return;
+        }
+
+        if (err instanceof ValidationError && err.code === 'INVALID_RESET_TOKEN') {
+          setIsLinkInvalid(true);
+        }
+
+        // The server may reject the new password itself, e.g. because it was used before
+        if (err instanceof ValidationError) {
+          const fieldError = err.fieldErrors.newPassword || err.fieldErrors.password;
+          if (fieldError) {
+            setValidationErrors({ newPassword: fieldError });
+          }
+        }
+
+        setError(err.message || 'Could not reset your password. Please try again.');
+        showError(err.message || 'Could not reset your password. Please try again.');
+      })
+      .finally(() => {
+        setIsLoading(false);
+      });
+  };
+
+  return (
+    <div className="min-h-screen flex">
+      {/* Left Side - Reset Password Form */}
+      <div className="w-full lg:w-1/2 flex flex-col justify-center items-center p-8 bg-white">
+        <div className="max-w-md w-full space-y-8">
+          <div className="text-center">
+            <img
+              className="mx-auto h-16 w-auto"
+              src={eyeLogo}
+              alt="Eye Disease Detection"
+            />
+            <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+              Choose a new password
+            </h2>
+            <p className="mt-2 text-sm text-gray-600">
+              Your new password replaces the old one on all devices
+            </p>
+          </div>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-md text-sm">
+              {error}
+              {isLinkInvalid && (
+                <>
+                  {' '}
+                  <Link to="/forgot-password" className="font-medium underline">
+                    Request a new link
+                  </Link>
+                </>
+              )}
+            </div>
+          )}
+
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <Card className="p-6">
+              <FormSection
+                title="Reset Password"
+                description="Pick a strong password you don't use anywhere else"
+                borderless
+              >
+                <FormGroup>
+                  <PasswordInput
+                    label="New Password"
+                    name="newPassword"
+                    value={formData.newPassword}
+                    onChange={handleChange}
+                    placeholder="Enter your new password"
+                    required
+                    error={validationErrors.newPassword}
+                    showStrengthMeter={true}
+                    showRequirements={true}
+                    disabled={isLinkInvalid}
+                  />
+
+                  <PasswordInput
+                    label="Confirm New Password"
+                    name="confirmPassword"
+                    value={formData.confirmPassword}
+                    onChange={handleChange}
+                    placeholder="Confirm your new password"
+                    required
+                    error={validationErrors.confirmPassword}
+                    disabled={isLinkInvalid}
+                  />
+                </FormGroup>
+              </FormSection>
+            </Card>
+
+            <Button
+              type="submit"
+              className="w-full flex justify-center py-3"
+              disabled={isLoading || isLinkInvalid || cooldown.isCoolingDown}
+            >
+              {isLoading
+                ? 'Resetting...'
+                : cooldown.isCoolingDown
+                  ? `Try again in ${cooldown.remaining}s`
+                  : 'Reset password'}
+            </Button>
+
+            <div className="text-center mt-4">
+              <p className="text-sm text-gray-600">
+                Remembered your password?{' '}
+                <Link to="/login" className="font-medium text-blue-600 hover:text-blue-500">
+                  Sign in
+                </Link>
+              </p>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      {/* Right Side - Image */}
+      <div className="hidden lg:block lg:w-1/2 relative">
+        <img
+          className="absolute inset-0 h-full w-full object-cover"
+          src={eyeScan}
+          alt="Eye scan visualization"
+        />
+        <div className="absolute inset-0 bg-gradient-to-r from-blue-500 to-purple-600 opacity-60"></div>
+        <div className="absolute inset-0 flex flex-col justify-center items-center text-white p-12">
+          <h1 className="text-4xl font-bold mb-4 text-center">Eye Disease Detection</h1>
+          <p className="text-xl text-center max-w-lg">
+            Regain access to your analysis history in a few steps.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
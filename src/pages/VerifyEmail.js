@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useLocation, Link } from 'react-router-dom';
+import FormField from '../components/FormField';
+import FormGroup from '../components/FormGroup';
+import Button from '../components/Button';
+import eyeLogo from '../assets/images/eye-logo.png';
+import eyeScan from '../assets/images/eye-scan.jpg';
+import AuthService from '../services/AuthService';
+import { useAlert } from '../contexts/AlertContext';
+import useCooldown from '../hooks/useCooldown';
+import { isValidEmail } from '../utils/ValidationUtils';
+import { RateLimitError, ValidationError } from '../utils/ApiErrors';
+
+// Seconds before another verification email can be requested
+const RESEND_COOLDOWN = 60;
+
+// Wait used when the server rate limits without a Retry-After header
+const DEFAULT_RATE_LIMIT_WAIT = 60;
+
+// States of the confirmation when the page is opened from the link in the email
+const VERIFY_STATUS = {
+  PENDING: 'pending', // No token - waiting for the user to open the email
+  VERIFYING: 'verifying',
+  VERIFIED: 'verified',
+  INVALID: 'invalid'
+};
+
+/**
+ * VerifyEmail page
+ * Without a token it asks the user to check their inbox (shown after registration or when
+ * signing in with an unverified address). With /verify-email/:token it confirms the address.
+ * Both states can send the verification email again.
+ */
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const location = useLocation();
+  const [status, setStatus] = useState(token ? VERIFY_STATUS.VERIFYING : VERIFY_STATUS.PENDING);
+  const [email, setEmail] = useState((location.state && location.state.email) || '');
+  const [emailError, setEmailError] = useState('');
+  const [error, setError] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const { error: showError, success, warning } = useAlert();
+  const cooldown = useCooldown();
+
+  useEffect(() => {
+    if (!token) return undefined;
+
+    // Ignore the answer if the page is left or the token changes meanwhile
+    let ignore = false;
+    setStatus(VERIFY_STATUS.VERIFYING);
+    setError('');
+
+    AuthService.verifyEmail(token)
+      .then(() => {
+        if (ignore) return;
+        setStatus(VERIFY_STATUS.VERIFIED);
+      })
+      .catch(err => {
+        if (ignore) return;
+        setStatus(VERIFY_STATUS.INVALID);
+        setError(err instanceof ValidationError
+          ? err.message
+          : 'Could not verify your email address. Please try again later.');
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [token]);
+
+  const handleEmailChange = (e) => {
+    setEmail(e.target.value);
+    if (emailError) {
+      setEmailError('');
+    }
+  };
+
+  const handleResend = (e) => {
+    e.preventDefault();
+
+    if (!isValidEmail(email)) {
+      setEmailError('Please enter a valid email address');
+      return;
+    }
+    if (cooldown.isCoolingDown) {
+      return;
+    }
+
+    setIsSending(true);
+    AuthService.resendVerificationEmail(email)
+      .then(() => {
+        success('A new verification email is on its way.');
+        cooldown.start(RESEND_COOLDOWN);
+      })
+      .catch(err => {
+        if (err instanceof RateLimitError) {
+          const waitSeconds = err.retryAfter ? Math.ceil(err.retryAfter / 1000) : DEFAULT_RATE_LIMIT_WAIT;
+          cooldown.start(waitSeconds);
+          warning(`Too many requests. Please try again in ${waitSeconds} seconds.`);
+          return;
+        }
+        showError(err.message || 'Could not send the verification email. Please try again.');
+      })
+      .finally(() => {
+        setIsSending(false);
+      });
+  };
+
+  const renderResendForm = () => (
+    <form className="space-y-4" onSubmit={handleResend}>
+      {/* The address is only asked for when it is not known from registration or login */}
+      {!(location.state && location.state.email) && (
+        <FormGroup>
+          <FormField
+            label="Email Address"
+            type="email"
+            name="email"
+            value={email}
+            onChange={handleEmailChange}
+            placeholder="Enter your email"
+            required
+            error={emailError}
+          />
+        </FormGroup>
+      )}
+      <Button
+        type="submit"
+        className="w-full flex justify-center py-3"
+        disabled={isSending || cooldown.isCoolingDown}
+      >
+        {isSending
+          ? 'Sending...'
+          : cooldown.isCoolingDown
+            ? `Resend in ${cooldown.remaining}s`
+            : 'Resend verification email'}
+      </Button>
+    </form>
+  );
+
+  const renderContent = () => {
+    switch (status) {
+      case VERIFY_STATUS.VERIFYING:
+        return (
+          <div className="flex flex-col items-center py-6">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+            <p className="mt-4 text-sm text-gray-600">Verifying your email address...</p>
+          </div>
+        );
+      case VERIFY_STATUS.VERIFIED:
+        return (
+          <div className="space-y-6">
+            <div className="p-4 bg-green-50 border border-green-200 text-green-700 rounded-md text-sm">
+              Your email address has been confirmed. You can now sign in.
+            </div>
+            <Link
+              to="/login"
+              state={{ message: 'Your email address has been confirmed. Please sign in.' }}
+              className="w-full flex justify-center py-3 px-4 rounded-md text-white bg-blue-600 hover:bg-blue-700 font-medium"
+            >
+              Sign in
+            </Link>
+          </div>
+        );
+      case VERIFY_STATUS.INVALID:
+        return (
+          <div className="space-y-6">
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+            {renderResendForm()}
+          </div>
+        );
+      default:
+        return (
+          <div className="space-y-6">
+            <div className="p-4 bg-blue-50 border border-blue-200 text-blue-700 rounded-md text-sm">
+              {email
+                ? <>We sent a verification link to <span className="font-medium">{email}</span>.</>
+                : 'We sent a verification link to your email address.'}
+              {' '}Open it to activate your account. Check your spam folder if you can't find it.
+            </div>
+            {renderResendForm()}
+          </div>
+        );
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex">
+      {/* Left Side - Verification Status */}
+      <div className="w-full lg:w-1/2 flex flex-col justify-center items-center p-8 bg-white">
+        <div className="max-w-md w-full space-y-8">
+          <div className="text-center">
+            <img
+              className="mx-auto h-16 w-auto"
+              src={eyeLogo}
+              alt="Eye Disease Detection"
+            />
+            <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+              {status === VERIFY_STATUS.VERIFIED ? 'Email confirmed' : 'Verify your email'}
+            </h2>
+          </div>
+
+          {renderContent()}
+
+          {status !== VERIFY_STATUS.VERIFIED && (
+            <div className="text-center mt-4">
+              <p className="text-sm text-gray-600">
+                Already verified?{' '}
+                <Link to="/login" className="font-medium text-blue-600 hover:text-blue-500">
+                  Sign in
+                </Link>
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Right Side - Image */}
+      <div className="hidden lg:block lg:w-1/2 relative">
+        <img
+          className="absolute inset-0 h-full w-full object-cover"
+          src={eyeScan}
+          alt="Eye scan visualization"
+        />
+        <div className="absolute inset-0 bg-gradient-to-r from-blue-500 to-purple-600 opacity-60"></div>
+        <div className="absolute inset-0 flex flex-col justify-center items-center text-white p-12">
+          <h1 className="text-4xl font-bold mb-4 text-center">Eye Disease Detection</h1>
+          <p className="text-xl text-center max-w-lg">
+            One more step before you can start analysing your eye scans.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
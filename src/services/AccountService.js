@@ -0,0 +1,181 @@
+/**
+ * Service for the account endpoints: active sessions, login history, data export and deletion
+ */
+import ApiInterceptor from '../utils/ApiInterceptor';
+import AuthService from './AuthService';
+import EyeAnalysisService from './EyeAnalysisService';
+import { AbortError, AuthExpiredError, ValidationError, errorFromResponse, getErrorCode } from '../utils/ApiErrors';
+import { createZip } from '../utils/ZipUtils';
+
+// Endpoints of the records backend
+const SESSIONS_ENDPOINT = '/users/sessions';
+const LOGIN_HISTORY_ENDPOINT = '/users/login-history';
+const PROFILE_ENDPOINT = '/users/profile';
+const ACCOUNT_ENDPOINT = '/users/account';
+
+// Version of the export layout, bumped when the manifest changes
+const EXPORT_FORMAT_VERSION = 1;
+
+// Login history entries per page
+const DEFAULT_PAGE_SIZE = 10;
+
+/**
+ * Bring a paginated response into one shape
+ * Accepts Spring's Page ({ content, number, totalPages, totalElements }) or a plain array
+ * @param {Object|Array} data - The response body
+ * @param {number} page - The requested page, starting at 0
+ * @returns {Object} - { items, page, totalPages, totalItems }
+ */
+const toPage = (data, page) => {
+  if (Array.isArray(data)) {
+    return { items: data, page, totalPages: 1, totalItems: data.length };
+  }
+
+  const items = (data && (data.content || data.items)) || [];
+  return {
+    items,
+    page: data && typeof data.number === 'number' ? data.number : page,
+    totalPages: (data && data.totalPages) || 1,
+    totalItems: data && typeof data.totalElements === 'number' ? data.totalElements : items.length
+  };
+};
+
+// List the active sessions (signed-in devices) of the current user
+// Each session: { id, userAgent, ipAddress, location, createdAt, lastActiveAt, current }
+const getSessions = async (options = {}) => {
+  const data = await ApiInterceptor.get(SESSIONS_ENDPOINT, options);
+  return Array.isArray(data) ? data : (data && data.sessions) || [];
+};
+
+// Sign out one session, e.g. a lost phone
+const revokeSession = async (sessionId) => {
+  return ApiInterceptor.delete(`${SESSIONS_ENDPOINT}/${encodeURIComponent(sessionId)}`);
+};
+
+// Revoke every session and refresh token of the current user, including this one
+const revokeAllSessions = async () => {
+  return ApiInterceptor.delete(SESSIONS_ENDPOINT);
+};
+
+// Get one page of the login history, newest first
+// Each entry: { id, timestamp, ipAddress, userAgent, success }
+const getLoginHistory = async (page = 0, options = {}) => {
+  const { size = DEFAULT_PAGE_SIZE, ...requestOptions } = options;
+  const data = await ApiInterceptor.get(`${LOGIN_HISTORY_ENDPOINT}?page=${page}&size=${size}`, requestOptions);
+  return toPage(data, page);
+};
+
+// Delete the account and all its data - the backend asks for the current password again
+const deleteAccount = async (password) => {
+  try {
+    const result = await ApiInterceptor.delete(ACCOUNT_ENDPOINT, {
+      data: { password },
+      retry: false,
+      // The token was renewed before the request, so a 401 here means the password was wrong
+      mapError: (response, message, data) => (
+        response.status === 401
+          ? new ValidationError('The password is incorrect.', {
+            status: response.status,
+            code: getErrorCode(data),
+            fieldErrors: { password: 'The password is incorrect.' }
+          })
+          : errorFromResponse(response, message, data)
+      )
+    });
+    // The device token belongs to the deleted account
+    AuthService.forgetTrustedDevice();
+    return result;
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    throw error;
+  }
+};
+
+// Name for an image inside the export, unique even when two records point at files with the same name
+const toImageName = (record, index) => {
+  const fileName = (record.fileUrl || '').split('/').pop() || 'eye-image.jpg';
+  return `images/${String(index + 1).padStart(3, '0')}-${fileName}`;
+};
+
+/**
+ * Collect everything held about the user into one ZIP file
+ * The archive holds profile.json, history.json, the original images and a manifest.json describing them.
+ * Images that cannot be downloaded are listed in the manifest instead of failing the whole export.
+ * @param {Object} options - Export options
+ * @param {AbortSignal} options.signal - Cancels the export
+ * @param {Function} options.onProgress - Called with { completed, total } while the images download
+ * @returns {Promise<Object>} - { blob, fileName, missingImages }
+ */
+const exportPersonalData = async ({ signal, onProgress } = {}) => {
+  const exportedAt = new Date();
+  const profile = await ApiInterceptor.get(PROFILE_ENDPOINT, { signal });
+  const history = await EyeAnalysisService.getUserAnalysisHistory({ signal });
+
+  const images = [];
+  const missingImages = [];
+  const imageFiles = [];
+
+  if (onProgress) onProgress({ completed: 0, total: history.length });
+
+  // One image at a time keeps the memory use and the load on the backend low
+  for (const [index, record] of history.entries()) {
+    try {
+      const blob = await EyeAnalysisService.getEyeImage(record.fileUrl, { signal });
+      const name = toImageName(record, index);
+      imageFiles.push({ name, content: blob });
+      images.push({
+        recordId: record.id,
+        file: name,
+        sourcePath: record.fileUrl,
+        contentType: blob.type || null,
+        size: blob.size
+      });
+    } catch (error) {
+      // The whole export stops when it is cancelled or the session ends
+      if (error instanceof AbortError || error instanceof AuthExpiredError) {
+        throw error;
+      }
+      console.error('Error exporting image:', error);
+      missingImages.push({ recordId: record.id, sourcePath: record.fileUrl, error: error.message });
+    }
+
+    if (onProgress) onProgress({ completed: index + 1, total: history.length });
+  }
+
+  const manifest = {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    user: profile.userName,
+    files: {
+      profile: 'profile.json',
+      history: 'history.json'
+    },
+    recordCount: history.length,
+    images,
+    missingImages
+  };
+
+  const blob = await createZip([
+    { name: 'manifest.json', content: manifest, date: exportedAt },
+    { name: 'profile.json', content: profile, date: exportedAt },
+    { name: 'history.json', content: history, date: exportedAt },
+    ...imageFiles.map((file) => ({ ...file, date: exportedAt }))
+  ]);
+
+  return {
+    blob,
+    fileName: `eye-detection-export-${exportedAt.toISOString().slice(0, 10)}.zip`,
+    missingImages
+  };
+};
+
+const AccountService = {
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  getLoginHistory,
+  deleteAccount,
+  exportPersonalData
+};
+
+export default AccountService;
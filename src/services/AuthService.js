@@ -1,155 +1,613 @@
 /**
  * Authentication service for handling JWT token and API calls
  */
+import ApiInterceptor, { AUTH_POLICIES } from '../utils/ApiInterceptor';
+import {
+  ApiError,
+  AuthExpiredError,
+  ServerError,
+  ValidationError,
+  errorFromResponse,
+  getErrorCode
+} from '../utils/ApiErrors';
+import { getTokenExpiry, isTokenExpired } from '../utils/TokenUtils';
 
-// API base URL - using relative path since we're using a proxy in package.json
-const API_BASE_URL = '';
+// Endpoint that exchanges a refresh token for a new access token
+const REFRESH_ENDPOINT = '/users/refresh';
 
-// Store JWT token in localStorage
+// Renew the access token this long before it expires
+const REFRESH_MARGIN = 60 * 1000;
+
+// Web Lock held while the tokens are renewed, so tabs sharing a session don't all post the same refresh token
+const REFRESH_LOCK = 'eye-detection-token-refresh';
+
+// Endpoints for the forgot-password flow
+const FORGOT_PASSWORD_ENDPOINT = '/users/forgot-password';
+const RESET_PASSWORD_ENDPOINT = '/users/reset-password';
+
+// Endpoints for confirming the email address after registration
+const VERIFY_EMAIL_ENDPOINT = '/users/verify-email';
+const RESEND_VERIFICATION_ENDPOINT = '/users/verify-email/resend';
+
+// Endpoint that tells whether a username is still free
+const USERNAME_AVAILABILITY_ENDPOINT = '/users/username-available';
+
+// Endpoints for two-factor authentication (TOTP)
+const TWO_FACTOR_VERIFY_ENDPOINT = '/users/2fa/verify';
+const TWO_FACTOR_ENDPOINT = '/users/2fa';
+
+// Device token issued for "trust this device" - lets this browser skip the second step on later logins
+const TRUSTED_DEVICE_KEY = 'trusted_device';
+
+// Endpoint used to check the session with the backend
+const SESSION_ENDPOINT = '/users/profile';
+
+// How long a successful session check is trusted before asking the backend again
+const VALIDATION_CACHE_TTL = 30 * 1000;
+
+// Last session check: { token, valid, user, checkedAt } - shared promise while a check is running
+let validationCache = null;
+let validationPromise = null;
+
+// Pending silent renewal timer
+let refreshTimer = null;
+
+// Refresh in progress - shared so concurrent requests wait for the same renewal
+let refreshPromise = null;
+
+// Listeners notified when the session ends because it could not be renewed
+const sessionExpiredListeners = new Set();
+
+// Storage keys for the session
+const TOKEN_KEY = 'jwt_token';
+const REFRESH_TOKEN_KEY = 'refresh_token';
+const AUTH_FLAG_KEY = 'isAuthenticated';
+
+// Storage chosen at login - null after a reload, when the storage holding the token is used
+let tokenStorage = null;
+
+// Get the storage holding the session: sessionStorage ends with the browser session,
+// localStorage keeps a remembered session across restarts
+const getTokenStorage = () => {
+  if (tokenStorage) return tokenStorage;
+  return sessionStorage.getItem(TOKEN_KEY) !== null ? sessionStorage : localStorage;
+};
+
+// Remove the session keys from one storage
+const clearStorage = (storage) => {
+  storage.removeItem(TOKEN_KEY);
+  storage.removeItem(REFRESH_TOKEN_KEY);
+  storage.removeItem(AUTH_FLAG_KEY);
+};
+
+// Choose where the next session is stored and drop any tokens left in the other storage
+const setTokenStorage = (remember) => {
+  clearStorage(localStorage);
+  clearStorage(sessionStorage);
+  tokenStorage = remember ? localStorage : sessionStorage;
+};
+
+// Check if the current session is remembered across browser restarts
+const isRemembered = () => getTokenStorage() === localStorage;
+
+// Store JWT token in the session storage
 const setToken = (token) => {
   // Make sure the token doesn't have 'Bearer ' prefix before storing
   const cleanToken = token.replace(/^Bearer\s+/i, '');
-  localStorage.setItem('jwt_token', cleanToken);
-  localStorage.setItem('isAuthenticated', 'true');
+  const storage = getTokenStorage();
+  storage.setItem(TOKEN_KEY, cleanToken);
+  storage.setItem(AUTH_FLAG_KEY, 'true');
+};
+
+// Store the refresh token used to renew the access token
+const setRefreshToken = (refreshToken) => {
+  getTokenStorage().setItem(REFRESH_TOKEN_KEY, refreshToken);
 };
 
-// Remove JWT token from localStorage
+// Remove JWT and refresh tokens from both storages
 const removeToken = () => {
-  localStorage.removeItem('jwt_token');
-  localStorage.removeItem('isAuthenticated');
+  clearStorage(localStorage);
+  clearStorage(sessionStorage);
+  tokenStorage = null;
 };
 
-// Get JWT token from localStorage
+// Get JWT token from the session storage
 const getToken = () => {
-  return localStorage.getItem('jwt_token');
+  return getTokenStorage().getItem(TOKEN_KEY);
 };
 
-// Check if user is authenticated
+// Get refresh token from the session storage
+const getRefreshToken = () => {
+  return getTokenStorage().getItem(REFRESH_TOKEN_KEY);
+};
+
+// Store the tokens from a login or refresh response
+const storeTokens = (data) => {
+  const accessToken = data.token || data.access_token || data.accessToken;
+  if (!accessToken) {
+    console.error('No token found in JSON response:', data);
+    throw new ServerError('Authentication failed: No token received', { retryable: false });
+  }
+  setToken(accessToken);
+
+  // The backend may rotate the refresh token on every renewal
+  const refreshToken = data.refreshToken || data.refresh_token;
+  if (refreshToken) {
+    setRefreshToken(refreshToken);
+  }
+  scheduleTokenRefresh();
+};
+
+// Check if user is authenticated - an expired or malformed token does not count as a session
 const isAuthenticated = () => {
-  return localStorage.getItem('isAuthenticated') === 'true' && !!getToken();
+  const token = getToken();
+  return getTokenStorage().getItem(AUTH_FLAG_KEY) === 'true' && !!token && !isTokenExpired(token);
+};
+
+// Get the trusted device token of this browser, if any
+const getTrustedDeviceToken = () => {
+  return localStorage.getItem(TRUSTED_DEVICE_KEY);
+};
+
+// Forget the trusted device token, so the next login asks for the second step again
+const forgetTrustedDevice = () => {
+  localStorage.removeItem(TRUSTED_DEVICE_KEY);
 };
 
 // Login user with username and password
-const login = async (username, password) => {
+// With `remember`, the session is kept in localStorage and survives closing the browser.
+// Accounts with 2FA get `{ twoFactorRequired: true, challengeToken }` back instead of a session;
+// pass the challenge to verifyTwoFactor together with the code from the authenticator app.
+const login = async (username, password, { remember = false } = {}) => {
   // Create Basic Authentication header
   const credentials = btoa(`${username}:${password}`);
   
+  // A trusted device skips the second step if the backend still accepts it
+  const deviceToken = getTrustedDeviceToken();
+  
   try {
-    const response = await fetch(`${API_BASE_URL}/users/login`, {
-      method: 'POST',
+    // The login call sends its own credentials, so it skips the bearer auth policy
+    const data = await ApiInterceptor.post('/users/login', null, {
+      auth: AUTH_POLICIES.NONE,
       headers: {
         'Authorization': `Basic ${credentials}`,
         'Content-Type': 'application/json',
-        'Accept': '*/*' // Accept any content type
+        'Accept': '*/*', // Accept any content type
+        ...(deviceToken ? { 'X-Device-Token': deviceToken } : {})
       },
-      credentials: 'include', // Include cookies if your API uses cookie-based authentication
-      mode: 'cors' // Explicitly request CORS mode
+      mapError: (response, message, data) => (
+        response.status >= 500 || response.status === 429
+          ? errorFromResponse(response, message, data)
+          : new ValidationError(message || 'Invalid username or password', {
+            status: response.status,
+            code: getErrorCode(data)
+          })
+      )
     });
     
-    if (!response.ok) {
-      // Try to get a more specific error message
-      try {
-        const contentType = response.headers.get('content-type');
-        if (contentType && contentType.includes('application/json')) {
-          const errorData = await response.json();
-          throw new Error(errorData.message || 'Invalid username or password');
-        } else {
-          const errorText = await response.text();
-          throw new Error(errorText || 'Invalid username or password');
-        }
-      } catch (parseError) {
-        if (parseError instanceof Error && parseError.message) {
-          throw parseError;
-        }
-        throw new Error('Invalid username or password');
-      }
+    // The password was right, but the account needs a second factor
+    if (data && typeof data === 'object' && data.twoFactorRequired) {
+      return { twoFactorRequired: true, challengeToken: data.challengeToken, remember };
     }
     
-    // Check content type to determine how to handle the response
-    const contentType = response.headers.get('content-type');
+    // Switch to the chosen storage, clearing the previous session wherever it was kept
+    setTokenStorage(remember);
     
-    try {
-      if (contentType && contentType.includes('application/json')) {
-        // If it's JSON, parse it as JSON
-        const data = await response.json();
-        // Check if token exists in the response data
-        if (data.token) {
-          // Store token without Bearer prefix
-          setToken(data.token);
-        } else if (data.access_token) {
-          // Some APIs use access_token instead of token
-          setToken(data.access_token);
-        } else {
-          console.error('No token found in JSON response:', data);
-          throw new Error('Authentication failed: No token received');
-        }
-        return data;
-      } else {
-        // If it's not JSON, assume it's the raw token as text
-        const token = await response.text();
-        // Remove Bearer prefix if present and store only the token
-        setToken(token);
-        return { token };
-      }
-    } catch (error) {
-      console.error('Error processing authentication response:', error);
-      throw new Error('Failed to process authentication response');
+    // The backend answers either with JSON or with the raw token as text
+    if (typeof data === 'string') {
+      // Remove Bearer prefix if present and store only the token
+      setToken(data);
+      scheduleTokenRefresh();
+      return { token: data };
     }
+    
+    // Store the access token (token or access_token) and the refresh token, if any
+    storeTokens(data);
+    return data;
   } catch (error) {
     console.error('Login error:', error);
     if (error.message.includes('Unexpected token')) {
-      throw new Error('Server response format error. Please contact support.');
+      throw new ServerError('Server response format error. Please contact support.', { retryable: false });
     }
     throw error;
   }
 };
 
+// Complete a 2FA login with a code from the authenticator app or a backup code
+// With `trustDevice`, the backend issues a device token so this browser can skip the code next time
+const verifyTwoFactor = async (challengeToken, code, { backupCode = false, trustDevice = false, remember = false } = {}) => {
+  try {
+    const data = await ApiInterceptor.post(TWO_FACTOR_VERIFY_ENDPOINT, {
+      challengeToken,
+      code: code.replace(/\s+/g, ''),
+      method: backupCode ? 'backup_code' : 'totp',
+      trustDevice
+    }, {
+      auth: AUTH_POLICIES.NONE,
+      retry: false,
+      mapError: (response, message, data) => {
+        // The challenge is only valid for a few minutes after the password was checked
+        if ([401, 410].includes(response.status)) {
+          return new AuthExpiredError('Your sign-in attempt has expired. Please sign in again.', {
+            status: response.status,
+            code: getErrorCode(data)
+          });
+        }
+        if (response.status >= 500 || response.status === 429) {
+          return errorFromResponse(response, message, data);
+        }
+        return new ValidationError(message || 'Invalid verification code', {
+          status: response.status,
+          code: getErrorCode(data)
+        });
+      }
+    });
+
+    setTokenStorage(remember);
+    storeTokens(data);
+
+    if (data.deviceToken) {
+      localStorage.setItem(TRUSTED_DEVICE_KEY, data.deviceToken);
+    }
+    return data;
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    throw error;
+  }
+};
+
+// Get the 2FA state of the current user: { enabled }
+const getTwoFactorStatus = async (options = {}) => {
+  return ApiInterceptor.get(TWO_FACTOR_ENDPOINT, options);
+};
+
+// Start enrolling an authenticator app: { secret, otpauthUrl, qrCode } - qrCode is an image URL, if provided
+const startTwoFactorSetup = async () => {
+  return ApiInterceptor.post(`${TWO_FACTOR_ENDPOINT}/setup`, null);
+};
+
+// Confirm the enrolment with a code from the app: { backupCodes }
+const enableTwoFactor = async (code) => {
+  return ApiInterceptor.post(`${TWO_FACTOR_ENDPOINT}/enable`, { code: code.replace(/\s+/g, '') });
+};
+
+// Turn 2FA off - the backend asks for the password and a current code
+const disableTwoFactor = async (password, code) => {
+  const result = await ApiInterceptor.post(`${TWO_FACTOR_ENDPOINT}/disable`, {
+    password,
+    code: code.replace(/\s+/g, '')
+  });
+  // Devices trusted for the second step are meaningless without it
+  forgetTrustedDevice();
+  return result;
+};
+
 // Register new user
 const register = async (userData) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/users/register`, {
-      method: 'POST',
+    return await ApiInterceptor.post('/users/register', { ...userData }, {
+      auth: AUTH_POLICIES.NONE,
       headers: {
-        'Content-Type': 'application/json',
         'Accept': '*/*'
       },
-      credentials: 'include', // Include cookies if your API uses cookie-based authentication
-      mode: 'cors', // Explicitly request CORS mode
-      body: JSON.stringify({...userData})
+      mapError: (response, message, data) => errorFromResponse(
+        response,
+        message || `Registration failed: ${response.status} ${response.statusText}`,
+        data
+      )
     });
+  } catch (error) {
+    console.error('Registration error:', error);
+    throw error;
+  }
+};
 
-    if (!response.ok) {
-      // Try to get more specific error message from the server
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `Registration failed: ${response.status} ${response.statusText}`);
+// Check whether a username can still be registered
+// Resolves with { available, message }; accepts `options.signal` to cancel an outdated check
+const checkUsernameAvailability = async (userName, options = {}) => {
+  const data = await ApiInterceptor.get(
+    `${USERNAME_AVAILABILITY_ENDPOINT}?userName=${encodeURIComponent(userName)}`,
+    {
+      auth: AUTH_POLICIES.NONE,
+      // The next keystroke starts a new check anyway
+      retry: false,
+      signal: options.signal
     }
+  );
+  return {
+    available: Boolean(data && data.available),
+    message: (data && data.message) || ''
+  };
+};
 
-    return await response.json();
+// Ask the backend to email a password reset link
+// Unknown addresses are reported as success so the form cannot be used to discover accounts
+const requestPasswordReset = async (email) => {
+  try {
+    await ApiInterceptor.post(FORGOT_PASSWORD_ENDPOINT, { email }, {
+      auth: AUTH_POLICIES.NONE,
+      retry: false
+    });
   } catch (error) {
-    console.error('Registration error:', error);
+    if (error instanceof ApiError && error.status === 404) {
+      return;
+    }
+    console.error('Password reset request error:', error);
+    throw error;
+  }
+};
+
+// Set a new password with the token from the reset link
+const resetPassword = async (token, newPassword) => {
+  try {
+    return await ApiInterceptor.post(RESET_PASSWORD_ENDPOINT, { token, newPassword }, {
+      auth: AUTH_POLICIES.NONE,
+      retry: false,
+      mapError: (response, message, data) => (
+        // Unknown, used and expired tokens all mean the user needs a new link
+        [404, 410].includes(response.status)
+          ? new ValidationError('This reset link is invalid or has expired. Please request a new one.', {
+            status: response.status,
+            code: getErrorCode(data) || 'INVALID_RESET_TOKEN'
+          })
+          : errorFromResponse(response, message, data)
+      )
+    });
+  } catch (error) {
+    console.error('Password reset error:', error);
     throw error;
   }
 };
 
+// Confirm the email address with the token from the verification link
+const verifyEmail = async (token) => {
+  try {
+    return await ApiInterceptor.post(VERIFY_EMAIL_ENDPOINT, { token }, {
+      auth: AUTH_POLICIES.NONE,
+      retry: false,
+      mapError: (response, message, data) => (
+        // Unknown and expired tokens both mean the user needs a new link
+        [404, 410].includes(response.status)
+          ? new ValidationError('This verification link is invalid or has expired. Please request a new one.', {
+            status: response.status,
+            code: getErrorCode(data) || 'INVALID_VERIFICATION_TOKEN'
+          })
+          : errorFromResponse(response, message, data)
+      )
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    throw error;
+  }
+};
+
+// Send the verification email again
+// Unknown addresses are reported as success so the form cannot be used to discover accounts
+const resendVerificationEmail = async (email) => {
+  try {
+    await ApiInterceptor.post(RESEND_VERIFICATION_ENDPOINT, { email }, {
+      auth: AUTH_POLICIES.NONE,
+      retry: false
+    });
+  } catch (error) {
+    if (error instanceof ApiError && error.status === 404) {
+      return;
+    }
+    console.error('Resend verification error:', error);
+    throw error;
+  }
+};
+
+// Cancel the pending silent renewal, if any
+const cancelTokenRefresh = () => {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+};
+
 // Logout user
 const logout = () => {
+  cancelTokenRefresh();
+  clearValidationCache();
   removeToken();
 };
 
-// Validate token with backend (mock implementation since we don't have a real API)
+// Subscribe to session expiry - returns an unsubscribe function
+const onSessionExpired = (listener) => {
+  sessionExpiredListeners.add(listener);
+  return () => {
+    sessionExpiredListeners.delete(listener);
+  };
+};
+
+// End the session because it cannot be renewed and tell the app to ask for a new login
+const expireSession = () => {
+  logout();
+  sessionExpiredListeners.forEach((listener) => listener());
+};
+
+// Check whether a token is expired or about to expire
+const needsRenewal = (token) => {
+  const expiry = token && getTokenExpiry(token);
+  return Boolean(expiry) && expiry - REFRESH_MARGIN <= Date.now();
+};
+
+// Only these answers mean the refresh token itself was rejected; rate limits, timeouts,
+// network problems and server errors leave the session alone so the next request can try again
+const isRejectedRefresh = (error) => (
+  error instanceof AuthExpiredError || (error instanceof ApiError && [400, 401, 403].includes(error.status))
+);
+
+// Run the renewal while holding the cross-tab lock, in browsers that support Web Locks
+const withRefreshLock = (callback) => (
+  typeof navigator !== 'undefined' && navigator.locks
+    ? navigator.locks.request(REFRESH_LOCK, callback)
+    : callback()
+);
+
+// Exchange the refresh token for a new access token
+// Concurrent callers share one renewal, and tabs sharing the session take turns; the session only
+// ends when the server rejects the refresh token and no other tab has rotated it in the meantime
+const refreshAccessToken = () => {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  if (!getRefreshToken()) {
+    return Promise.reject(new AuthExpiredError());
+  }
+
+  const previousToken = getToken();
+  refreshPromise = withRefreshLock(async () => {
+    // Another tab renewed the shared tokens while this one waited for the lock
+    const currentToken = getToken();
+    if (currentToken && currentToken !== previousToken && !needsRenewal(currentToken)) {
+      scheduleTokenRefresh();
+      return currentToken;
+    }
+
+    const refreshToken = getRefreshToken();
+    if (!refreshToken) {
+      throw new AuthExpiredError();
+    }
+
+    try {
+      const data = await ApiInterceptor.post(REFRESH_ENDPOINT, { refreshToken }, {
+        auth: AUTH_POLICIES.NONE,
+        retry: false
+      });
+      if (typeof data === 'string') {
+        setToken(data);
+        scheduleTokenRefresh();
+      } else {
+        storeTokens(data);
+      }
+      return getToken();
+    } catch (error) {
+      if (!isRejectedRefresh(error)) {
+        throw error;
+      }
+
+      // A rotating backend rejects a refresh token another tab has already used; adopt the new tokens
+      const storedRefreshToken = getRefreshToken();
+      if (storedRefreshToken && storedRefreshToken !== refreshToken && getToken()) {
+        scheduleTokenRefresh();
+        return getToken();
+      }
+
+      console.error('Token refresh rejected:', error);
+      expireSession();
+      throw new AuthExpiredError();
+    }
+  }).finally(() => {
+    refreshPromise = null;
+  });
+
+  return refreshPromise;
+};
+
+// Schedule a silent renewal shortly before the access token expires
+const scheduleTokenRefresh = () => {
+  cancelTokenRefresh();
+
+  const token = getToken();
+  const expiry = token && getTokenExpiry(token);
+  if (!expiry || !getRefreshToken()) {
+    return;
+  }
+
+  const delay = Math.max(0, expiry - REFRESH_MARGIN - Date.now());
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refreshAccessToken().catch((error) => {
+      console.error('Silent token renewal failed:', error);
+    });
+  }, delay);
+};
+
+// Make sure the access token is still valid before a request is sent
+// Waits for a running refresh, or starts one if the token is about to expire
+const ensureFreshToken = async () => {
+  if (refreshPromise) {
+    await refreshPromise;
+    return;
+  }
+
+  if (getRefreshToken() && needsRenewal(getToken())) {
+    await refreshAccessToken();
+  }
+};
+
+// Only a rejected token ends the session; outages, server errors and other failures leave it unknown
+const isRejected = (error) => (
+  error instanceof AuthExpiredError || (error instanceof ApiError && [401, 403].includes(error.status))
+);
+
+// Ask the backend whether the current token still belongs to an active session
+// Resolves with { valid, user }, where valid is null when the backend could not confirm or reject the token
+const checkSession = async () => {
+  // An expired access token is only usable if it can be renewed
+  if (isTokenExpired(getToken())) {
+    if (!getRefreshToken()) return { valid: false, user: null };
+    try {
+      await refreshAccessToken();
+    } catch (error) {
+      return { valid: isRejected(error) ? false : null, user: null };
+    }
+  }
+
+  try {
+    const user = await ApiInterceptor.get(SESSION_ENDPOINT);
+    return { valid: true, user };
+  } catch (error) {
+    console.error('Session validation failed:', error);
+    return { valid: isRejected(error) ? false : null, user: null };
+  }
+};
+
+// Validate token with backend - results are cached briefly so route changes don't hit the server every time
+// Resolves with true or false, or null when the session could not be checked
 const validateToken = async () => {
   const token = getToken();
   if (!token) return false;
 
-  // Since we don't have a real validate-token endpoint, we'll just check if the token exists
-  return !!token;
+  const isFresh = validationCache
+    && validationCache.token === token
+    && Date.now() - validationCache.checkedAt < VALIDATION_CACHE_TTL;
+  if (isFresh) {
+    return validationCache.valid;
+  }
+
+  // Concurrent callers share the same request
+  if (!validationPromise) {
+    validationPromise = checkSession()
+      .then((result) => {
+        // Only positive results are cached, so a failed check is retried on the next call
+        validationCache = result.valid
+          ? { token: getToken(), ...result, checkedAt: Date.now() }
+          : null;
+        return result.valid;
+      })
+      .finally(() => {
+        validationPromise = null;
+      });
+  }
+
+  return validationPromise;
+};
+
+// Forget the cached session check, e.g. after the profile or the session changed
+const clearValidationCache = () => {
+  validationCache = null;
 };
 
 // Create authenticated API request with JWT token
+// Failed responses, including 401, are returned as-is and classified by ApiInterceptor
 const authFetch = async (url, options = {}) => {
   const token = getToken();
   if (!token) {
-    throw new Error('Not authenticated');
+    throw new AuthExpiredError('Not authenticated. Please login.');
   }
 
   // Ensure the token doesn't already have 'Bearer ' prefix before adding it
@@ -158,44 +616,16 @@ const authFetch = async (url, options = {}) => {
   const authOptions = {
     ...options,
     headers: {
+      'Accept': 'application/json',
       ...options.headers,
-      'Authorization': bearerToken,
-      'Accept': 'application/json'
+      'Authorization': bearerToken
     },
     credentials: 'include',
     mode: 'cors'
   };
 
   try {
-    const response = await fetch(url, authOptions);
-    
-    if (response.status === 401) {
-      // Try to get the response content to check if it's a password-related error
-      let responseText;
-      try {
-        // First try to get it as JSON
-        const contentType = response.headers.get('content-type');
-        if (contentType && contentType.includes('application/json')) {
-          const errorData = await response.json();
-          responseText = errorData.message || '';
-        } else {
-          responseText = await response.text();
-        }
-      } catch (e) {
-        responseText = await response.text().catch(() => '');
-      }
-      
-      // If it contains "password", it's likely a password validation error
-      if (responseText && responseText.toLowerCase().includes('password')) {
-        return response;
-      }
-      
-      // Otherwise it's a token expiration
-      removeToken();
-      throw new Error('Session expired. Please login again.');
-    }
-    
-    return response;
+    return await fetch(url, authOptions);
   } catch (error) {
     console.error('API fetch error:', error);
     throw error;
@@ -204,14 +634,33 @@ const authFetch = async (url, options = {}) => {
 
 const AuthService = {
   login,
+  verifyTwoFactor,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  forgetTrustedDevice,
   register,
+  checkUsernameAvailability,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   logout,
   getToken,
   setToken,
+  getRefreshToken,
   removeToken,
   isAuthenticated,
+  isRemembered,
   validateToken,
-  authFetch
+  clearValidationCache,
+  authFetch,
+  refreshAccessToken,
+  ensureFreshToken,
+  scheduleTokenRefresh,
+  onSessionExpired,
+  expireSession
 };
 
 export default AuthService;
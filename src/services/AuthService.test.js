@@ -0,0 +1,205 @@
+import AuthService from './AuthService';
+import ApiInterceptor from '../utils/ApiInterceptor';
+import { ApiError, AuthExpiredError, NetworkError, RateLimitError, ServerError, ValidationError } from '../utils/ApiErrors';
+
+// Minimal fetch Response stand-in for the mocked backend
+const mockResponse = (status, body, headers = {}) => {
+  const text = body === undefined ? '' : JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: '',
+    headers: { get: (name) => headers[name.toLowerCase()] || (text ? 'application/json' : null) },
+    json: async () => JSON.parse(text),
+    text: async () => text,
+    clone() {
+      return this;
+    }
+  };
+};
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  AuthService.logout();
+});
+
+// Unsigned JWT that expires after the given number of seconds, an hour by default
+const createToken = (expiresIn = 60 * 60) => {
+  const encode = (value) => btoa(JSON.stringify(value)).replace(/=+$/, '');
+  const exp = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ sub: '1', exp })}.signature`;
+};
+
+describe('requestPasswordReset', () => {
+  test('posts the email without a bearer token', async () => {
+    global.fetch.mockResolvedValue(mockResponse(200, { message: 'sent' }));
+
+    await AuthService.requestPasswordReset('user@example.com');
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toMatch(/\/users\/forgot-password$/);
+    expect(options.method).toBe('POST');
+    expect(JSON.parse(options.body)).toEqual({ email: 'user@example.com' });
+    expect(options.headers.Authorization).toBeUndefined();
+  });
+
+  test('treats an unknown email as success', async () => {
+    global.fetch.mockResolvedValue(mockResponse(404, { message: 'User not found' }));
+
+    await expect(AuthService.requestPasswordReset('nobody@example.com')).resolves.toBeUndefined();
+  });
+
+  test('throws RateLimitError with the Retry-After wait', async () => {
+    global.fetch.mockResolvedValue(mockResponse(429, { message: 'Slow down' }, { 'retry-after': '30' }));
+
+    const error = await AuthService.requestPasswordReset('user@example.com').catch((err) => err);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfter).toBe(30000);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('resetPassword', () => {
+  test('posts the token and the new password', async () => {
+    global.fetch.mockResolvedValue(mockResponse(200, { message: 'Password updated' }));
+
+    await AuthService.resetPassword('reset-token', 'N3w-Passw0rd!');
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toMatch(/\/users\/reset-password$/);
+    expect(JSON.parse(options.body)).toEqual({ token: 'reset-token', newPassword: 'N3w-Passw0rd!' });
+  });
+
+  test('reports an expired link', async () => {
+    global.fetch.mockResolvedValue(mockResponse(410, { message: 'Token expired' }));
+
+    const error = await AuthService.resetPassword('old-token', 'N3w-Passw0rd!').catch((err) => err);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.code).toBe('INVALID_RESET_TOKEN');
+  });
+
+  test('passes field errors for a rejected password', async () => {
+    global.fetch.mockResolvedValue(mockResponse(422, {
+      message: 'Invalid password',
+      errors: { newPassword: 'Password was used recently' }
+    }));
+
+    const error = await AuthService.resetPassword('reset-token', 'Old-Passw0rd!').catch((err) => err);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.fieldErrors.newPassword).toBe('Password was used recently');
+  });
+});
+
+describe('validateToken', () => {
+  beforeEach(() => {
+    localStorage.setItem('jwt_token', createToken());
+    AuthService.clearValidationCache();
+  });
+
+  test('reports an unknown session when the backend cannot be reached', async () => {
+    jest.spyOn(ApiInterceptor, 'get').mockRejectedValue(new NetworkError());
+
+    await expect(AuthService.validateToken()).resolves.toBeNull();
+    expect(AuthService.getToken()).not.toBeNull();
+  });
+
+  test('reports an unknown session on a server error', async () => {
+    jest.spyOn(ApiInterceptor, 'get').mockRejectedValue(new ServerError(undefined, { status: 503 }));
+
+    await expect(AuthService.validateToken()).resolves.toBeNull();
+  });
+
+  test('reports an unknown session when rate limited', async () => {
+    jest.spyOn(ApiInterceptor, 'get').mockRejectedValue(new RateLimitError());
+
+    await expect(AuthService.validateToken()).resolves.toBeNull();
+  });
+
+  test('reports a rejected token as invalid', async () => {
+    jest.spyOn(ApiInterceptor, 'get').mockRejectedValue(new AuthExpiredError());
+
+    await expect(AuthService.validateToken()).resolves.toBe(false);
+  });
+
+  test('reports a forbidden session as invalid', async () => {
+    jest.spyOn(ApiInterceptor, 'get').mockRejectedValue(new ApiError('Forbidden', { status: 403 }));
+
+    await expect(AuthService.validateToken()).resolves.toBe(false);
+  });
+});
+
+describe('refreshAccessToken', () => {
+  beforeEach(() => {
+    localStorage.setItem('jwt_token', createToken(30));
+    localStorage.setItem('refresh_token', 'refresh-1');
+  });
+
+  test('stores the renewed tokens', async () => {
+    const renewed = createToken();
+    global.fetch.mockResolvedValue(mockResponse(200, { token: renewed, refreshToken: 'refresh-2' }));
+
+    await expect(AuthService.refreshAccessToken()).resolves.toBe(renewed);
+
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ refreshToken: 'refresh-1' });
+    expect(AuthService.getRefreshToken()).toBe('refresh-2');
+  });
+
+  test('keeps the session when the renewal is rate limited', async () => {
+    global.fetch.mockResolvedValue(mockResponse(429, { message: 'Slow down' }));
+
+    await expect(AuthService.refreshAccessToken()).rejects.toBeInstanceOf(RateLimitError);
+
+    expect(AuthService.getRefreshToken()).toBe('refresh-1');
+  });
+
+  test('ends the session when the refresh token is rejected', async () => {
+    const listener = jest.fn();
+    const unsubscribe = AuthService.onSessionExpired(listener);
+    global.fetch.mockResolvedValue(mockResponse(401, { message: 'Invalid refresh token' }));
+
+    await expect(AuthService.refreshAccessToken()).rejects.toBeInstanceOf(AuthExpiredError);
+
+    expect(AuthService.getToken()).toBeNull();
+    expect(listener).toHaveBeenCalled();
+    unsubscribe();
+  });
+
+  test('adopts the tokens another tab rotated during the renewal', async () => {
+    const renewed = createToken();
+    global.fetch.mockImplementation(async () => {
+      localStorage.setItem('jwt_token', renewed);
+      localStorage.setItem('refresh_token', 'refresh-2');
+      return mockResponse(401, { message: 'Refresh token already used' });
+    });
+
+    await expect(AuthService.refreshAccessToken()).resolves.toBe(renewed);
+
+    expect(AuthService.getRefreshToken()).toBe('refresh-2');
+  });
+
+  test('skips the request when another tab renewed while this one waited for the lock', async () => {
+    const renewed = createToken();
+    const request = jest.fn(async (name, callback) => {
+      localStorage.setItem('jwt_token', renewed);
+      return callback();
+    });
+    Object.defineProperty(navigator, 'locks', { value: { request }, configurable: true });
+
+    try {
+      await expect(AuthService.refreshAccessToken()).resolves.toBe(renewed);
+    } finally {
+      delete navigator.locks;
+    }
+
+    expect(request).toHaveBeenCalledWith('eye-detection-token-refresh', expect.any(Function));
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
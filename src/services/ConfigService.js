@@ -0,0 +1,209 @@
+/**
+ * Runtime configuration service
+ * Resolves the API endpoints and session settings from REACT_APP_* environment variables and an optional
+ * config.json served next to index.html, so one build can be deployed to several hosts
+ */
+
+// Location of the runtime configuration file (served from the public folder)
+const CONFIG_URL = `${process.env.PUBLIC_URL || ''}/config.json`;
+
+// Defaults used when neither the environment nor config.json provide a value
+const DEFAULT_CONFIG = {
+  // FastAPI model server that runs the prediction
+  inferenceApiUrl: 'http://localhost:8000',
+  // Java backend for users and analysis records - empty means same origin (proxy in package.json)
+  recordsApiUrl: '',
+  // Sign the user out after this many minutes without activity - 0 disables the idle timeout
+  idleTimeoutMinutes: 15
+};
+
+// Maps each configuration key to the environment variable that can set it at build time
+const ENV_VARIABLES = {
+  inferenceApiUrl: 'REACT_APP_INFERENCE_API_URL',
+  recordsApiUrl: 'REACT_APP_RECORDS_API_URL',
+  idleTimeoutMinutes: 'REACT_APP_IDLE_TIMEOUT_MINUTES'
+};
+
+// Keys holding API base URLs
+const URL_KEYS = ['inferenceApiUrl', 'recordsApiUrl'];
+
+/**
+ * Error thrown when the configuration cannot be loaded or is invalid
+ */
+export class ConfigError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Read the configuration values provided through environment variables
+ * @returns {Object} - Configuration values set in the environment
+ */
+const getEnvConfig = () => {
+  const envConfig = {};
+  Object.entries(ENV_VARIABLES).forEach(([key, variable]) => {
+    if (process.env[variable] !== undefined) {
+      envConfig[key] = process.env[variable];
+    }
+  });
+  return envConfig;
+};
+
+/**
+ * Strip trailing slashes so endpoints can always be appended with a leading slash,
+ * and turn numbers given as strings (environment variables) into numbers
+ * @param {Object} config - The configuration to normalize
+ * @returns {Object} - The normalized configuration
+ */
+const normalizeConfig = (config) => {
+  const normalized = { ...config };
+  URL_KEYS.forEach((key) => {
+    if (typeof normalized[key] === 'string') {
+      normalized[key] = normalized[key].replace(/\/+$/, '');
+    }
+  });
+  if (typeof normalized.idleTimeoutMinutes === 'string') {
+    normalized.idleTimeoutMinutes = Number(normalized.idleTimeoutMinutes);
+  }
+  return normalized;
+};
+
+// Active configuration - starts from defaults and env so services work before loadConfig resolves
+let currentConfig = normalizeConfig({ ...DEFAULT_CONFIG, ...getEnvConfig() });
+
+/**
+ * Check whether a value is usable as an API base URL
+ * An empty string or a path means "same origin", otherwise an absolute http(s) URL is required
+ * @param {*} value - The value to check
+ * @returns {boolean} - True if the value is a valid base URL
+ */
+const isValidBaseUrl = (value) => {
+  if (typeof value !== 'string') return false;
+  if (value === '' || value.startsWith('/')) return true;
+
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a value is usable as a duration
+ * @param {*} value - The value to check, a number or a numeric string from the environment
+ * @returns {boolean} - True if the value is a finite number of at least 0
+ */
+const isValidDuration = (value) => {
+  if (typeof value === 'string' && value.trim() === '') return false;
+  if (typeof value !== 'number' && typeof value !== 'string') return false;
+
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0;
+};
+
+/**
+ * Validate a configuration object
+ * @param {Object} config - The configuration to validate
+ * @returns {string[]} - List of problems, empty when the configuration is valid
+ */
+export const validateConfig = (config) => {
+  const errors = [];
+
+  Object.keys(config).forEach((key) => {
+    if (!(key in DEFAULT_CONFIG)) {
+      errors.push(`Unknown configuration key "${key}"`);
+    }
+  });
+
+  URL_KEYS.forEach((key) => {
+    if (!isValidBaseUrl(config[key])) {
+      errors.push(
+        `"${key}" must be an absolute http(s) URL, a path, or empty for same origin (got ${JSON.stringify(config[key])}). ` +
+        `Set it in config.json or with ${ENV_VARIABLES[key]}.`
+      );
+    }
+  });
+
+  if (!isValidDuration(config.idleTimeoutMinutes)) {
+    errors.push(
+      `"idleTimeoutMinutes" must be a number of minutes, or 0 to disable the idle timeout (got ${JSON.stringify(config.idleTimeoutMinutes)}). ` +
+      `Set it in config.json or with ${ENV_VARIABLES.idleTimeoutMinutes}.`
+    );
+  }
+
+  return errors;
+};
+
+/**
+ * Fetch the optional runtime configuration file
+ * @returns {Promise<Object>} - Values from config.json, or an empty object if there is none
+ */
+const fetchRuntimeConfig = async () => {
+  let response;
+  try {
+    response = await fetch(CONFIG_URL, {
+      headers: { 'Accept': 'application/json' },
+      cache: 'no-store'
+    });
+  } catch (error) {
+    console.warn('Could not fetch runtime configuration, using environment values:', error);
+    return {};
+  }
+
+  // A missing file is fine - the dev server answers unknown paths with index.html
+  const contentType = response.headers.get('content-type');
+  if (!response.ok || !contentType || !contentType.includes('application/json')) {
+    return {};
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    throw new ConfigError('config.json is not valid JSON', [error.message]);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError('config.json must contain a JSON object');
+  }
+
+  return data;
+};
+
+/**
+ * Load and validate the configuration. Called once at startup before the app renders.
+ * Precedence: config.json > REACT_APP_* environment variables > defaults
+ * @returns {Promise<Object>} - The active configuration
+ */
+const loadConfig = async () => {
+  const runtimeConfig = await fetchRuntimeConfig();
+  const config = { ...DEFAULT_CONFIG, ...getEnvConfig(), ...runtimeConfig };
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new ConfigError('The application configuration is invalid', errors);
+  }
+
+  currentConfig = normalizeConfig(config);
+  return currentConfig;
+};
+
+/**
+ * Get the active configuration
+ * @returns {Object} - The active configuration
+ */
+const getConfig = () => {
+  return currentConfig;
+};
+
+const ConfigService = {
+  loadConfig,
+  getConfig,
+  validateConfig
+};
+
+export default ConfigService;
@@ -3,98 +3,67 @@
  */
 import ApiInterceptor from '../utils/ApiInterceptor';
 import AuthService from './AuthService';
+import { AuthExpiredError, InferenceError, errorFromResponse } from '../utils/ApiErrors';
+import { getUserId as getUserIdFromToken } from '../utils/TokenUtils';
+import { saveBlob } from '../utils/DownloadUtils';
+import { isValidLaterality } from '../utils/Laterality';
 
 // Helper function to get user ID from JWT token
 const getUserId = () => {
-  try {
-    const token = AuthService.getToken();
-    if (!token) {
-      console.error('No JWT token found');
-      return null;
-    }
-
-    // Basic parsing of JWT to get user info
-    const parts = token.split('.');
-    if (parts.length !== 3) {
-      console.error('Invalid JWT token format');
-      return null;
-    }
-
-    // Decode the payload (middle part)
-    const payload = parts[1];
-    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
-    const decodedPayload = JSON.parse(atob(base64));
-    
-    // Look for common user ID fields in JWT tokens
-    if (decodedPayload.id) {
-      return decodedPayload.id;
-    } else if (decodedPayload.userId) {
-      return decodedPayload.userId;
-    } else if (decodedPayload.sub) {
-      return decodedPayload.sub;
-    } else if (decodedPayload.user_id) {
-      return decodedPayload.user_id;
-    }
-    
-    console.error('No user ID found in JWT payload:', decodedPayload);
-    return null;
-  } catch (error) {
-    console.error('Error parsing JWT token:', error);
+  const token = AuthService.getToken();
+  if (!token) {
+    console.error('No JWT token found');
     return null;
   }
+
+  const userId = getUserIdFromToken(token);
+  if (!userId) {
+    console.error('No user ID found in JWT payload');
+  }
+  return userId;
 };
 
 // Analyze eye image and get results
-const analyzeEyeImage = async (imageFile) => {
+// Pass `options.signal` to cancel both the prediction and storing the result,
+// `options.laterality` (OD or OS) to record which eye the image shows and `options.metadata`
+// ({ patientName, patientId, acquisitionDate }, e.g. read from a DICOM file) to store with the record
+const analyzeEyeImage = async (imageFile, options = {}) => {
+  const { signal, laterality = null, metadata = {} } = options;
+
   try {
     // Create FormData object to send the file
     const formData = new FormData();
     formData.append('file', imageFile); // Changed to 'file' as per FastAPI's UploadFile param name
     
-    // Make direct fetch call to the FastAPI endpoint with absolute URL
-    // Note: This is an external API, so we're still using direct fetch instead of ApiInterceptor
-    const response = await fetch('http://localhost:8000/predict/', {
-      method: 'POST',
-      body: formData,
+    // Send the image to the FastAPI model server through the shared request pipeline
+    const data = await ApiInterceptor.post('/predict/', formData, {
+      backend: 'inference',
       headers: {
-        // Don't set Content-Type here, as it's automatically set with the correct boundary for FormData
-        'Accept': 'application/json',
+        'Accept': 'application/json'
       },
-      credentials: 'omit', // Change to 'omit' to avoid CORS preflight issues with credentials
-      mode: 'cors'
+      // Predictions have no side effects, so transient failures are retried like GET requests
+      retry: true,
+      signal
     });
-
-    if (!response.ok) {
-      // Try to parse the error response
-      try {
-        const contentType = response.headers.get('content-type');
-        if (contentType && contentType.includes('application/json')) {
-          const errorData = await response.json();
-          throw new Error(errorData.message || `Error analyzing image: ${response.status} ${response.statusText}`);
-        } else {
-          const errorText = await response.text();
-          throw new Error(errorText || `Error analyzing image: ${response.status} ${response.statusText}`);
-        }
-      } catch (parseError) {
-        if (parseError instanceof Error && parseError.message) {
-          throw parseError;
-        }
-        throw new Error(`Error analyzing image: ${response.status} ${response.statusText}`);
-      }
+    
+    if (!data || !data.predicted_class || !data.all_confidence_scores) {
+      throw new InferenceError('The analysis server returned an unexpected response. Please try again.', {
+        code: 'INVALID_RESPONSE'
+      });
     }
-
-    const data = await response.json();
     
     // Transform the FastAPI response format to match the frontend's expected format
     const result = {
       diagnosis: data.predicted_class.replace('_', ' '), // Convert snake_case to readable format
       confidence: data.confidence,
       conditions: getAllConditions(data.all_confidence_scores),
-      recommendations: getRecommendations(data.predicted_class)
+      recommendations: getRecommendations(data.predicted_class),
+      laterality,
+      metadata
     };
     
     // Store the analysis result in the Java backend
-    await storeAnalysisResult(imageFile, data.predicted_class, data.confidence);
+    await storeAnalysisResult(imageFile, data.predicted_class, data.confidence, { signal, laterality, metadata });
     
     return result;
   } catch (error) {
@@ -104,12 +73,12 @@ const analyzeEyeImage = async (imageFile) => {
 };
 
 // Store the analysis result in the Java backend
-const storeAnalysisResult = async (imageFile, diseaseName, confidence) => {
+const storeAnalysisResult = async (imageFile, diseaseName, confidence, options = {}) => {
   try {
     const userId = getUserId();
     if (!userId) {
       console.error('Failed to get user ID from JWT token');
-      throw new Error('User ID not found. Please log in again.');
+      throw new AuthExpiredError('User ID not found. Please log in again.');
     }
     
     console.log(`Storing analysis for user ID: ${userId}`);
@@ -118,9 +87,20 @@ const storeAnalysisResult = async (imageFile, diseaseName, confidence) => {
     formData.append('file', imageFile);
     formData.append('diseaseName', diseaseName);
     formData.append('confidence', confidence);
+    // The model itself does not know the eye; the backend keeps the tag with the record
+    if (isValidLaterality(options.laterality)) {
+      formData.append('laterality', options.laterality);
+    }
+    // Only sent when the image file carried them
+    const metadata = options.metadata || {};
+    ['patientName', 'patientId', 'acquisitionDate'].forEach((field) => {
+      if (metadata[field]) {
+        formData.append(field, metadata[field]);
+      }
+    });
     
     // Use ApiInterceptor for consistent error handling
-    const responseData = await ApiInterceptor.post(`/files/${userId}`, formData);
+    const responseData = await ApiInterceptor.post(`/files/${userId}`, formData, { signal: options.signal });
     return responseData;
   } catch (error) {
     console.error('Error storing analysis result:', error);
@@ -155,18 +135,22 @@ const getRecommendations = (diagnosis) => {
 };
 
 // Get user analysis history from Java backend
-const getUserAnalysisHistory = async () => {
+// Accepts `options.signal` and `options.timeout` to cancel or bound the request
+const getUserAnalysisHistory = async (options = {}) => {
   try {
     const userId = getUserId();
     if (!userId) {
       console.error('Failed to get user ID from JWT token');
-      throw new Error('User ID not found. Please log in again.');
+      throw new AuthExpiredError('User ID not found. Please log in again.');
     }
     
     console.log(`Fetching analysis history for user ID: ${userId}`);
     
     // Use ApiInterceptor for consistent error handling
-    const data = await ApiInterceptor.get(`/files/${userId}`);
+    const data = await ApiInterceptor.get(`/files/${userId}`, {
+      signal: options.signal,
+      timeout: options.timeout
+    });
       
     // Transform the Java backend response format to match the frontend's expected format
     return data.map(item => ({
@@ -174,6 +158,13 @@ const getUserAnalysisHistory = async () => {
       date: new Date(item.createdAt || item.uploadDate || Date.now()).toISOString(),
       diagnosis: item.diseaseName.replace('_', ' '),
       confidence: item.confidence,
+      // Records stored before eyes were tagged have no laterality
+      laterality: isValidLaterality(item.laterality) ? item.laterality : null,
+      metadata: {
+        patientName: item.patientName || null,
+        patientId: item.patientId || null,
+        acquisitionDate: item.acquisitionDate || null
+      },
       fileUrl: item.fileUrl
     }));
   } catch (error) {
@@ -182,54 +173,29 @@ const getUserAnalysisHistory = async () => {
   }
 };
 
+// Fetch an eye image from the Java backend as a Blob
+// Accepts `options.signal` to cancel the request
+const getEyeImage = async (filePath, options = {}) => {
+  // Binary files are read as a Blob instead of JSON
+  return ApiInterceptor.get(`/files/filePath/${encodeURIComponent(filePath)}`, {
+    headers: {
+      'Accept': 'application/octet-stream' // Expecting binary file data
+    },
+    responseType: 'blob',
+    signal: options.signal,
+    mapError: (response, message, data) => errorFromResponse(
+      response,
+      message || `Error downloading image: ${response.status} ${response.statusText}`,
+      data
+    )
+  });
+};
+
 // Download an eye image from the Java backend
 const downloadEyeImage = async (filePath) => {
   try {
-    // For binary files, we need to use fetch directly with additional options
-    // that are not available in ApiInterceptor
-    const token = AuthService.getToken();
-    const bearerToken = token.startsWith('Bearer ') ? token : `Bearer ${token}`;
-    
-    // Use proxy configuration from package.json and proper authorization
-    const response = await fetch(`/files/filePath/${encodeURIComponent(filePath)}`, {
-      method: 'GET',
-      headers: {
-        'Authorization': bearerToken,
-        'Accept': 'application/octet-stream' // Expecting binary file data
-      },
-      credentials: 'include',
-      mode: 'cors'
-    });
-    
-    if (!response.ok) {
-      // Try to parse the error response
-      try {
-        const contentType = response.headers.get('content-type');
-        if (contentType && contentType.includes('application/json')) {
-          const errorData = await response.json();
-          throw new Error(errorData.message || `Error downloading image: ${response.status} ${response.statusText}`);
-        } else {
-          const errorText = await response.text();
-          throw new Error(errorText || `Error downloading image: ${response.status} ${response.statusText}`);
-        }
-      } catch (parseError) {
-        if (parseError instanceof Error && parseError.message) {
-          throw parseError;
-        }
-        throw new Error(`Error downloading image: ${response.status} ${response.statusText}`);
-      }
-    }
-    
-    const blob = await response.blob();
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.style.display = 'none';
-    a.href = url;
-    a.download = filePath.split('/').pop() || 'eye-image.jpg';
-    document.body.appendChild(a);
-    a.click();
-    window.URL.revokeObjectURL(url);
-    document.body.removeChild(a);
+    const blob = await getEyeImage(filePath);
+    saveBlob(blob, filePath.split('/').pop() || 'eye-image.jpg');
   } catch (error) {
     console.error('Error downloading image:', error);
     throw error;
@@ -239,6 +205,7 @@ const downloadEyeImage = async (filePath) => {
 const EyeAnalysisService = {
   analyzeEyeImage,
   getUserAnalysisHistory,
+  getEyeImage,
   downloadEyeImage
 };
 
@@ -0,0 +1,162 @@
+/**
+ * Error classes thrown by ApiInterceptor and the services built on it
+ * Pages check the error type with instanceof instead of matching on the message
+ */
+
+/**
+ * Base class for all API errors
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - User-facing error message
+   * @param {Object} options - Error details
+   * @param {number} options.status - HTTP status of the response, if there was one
+   * @param {string} options.code - Error code sent by the server, if any
+   * @param {boolean} options.retryable - True if repeating the request may succeed
+   * @param {number} options.retryAfter - Milliseconds the server asked to wait before retrying (Retry-After)
+   */
+  constructor(message, { status = null, code = null, retryable = false, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * The request did not complete within its timeout
+ */
+export class TimeoutError extends ApiError {
+  constructor(message = 'Request timeout. The server took too long to respond.', options = {}) {
+    super(message, { retryable: true, ...options });
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * The request was cancelled by the caller through its AbortSignal
+ */
+export class AbortError extends ApiError {
+  constructor(message = 'Request was cancelled.', options = {}) {
+    super(message, { retryable: false, ...options });
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * The server could not be reached (offline, DNS failure, CORS rejection)
+ */
+export class NetworkError extends ApiError {
+  constructor(message = 'Network error. Please check your internet connection and try again.', options = {}) {
+    super(message, { retryable: true, ...options });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The session token is missing, expired or was rejected by the server
+ */
+export class AuthExpiredError extends ApiError {
+  constructor(message = 'Your session has expired. Please login again.', options = {}) {
+    super(message, { status: 401, retryable: false, ...options });
+    this.name = 'AuthExpiredError';
+  }
+}
+
+/**
+ * The server rejected the submitted data, e.g. a wrong current password or a taken username
+ */
+export class ValidationError extends ApiError {
+  /**
+   * @param {string} message - User-facing error message
+   * @param {Object} options - Error details, plus `fieldErrors` mapping field names to messages
+   */
+  constructor(message = 'Please check the submitted data and try again.', options = {}) {
+    const { fieldErrors = {}, ...errorOptions } = options;
+    super(message, { retryable: false, ...errorOptions });
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+/**
+ * The server is rate limiting the client (429) - `retryAfter` says how long to wait, if known
+ */
+export class RateLimitError extends ApiError {
+  constructor(message = 'Too many requests. Please wait a moment and try again.', options = {}) {
+    super(message, { status: 429, retryable: true, ...options });
+    this.name = 'RateLimitError';
+  }
+}
+
+/**
+ * The server failed to handle a valid request (5xx)
+ */
+export class ServerError extends ApiError {
+  constructor(message = 'Server error. Please try again later.', options = {}) {
+    super(message, { retryable: true, ...options });
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * The model server could not analyze the image or returned an unusable prediction
+ */
+export class InferenceError extends ApiError {
+  constructor(message = 'The image could not be analyzed. Please try again.', options = {}) {
+    super(message, options);
+    this.name = 'InferenceError';
+  }
+}
+
+/**
+ * Read the error code from a parsed error body
+ * @param {Object} data - The parsed JSON error body, if any
+ * @returns {string|null} - The server error code
+ */
+export const getErrorCode = (data) => {
+  if (!data) return null;
+  const code = data.code || data.errorCode || data.error;
+  return typeof code === 'string' ? code : null;
+};
+
+/**
+ * Read field-level errors from a parsed error body, e.g. `{ errors: { userName: '...' } }`
+ * @param {Object} data - The parsed JSON error body, if any
+ * @returns {Object} - Field names mapped to messages
+ */
+export const getFieldErrors = (data) => {
+  if (!data || !data.errors || typeof data.errors !== 'object' || Array.isArray(data.errors)) {
+    return {};
+  }
+  return data.errors;
+};
+
+/**
+ * Create the typed error matching a failed response
+ * @param {Response} response - The failed response
+ * @param {string} message - Error message for the user
+ * @param {Object} data - The parsed JSON error body, if any
+ * @returns {ApiError} - The error to throw
+ */
+export const errorFromResponse = (response, message, data) => {
+  const options = { status: response.status, code: getErrorCode(data) };
+  const text = message || `Error ${response.status}: ${response.statusText}`;
+
+  if (response.status === 401) {
+    return new AuthExpiredError(undefined, options);
+  }
+  if ([400, 409, 422].includes(response.status)) {
+    return new ValidationError(text, { ...options, fieldErrors: getFieldErrors(data) });
+  }
+  if (response.status === 429) {
+    return new RateLimitError(message || undefined, options);
+  }
+  if (response.status >= 500) {
+    return new ServerError(message || undefined, options);
+  }
+  // A request timeout is worth another attempt
+  return new ApiError(text, { ...options, retryable: response.status === 408 });
+};
@@ -1,106 +1,548 @@
 /**
  * API Interceptor Utility
- * Handles all API requests with JWT token and error handling
+ * Handles all API requests with JWT token and error handling.
+ * Requests are sent to named backends ("records", "inference"), each with its own
+ * base URL, auth policy, timeout and error mapping.
  */
 import AuthService from '../services/AuthService';
+import ConfigService from '../services/ConfigService';
+import {
+  ApiError,
+  TimeoutError,
+  AbortError,
+  NetworkError,
+  AuthExpiredError,
+  ValidationError,
+  ServerError,
+  InferenceError,
+  errorFromResponse,
+  getErrorCode
+} from './ApiErrors';
 
-// Base URL for API - using relative path since we're using a proxy in package.json
-const API_BASE_URL = '';
+// Auth policies a backend can use
+export const AUTH_POLICIES = {
+  BEARER: 'bearer', // Send the stored JWT and handle session expiry
+  NONE: 'none' // Anonymous request, the caller may still pass its own Authorization header
+};
+
+// Backend used when a request does not name one
+const DEFAULT_BACKEND = 'records';
+
+// Registered backends, keyed by name
+const backends = {};
+
+// Error codes the backend uses for a wrong password on an authenticated request
+const CREDENTIAL_ERROR_CODES = ['INVALID_PASSWORD', 'BAD_CREDENTIALS'];
+
+// Default retry policy, used for GET requests and for calls that pass `retry: true`
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3, // Total attempts, including the first one
+  baseDelay: 500, // Delay before the first retry in milliseconds, doubled for every further retry
+  maxDelay: 8000, // Upper bound for the backoff delay
+  maxRetryAfter: 30000, // Give up instead of waiting longer than this for a Retry-After header
+  retryStatuses: [408, 429, 500, 502, 503, 504],
+  retryNetworkErrors: true,
+  retryTimeouts: true
+};
+
+// Listeners notified before every retry, e.g. to show progress in the alert system
+const retryListeners = new Set();
+
+/**
+ * Error mapping for the Java records backend
+ * @param {Response} response - The failed response
+ * @param {string} message - Error message extracted from the response body, if any
+ * @param {Object} data - The parsed JSON error body, if any
+ * @returns {ApiError} - The error to throw
+ */
+const mapRecordsError = (response, message, data) => {
+  const options = { status: response.status, code: getErrorCode(data) };
+
+  switch (response.status) {
+    case 403:
+      // Forbidden - insufficient permissions
+      return new ApiError('You do not have permission to perform this action.', options);
+    case 404:
+      // Not found
+      return new ApiError('The requested resource was not found.', options);
+    case 500:
+      // Server error
+      return new ServerError('Server error. Please try again later.', options);
+    default:
+      // Handle 400 Bad Request and other errors
+      return errorFromResponse(response, message, data);
+  }
+};
+
+/**
+ * Error mapping for the FastAPI inference backend
+ * @param {Response} response - The failed response
+ * @param {string} message - Error message extracted from the response body, if any
+ * @param {Object} data - The parsed JSON error body, if any
+ * @returns {InferenceError} - The error to throw
+ */
+const mapInferenceError = (response, message, data) => {
+  return new InferenceError(message || `Error analyzing image: ${response.status} ${response.statusText}`, {
+    status: response.status,
+    code: getErrorCode(data),
+    retryable: response.status >= 500
+  });
+};
+
+/**
+ * Check whether a 401 on an authenticated request is a wrong password rather than an expired session
+ * @param {string} message - Error message from the response body
+ * @param {Object} data - The parsed JSON error body, if any
+ * @returns {boolean} - True if the credentials in the request were rejected
+ */
+const isCredentialError = (message, data) => {
+  if (CREDENTIAL_ERROR_CODES.includes(getErrorCode(data))) {
+    return true;
+  }
+  // Older backend versions send no code, only a message mentioning the password
+  return Boolean(message && message.toLowerCase().includes('password'));
+};
+
+/**
+ * Register a named backend, replacing any existing one with the same name
+ * @param {string} name - The backend name used in the `backend` request option
+ * @param {Object} definition - The backend definition
+ * @param {string|Function} definition.baseUrl - Base URL, or a function returning it at request time
+ * @param {string} definition.auth - One of AUTH_POLICIES
+ * @param {number} definition.timeout - Request timeout in milliseconds, 0 to disable
+ * @param {string} definition.credentials - Fetch credentials mode
+ * @param {Function} definition.mapError - Maps a failed response to the Error to throw
+ * @param {Object} definition.retry - Overrides for DEFAULT_RETRY_POLICY
+ */
+const registerBackend = (name, definition) => {
+  const { retry, ...otherDefinition } = definition;
+  backends[name] = {
+    baseUrl: '',
+    auth: AUTH_POLICIES.BEARER,
+    timeout: 30000,
+    credentials: 'include',
+    mapError: mapRecordsError,
+    ...otherDefinition,
+    retry: { ...DEFAULT_RETRY_POLICY, ...retry }
+  };
+};
+
+/**
+ * Get a registered backend by name
+ * @param {string} name - The backend name
+ * @returns {Object} - The backend definition
+ */
+const getBackend = (name) => {
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unknown API backend: ${name}`);
+  }
+  return backend;
+};
+
+// Java backend for users and analysis records
+registerBackend('records', {
+  baseUrl: () => ConfigService.getConfig().recordsApiUrl,
+  auth: AUTH_POLICIES.BEARER,
+  timeout: 30000,
+  credentials: 'include',
+  mapError: mapRecordsError
+});
+
+// FastAPI model server - omit credentials to avoid CORS preflight issues
+registerBackend('inference', {
+  baseUrl: () => ConfigService.getConfig().inferenceApiUrl,
+  auth: AUTH_POLICIES.NONE,
+  timeout: 60000,
+  credentials: 'omit',
+  mapError: mapInferenceError
+});
 
 /**
  * Get the full URL for an API endpoint
  * @param {string} endpoint - The API endpoint
+ * @param {Object} backend - The backend definition
  * @returns {string} - The full URL
  */
-const getApiUrl = (endpoint) => {
-  return `${API_BASE_URL}${endpoint.startsWith('/') ? endpoint : `/${endpoint}`}`;
+const getApiUrl = (endpoint, backend) => {
+  const baseUrl = typeof backend.baseUrl === 'function' ? backend.baseUrl() : backend.baseUrl;
+  return `${baseUrl}${endpoint.startsWith('/') ? endpoint : `/${endpoint}`}`;
+};
+
+/**
+ * Read the body of a failed response
+ * @param {Response} response - The failed response
+ * @returns {Promise<Object>} - The error message and parsed JSON data, if any
+ */
+const readErrorBody = async (response) => {
+  try {
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+      const data = await response.json();
+      // Java backend uses `message`, FastAPI uses `detail`
+      const message = data.message || (typeof data.detail === 'string' ? data.detail : '');
+      return { message, data };
+    }
+    const text = await response.text();
+    return { message: text, data: null };
+  } catch (parseError) {
+    return { message: '', data: null };
+  }
+};
+
+/**
+ * Read the body of a successful response
+ * @param {Response} response - The successful response
+ * @param {string} responseType - 'auto' to parse JSON or text by content type, 'blob' for binary data
+ * @returns {Promise} - The parsed body
+ */
+const readResponseBody = async (response, responseType) => {
+  if (responseType === 'blob') {
+    return await response.blob();
+  }
+
+  // No Content, e.g. after a DELETE - some servers still send a JSON content type
+  if (response.status === 204) {
+    return null;
+  }
+
+  // Check if response is JSON or not
+  const contentType = response.headers.get('content-type');
+  if (contentType && contentType.includes('application/json')) {
+    const data = await response.json();
+    // If the response includes a message field, log it for debugging
+    if (data.message) {
+      console.log('API Response Message:', data.message);
+    }
+    return data;
+  }
+  return await response.text();
 };
 
 /**
- * Make an authenticated API request
+ * Parse a Retry-After header, given either in seconds or as an HTTP date
+ * @param {Response} response - The failed response
+ * @returns {number|null} - Milliseconds to wait, or null if there is no usable header
+ */
+const parseRetryAfter = (response) => {
+  const header = response.headers.get('retry-after');
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Send a single request attempt to a backend
  * @param {string} endpoint - The API endpoint
- * @param {Object} options - Fetch options
- * @returns {Promise} - The fetch promise
+ * @param {Object} backend - The backend definition
+ * @param {Object} options - Request options, see apiRequest
+ * @returns {Promise} - The parsed response body
  */
-const apiRequest = async (endpoint, options = {}) => {
+const sendRequest = async (endpoint, backend, options) => {
+  const {
+    auth,
+    timeout,
+    mapError,
+    responseType = 'auto',
+    signal,
+    ...fetchOptions
+  } = options;
+
+  const authPolicy = auth || backend.auth;
+  const timeoutMs = timeout !== undefined ? timeout : backend.timeout;
+  const toError = mapError || backend.mapError;
+
+  if (signal && signal.aborted) {
+    throw new AbortError();
+  }
+
+  // One controller aborts the request either on timeout or when the caller's signal fires
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeoutMs > 0 ? setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs) : null;
+  const abortFromCaller = () => controller.abort();
+  if (signal) {
+    signal.addEventListener('abort', abortFromCaller);
+  }
+
   try {
-    const url = getApiUrl(endpoint);
-    const response = await AuthService.authFetch(url, options);
-    
+    const url = getApiUrl(endpoint, backend);
+    const requestOptions = {
+      credentials: backend.credentials,
+      mode: 'cors',
+      ...fetchOptions,
+      signal: controller.signal
+    };
+
+    // Wait for a running token refresh, or renew a token that is about to expire
+    if (authPolicy === AUTH_POLICIES.BEARER) {
+      await AuthService.ensureFreshToken();
+    }
+
+    let response;
+    try {
+      response = authPolicy === AUTH_POLICIES.BEARER
+        ? await AuthService.authFetch(url, requestOptions)
+        : await fetch(url, requestOptions);
+    } catch (fetchError) {
+      // fetch rejects with a TypeError when the server cannot be reached
+      if (fetchError instanceof TypeError) {
+        throw new NetworkError();
+      }
+      throw fetchError;
+    }
+
     if (response.ok) {
-      // Check if response is JSON or not
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
-        const data = await response.json();
-        // If the response includes a message field, log it for debugging
-        if (data.message) {
-          console.log('API Response Message:', data.message);
-        }
-        return data;
+      return await readResponseBody(response, responseType);
+    }
+
+    const { message, data } = await readErrorBody(response);
+
+    // Handle expired sessions for requests that carry the JWT
+    // A call with its own mapError decides what a 401 means, e.g. a rejected password confirmation
+    if (response.status === 401 && authPolicy === AUTH_POLICIES.BEARER && !mapError) {
+      // A rejected password is a validation problem, the session itself is still fine
+      if (isCredentialError(message, data)) {
+        throw new ValidationError(message, { status: response.status, code: getErrorCode(data) });
       }
-      return await response.text();
-    }
-    
-    // Handle specific HTTP status codes
-    if (response.status === 401) {
-      // Unauthorized - Check if it's a password validation error
-      const responseText = await response.text();
-      
-      // If it's a password validation error, just throw the error with the message
-      if (responseText && responseText.toLowerCase().includes('password')) {
-        throw new Error(responseText);
+
+      // Otherwise, it's an authentication error (token expired or invalid) - apiRequest tries a refresh
+      throw new AuthExpiredError(undefined, { code: getErrorCode(data) });
+    }
+
+    const error = toError(response, message, data);
+    error.retryAfter = parseRetryAfter(response);
+    throw error;
+  } catch (error) {
+    if (error.name === 'AbortError' && !(error instanceof AbortError)) {
+      if (timedOut) {
+        throw new TimeoutError();
       }
-      
-      // Otherwise, it's an authentication error (token expired or invalid)
-      AuthService.removeToken();
-      window.location.href = '/login';
-      throw new Error('Your session has expired. Please login again.');
-    }
-    
-    if (response.status === 403) {
-      // Forbidden - insufficient permissions
-      throw new Error('You do not have permission to perform this action.');
+      // Cancelled on purpose by the caller - nothing to report
+      throw new AbortError();
     }
-    
-    if (response.status === 404) {
-      // Not found
-      throw new Error('The requested resource was not found.');
+    // Typed errors are for the caller to handle; anything else is a bug worth logging
+    if (!(error instanceof ApiError)) {
+      console.error('API Request Error:', error);
     }
-    
-    if (response.status === 500) {
-      // Server error
-      throw new Error('Server error. Please try again later.');
+    throw error;
+  } finally {
+    if (timer) {
+      clearTimeout(timer);
     }
-    
-    // Handle 400 Bad Request and other errors
+    if (signal) {
+      signal.removeEventListener('abort', abortFromCaller);
+    }
+  }
+};
+
+/**
+ * Send a request and, if the server rejects the access token, renew it once and replay the request
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} backend - The backend definition
+ * @param {Object} options - Request options, see apiRequest
+ * @returns {Promise} - The parsed response body
+ */
+const sendWithTokenRefresh = async (endpoint, backend, options) => {
+  try {
+    return await sendRequest(endpoint, backend, options);
+  } catch (error) {
+    const authPolicy = options.auth || backend.auth;
+    if (!(error instanceof AuthExpiredError) || authPolicy !== AUTH_POLICIES.BEARER) {
+      throw error;
+    }
+
+    // Without a refresh token the session is over
+    if (!AuthService.getRefreshToken()) {
+      AuthService.expireSession();
+      throw error;
+    }
+
+    // Ends the session itself if the refresh token is rejected
+    await AuthService.refreshAccessToken();
     try {
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
-        // Parse JSON error
-        const errorData = await response.json();
-        // Use the message field if it exists
-        throw new Error(errorData.message || 'Something went wrong. Please try again.');
-      } else {
-        // Parse text error
-        const errorText = await response.text();
-        throw new Error(errorText || 'Something went wrong. Please try again.');
+      return await sendRequest(endpoint, backend, options);
+    } catch (replayError) {
+      // Even a freshly issued token was rejected
+      if (replayError instanceof AuthExpiredError) {
+        AuthService.expireSession();
       }
-    } catch (parseError) {
-      if (parseError instanceof Error && parseError.message) {
-        throw parseError; // Re-throw with message
+      throw replayError;
+    }
+  }
+};
+
+/**
+ * Check whether a failed attempt should be repeated under the given policy
+ * @param {Error} error - The error of the failed attempt
+ * @param {Object} policy - The retry policy
+ * @returns {boolean} - True if the request should be retried
+ */
+const shouldRetry = (error, policy) => {
+  if (error instanceof AbortError) return false;
+  if (error instanceof NetworkError) return policy.retryNetworkErrors;
+  if (error instanceof TimeoutError) return policy.retryTimeouts;
+  return Boolean(error.retryable && error.status && policy.retryStatuses.includes(error.status));
+};
+
+/**
+ * Calculate the delay before the next attempt: exponential backoff with jitter,
+ * or the server's Retry-After value when it sent one
+ * @param {number} retryNumber - 1 for the first retry, 2 for the second, ...
+ * @param {Error} error - The error of the failed attempt
+ * @param {Object} policy - The retry policy
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (retryNumber, error, policy) => {
+  if (error.retryAfter !== null && error.retryAfter !== undefined) {
+    return error.retryAfter;
+  }
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (retryNumber - 1));
+  // Keep half the backoff and randomize the rest so clients don't retry in lockstep
+  return backoff / 2 + Math.random() * (backoff / 2);
+};
+
+/**
+ * Wait before retrying, stopping early if the request is cancelled
+ * @param {number} delay - Milliseconds to wait
+ * @param {AbortSignal} signal - The caller's signal, if any
+ * @returns {Promise} - Resolves after the delay, rejects with AbortError on cancellation
+ */
+const waitForRetry = (delay, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new AbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
       }
-      throw new Error(`Error ${response.status}: ${response.statusText}`);
+      resolve();
+    }, delay);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
     }
-  } catch (error) {
-    console.error('API Request Error:', error);
-    throw error;
+  });
+};
+
+/**
+ * Subscribe to retry notifications
+ * @param {Function} listener - Called with { attempt, maxAttempts, delay, error, endpoint, backend }
+ * @returns {Function} - Unsubscribe function
+ */
+const addRetryListener = (listener) => {
+  retryListeners.add(listener);
+  return () => {
+    retryListeners.delete(listener);
+  };
+};
+
+/**
+ * Make an API request to one of the registered backends, retrying transient failures
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} options - Fetch options plus:
+ *   `backend` (backend name), `auth` (override the backend auth policy),
+ *   `signal` (AbortSignal that cancels the request), `timeout` (override the backend timeout per attempt),
+ *   `mapError` (override the backend error mapping, including a 401 on authenticated calls), `responseType` ('auto' or 'blob'),
+ *   `retry` (true/false or policy overrides - GET requests retry by default), `onRetry` (callback before each retry)
+ * @returns {Promise} - The fetch promise, rejected with TimeoutError or AbortError when the request is aborted
+ */
+const apiRequest = async (endpoint, options = {}) => {
+  const {
+    backend: backendName = DEFAULT_BACKEND,
+    retry,
+    onRetry,
+    ...requestOptions
+  } = options;
+
+  const backend = getBackend(backendName);
+
+  // Only idempotent requests are retried unless the caller opts in
+  const method = (requestOptions.method || 'GET').toUpperCase();
+  const retryEnabled = retry === undefined ? method === 'GET' : retry !== false;
+  const policy = {
+    ...backend.retry,
+    ...(retry && typeof retry === 'object' ? retry : {})
+  };
+  const maxAttempts = retryEnabled ? Math.max(1, policy.maxAttempts) : 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await sendWithTokenRefresh(endpoint, backend, requestOptions);
+    } catch (error) {
+      if (attempt >= maxAttempts || !shouldRetry(error, policy)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error, policy);
+      if (delay > policy.maxRetryAfter) {
+        throw error;
+      }
+
+      const progress = {
+        attempt: attempt + 1,
+        maxAttempts,
+        delay,
+        error,
+        endpoint,
+        backend: backendName
+      };
+      retryListeners.forEach((listener) => listener(progress));
+      if (onRetry) {
+        onRetry(progress);
+      }
+
+      await waitForRetry(delay, requestOptions.signal);
+    }
+  }
+};
+
+/**
+ * Build the options for a request that carries a body
+ * @param {string} method - The HTTP method
+ * @param {Object} data - The data to send (FormData is sent as-is, anything else as JSON)
+ * @param {Object} options - Additional fetch options
+ * @returns {Object} - The request options
+ */
+const withBody = (method, data, options = {}) => {
+  const { headers = {}, ...otherOptions } = options;
+
+  if (data === undefined || data === null) {
+    return { ...otherOptions, method, headers };
   }
+
+  const isFormData = data instanceof FormData;
+
+  return {
+    ...otherOptions,
+    method,
+    // Don't set Content-Type for FormData, the browser adds it with the correct boundary
+    headers: isFormData ? headers : {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: isFormData ? data : JSON.stringify(data)
+  };
 };
 
 /**
  * Make a GET request
  * @param {string} endpoint - The API endpoint
- * @param {Object} options - Additional fetch options
+ * @param {Object} options - Additional fetch options, including `signal` and `timeout`
  * @returns {Promise} - The fetch promise
  */
 const get = (endpoint, options = {}) => {
@@ -114,76 +556,45 @@ const get = (endpoint, options = {}) => {
  * Make a POST request
  * @param {string} endpoint - The API endpoint
  * @param {Object} data - The data to send
- * @param {Object} options - Additional fetch options
+ * @param {Object} options - Additional fetch options, including `signal` and `timeout`
  * @returns {Promise} - The fetch promise
  */
 const post = (endpoint, data, options = {}) => {
-  const isFormData = data instanceof FormData;
-  
-  return apiRequest(endpoint, {
-    method: 'POST',
-    headers: isFormData ? {} : {
-      'Content-Type': 'application/json',
-      ...options.headers
-    },
-    body: isFormData ? data : JSON.stringify(data),
-    ...options
-  });
+  return apiRequest(endpoint, withBody('POST', data, options));
 };
 
 /**
  * Make a PUT request
  * @param {string} endpoint - The API endpoint
  * @param {Object} data - The data to send
- * @param {Object} options - Additional fetch options
+ * @param {Object} options - Additional fetch options, including `signal` and `timeout`
  * @returns {Promise} - The fetch promise
  */
 const put = (endpoint, data, options = {}) => {
-  const isFormData = data instanceof FormData;
-  
-  return apiRequest(endpoint, {
-    method: 'PUT',
-    headers: isFormData ? {} : {
-      'Content-Type': 'application/json',
-      ...options.headers
-    },
-    body: isFormData ? data : JSON.stringify(data),
-    ...options
-  });
+  return apiRequest(endpoint, withBody('PUT', data, options));
 };
 
 /**
  * Make a PATCH request
  * @param {string} endpoint - The API endpoint
  * @param {Object} data - The data to send
- * @param {Object} options - Additional fetch options
+ * @param {Object} options - Additional fetch options, including `signal` and `timeout`
  * @returns {Promise} - The fetch promise
  */
 const patch = (endpoint, data, options = {}) => {
-  const isFormData = data instanceof FormData;
-  
-  return apiRequest(endpoint, {
-    method: 'PATCH',
-    headers: isFormData ? {} : {
-      'Content-Type': 'application/json',
-      ...options.headers
-    },
-    body: isFormData ? data : JSON.stringify(data),
-    ...options
-  });
+  return apiRequest(endpoint, withBody('PATCH', data, options));
 };
 
 /**
  * Make a DELETE request
  * @param {string} endpoint - The API endpoint
- * @param {Object} options - Additional fetch options
+ * @param {Object} options - Additional fetch options, including `signal` and `timeout`
+ * @param {Object} options.data - Optional data to send, e.g. a password confirming the deletion
  * @returns {Promise} - The fetch promise
  */
 const del = (endpoint, options = {}) => {
-  return apiRequest(endpoint, {
-    method: 'DELETE',
-    ...options
-  });
+  const { data, ...otherOptions } = options;
+  return apiRequest(endpoint, withBody('DELETE', data, otherOptions));
 };
 
 const ApiInterceptor = {
@@ -191,7 +602,10 @@ const ApiInterceptor = {
   post,
   put,
   patch,
-  delete: del
+  delete: del,
+  registerBackend,
+  getBackend,
+  addRetryListener
 };
 
 export default ApiInterceptor;
@@ -0,0 +1,49 @@
+/**
+ * Offline word lists for the password strength estimator
+ * Bundled so passwords never leave the browser to be checked.
+ */
+
+// Most common passwords from public breach corpora, most common first
+export const COMMON_PASSWORDS = [
+  '123456', 'password', '12345678', 'qwerty', '123456789', '12345', '1234', '111111', '1234567', 'dragon',
+  '123123', 'baseball', 'abc123', 'football', 'monkey', 'letmein', '696969', 'shadow', 'master', '666666',
+  'qwertyuiop', '123321', 'mustang', '1234567890', 'michael', '654321', 'superman', '1qaz2wsx', '7777777', '121212',
+  '000000', 'qazwsx', '123qwe', 'killer', 'trustno1', 'jordan', 'jennifer', 'zxcvbnm', 'asdfgh', 'hunter',
+  'buster', 'soccer', 'harley', 'batman', 'andrew', 'tigger', 'sunshine', 'iloveyou', '2000', 'charlie',
+  'robert', 'thomas', 'hockey', 'ranger', 'daniel', 'starwars', 'klaster', '112233', 'george', 'computer',
+  'michelle', 'jessica', 'pepper', '1111', 'zxcvbn', '555555', '11111111', '131313', 'freedom', '777777',
+  'pass', 'maggie', '159753', 'aaaaaa', 'ginger', 'princess', 'joshua', 'cheese', 'amanda', 'summer',
+  'love', 'ashley', 'nicole', 'chelsea', 'biteme', 'matthew', 'access', 'yankees', '987654321', 'dallas',
+  'austin', 'thunder', 'taylor', 'matrix', 'mobilemail', 'mom', 'monitor', 'monitoring', 'montana', 'moon',
+  'moscow', 'welcome', 'welcome1', 'password1', 'password123', 'passw0rd', 'p@ssw0rd', 'admin', 'admin123', 'root',
+  'qwerty123', 'qwe123', 'q1w2e3r4', 'q1w2e3r4t5', '1q2w3e4r', '1q2w3e', 'zaq12wsx', 'abcdef', 'abcd1234', 'asdf1234',
+  'asdfasdf', 'asdfghjkl', 'iloveyou1', 'football1', 'baseball1', 'princess1', 'sunshine1', 'letmein1', 'monkey1', 'dragon1',
+  'secret', 'default', 'guest', 'login', 'changeme', 'test', 'test123', 'testing', 'hello', 'hello123',
+  'whatever', 'flower', 'lovely', 'angel', 'baby', 'loveme', 'friends', 'butterfly', 'purple', 'jesus',
+  'blessed', 'family', 'hannah', 'samsung', 'apple', 'google', 'internet', 'qwertyu', 'qwerty1', 'qwerty12',
+  '123abc', 'a123456', 'aa123456', '1q2w3e4r5t', 'pokemon', 'naruto', 'minecraft', 'liverpool', 'arsenal', 'chocolate',
+  'cookie', 'banana', 'orange', 'mercedes', 'ferrari', 'corvette', 'silver', 'golden', 'diamond', 'forever',
+  'cowboy', 'tennis', 'golf', 'jordan23', 'michael1', 'bailey', 'buddy', 'coffee', 'hotdog', 'snoopy',
+  'spider', 'spiderman', 'mickey', 'nintendo', 'zxcvbnm1', '1qazxsw2', 'passpass', 'password12', 'password2', 'letmein123'
+];
+
+// Common words and names that show up inside passwords, most common first
+export const COMMON_WORDS = [
+  'love', 'pass', 'word', 'secret', 'admin', 'user', 'login', 'welcome', 'hello', 'money',
+  'angel', 'baby', 'honey', 'sweet', 'heart', 'happy', 'lucky', 'magic', 'power', 'super',
+  'star', 'stars', 'sun', 'moon', 'sky', 'blue', 'black', 'white', 'green', 'red',
+  'pink', 'gold', 'silver', 'summer', 'winter', 'spring', 'autumn', 'january', 'february', 'march',
+  'april', 'june', 'july', 'august', 'september', 'october', 'november', 'december', 'monday', 'friday',
+  'sunday', 'dog', 'cat', 'tiger', 'lion', 'bear', 'eagle', 'wolf', 'horse', 'dragon',
+  'monkey', 'rabbit', 'fish', 'bird', 'snake', 'football', 'soccer', 'baseball', 'hockey', 'tennis',
+  'golf', 'game', 'games', 'player', 'killer', 'hunter', 'master', 'king', 'queen', 'prince',
+  'princess', 'lady', 'girl', 'boy', 'friend', 'family', 'mother', 'father', 'sister', 'brother',
+  'jesus', 'god', 'church', 'faith', 'hope', 'peace', 'freedom', 'forever', 'always', 'dream',
+  'music', 'rock', 'guitar', 'dance', 'party', 'beach', 'ocean', 'water', 'fire', 'earth',
+  'house', 'home', 'school', 'work', 'office', 'computer', 'internet', 'phone', 'apple', 'orange',
+  'banana', 'cherry', 'lemon', 'coffee', 'chocolate', 'cookie', 'pizza', 'cheese', 'michael', 'john',
+  'david', 'james', 'robert', 'daniel', 'thomas', 'chris', 'jessica', 'jennifer', 'ashley', 'sarah',
+  'anna', 'maria', 'emma', 'olivia', 'sophie', 'charlie', 'max', 'jack', 'harry', 'george',
+  'eye', 'eyes', 'vision', 'health', 'doctor', 'clinic', 'scan', 'retina', 'sight', 'optic',
+  'qwerty', 'letmein', 'trust', 'shadow', 'sunshine', 'flower', 'butterfly', 'rainbow', 'diamond', 'crystal'
+];
@@ -0,0 +1,19 @@
+/**
+ * Date formatting helpers shared by the pages and components
+ */
+
+/**
+ * Format a timestamp with date and time, e.g. "Mar 4, 2025, 09:30 AM"
+ * @param {string|number|Date} value - The timestamp to format
+ * @returns {string} - The formatted date and time, or 'N/A' if there is no value
+ */
+export const formatDateTime = (value) => {
+  if (!value) return 'N/A';
+  return new Date(value).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
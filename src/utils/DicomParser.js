@@ -0,0 +1,325 @@
+/**
+ * Minimal DICOM reader for ophthalmic photographs exported by fundus cameras
+ * Reads the patient, laterality and acquisition tags and the first frame of the pixel data.
+ * Supported: uncompressed pixel data (implicit or explicit VR) with 8 or 16 bits, monochrome or RGB,
+ * and JPEG baseline pixel data, which is passed on as a JPEG file. Other compressions are not.
+ */
+
+// Magic bytes after the 128-byte preamble
+const DICOM_PREFIX = 'DICM';
+const PREAMBLE_LENGTH = 128;
+
+// Transfer syntaxes: how the data set and the pixel data are encoded
+const TRANSFER_SYNTAX = {
+  IMPLICIT_LITTLE_ENDIAN: '1.2.840.10008.1.2',
+  EXPLICIT_LITTLE_ENDIAN: '1.2.840.10008.1.2.1',
+  EXPLICIT_BIG_ENDIAN: '1.2.840.10008.1.2.2',
+  JPEG_BASELINE: '1.2.840.10008.1.2.4.50'
+};
+
+// Tags as (group << 16 | element)
+const TAGS = {
+  TRANSFER_SYNTAX_UID: 0x00020010,
+  STUDY_DATE: 0x00080020,
+  ACQUISITION_DATE: 0x00080022,
+  CONTENT_DATE: 0x00080023,
+  ACQUISITION_DATE_TIME: 0x0008002A,
+  STUDY_TIME: 0x00080030,
+  ACQUISITION_TIME: 0x00080032,
+  CONTENT_TIME: 0x00080033,
+  PATIENT_NAME: 0x00100010,
+  PATIENT_ID: 0x00100020,
+  LATERALITY: 0x00200060,
+  IMAGE_LATERALITY: 0x00200062,
+  SAMPLES_PER_PIXEL: 0x00280002,
+  PHOTOMETRIC_INTERPRETATION: 0x00280004,
+  PLANAR_CONFIGURATION: 0x00280006,
+  ROWS: 0x00280010,
+  COLUMNS: 0x00280011,
+  BITS_ALLOCATED: 0x00280100,
+  PIXEL_REPRESENTATION: 0x00280103,
+  PIXEL_DATA: 0x7FE00010
+};
+
+// Text tags that are read, and numeric tags with the name their value is kept under
+const STRING_TAGS = [
+  TAGS.STUDY_DATE, TAGS.ACQUISITION_DATE, TAGS.CONTENT_DATE, TAGS.ACQUISITION_DATE_TIME,
+  TAGS.STUDY_TIME, TAGS.ACQUISITION_TIME, TAGS.CONTENT_TIME, TAGS.PATIENT_NAME, TAGS.PATIENT_ID,
+  TAGS.LATERALITY, TAGS.IMAGE_LATERALITY, TAGS.PHOTOMETRIC_INTERPRETATION
+];
+const NUMBER_TAGS = {
+  [TAGS.SAMPLES_PER_PIXEL]: 'samplesPerPixel',
+  [TAGS.PLANAR_CONFIGURATION]: 'planarConfiguration',
+  [TAGS.ROWS]: 'rows',
+  [TAGS.COLUMNS]: 'columns',
+  [TAGS.BITS_ALLOCATED]: 'bitsAllocated',
+  [TAGS.PIXEL_REPRESENTATION]: 'pixelRepresentation'
+};
+
+const ITEM = 0xFFFEE000;
+const ITEM_DELIMITER = 0xFFFEE00D;
+const SEQUENCE_DELIMITER = 0xFFFEE0DD;
+const UNDEFINED_LENGTH = 0xFFFFFFFF;
+
+// Value representations whose length is stored in four bytes in explicit VR
+const LONG_VRS = ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV'];
+
+/**
+ * Check the magic bytes of a DICOM file
+ * @param {Uint8Array} bytes - The start of the file, at least 132 bytes
+ * @returns {boolean} - True for a DICOM file with the standard preamble
+ */
+export const isDicom = (bytes) => (
+  bytes.length >= PREAMBLE_LENGTH + 4 &&
+  String.fromCharCode(...bytes.subarray(PREAMBLE_LENGTH, PREAMBLE_LENGTH + 4)) === DICOM_PREFIX
+);
+
+// Read the header of the element at offset
+const readElement = (view, offset, explicit, littleEndian) => {
+  const group = view.getUint16(offset, littleEndian);
+  const tag = ((group << 16) | view.getUint16(offset + 2, littleEndian)) >>> 0;
+
+  // Items and delimiters never have a VR
+  if (explicit && group !== 0xFFFE) {
+    const vr = String.fromCharCode(view.getUint8(offset + 4), view.getUint8(offset + 5));
+    if (LONG_VRS.includes(vr)) {
+      return { tag, vr, length: view.getUint32(offset + 8, littleEndian), valueOffset: offset + 12 };
+    }
+    return { tag, vr, length: view.getUint16(offset + 6, littleEndian), valueOffset: offset + 8 };
+  }
+  return { tag, vr: null, length: view.getUint32(offset + 4, littleEndian), valueOffset: offset + 8 };
+};
+
+/*
+ * Walk the elements from offset, calling onElement for each one at this level. Sequences and items of
+ * undefined length are walked to find their end; their contents are not reported. Returns the offset
+ * after the walked elements, or the end of the data for pixel data of undefined length.
+ */
+const walk = (view, offset, syntax, onElement) => {
+  while (offset + 8 <= view.byteLength) {
+    const element = readElement(view, offset, syntax.explicit, syntax.littleEndian);
+    if (element.tag === ITEM_DELIMITER || element.tag === SEQUENCE_DELIMITER) {
+      return element.valueOffset;
+    }
+
+    if (element.length === UNDEFINED_LENGTH) {
+      if (element.tag === TAGS.PIXEL_DATA) {
+        if (onElement) onElement(element);
+        return view.byteLength;
+      }
+      offset = walk(view, element.valueOffset, syntax, null);
+      continue;
+    }
+
+    if (onElement && onElement(element) === false) return offset;
+    offset = element.valueOffset + element.length;
+  }
+  return offset;
+};
+
+const readString = (view, { valueOffset, length }) => {
+  const bytes = new Uint8Array(view.buffer, valueOffset, Math.min(length, view.byteLength - valueOffset));
+  return String.fromCharCode(...bytes).replace(/[\0\s]+$/, '').trim();
+};
+
+const readNumber = (view, { vr, valueOffset, length }, littleEndian) => {
+  if (vr === 'UL' || (!vr && length === 4)) return view.getUint32(valueOffset, littleEndian);
+  if (vr === 'IS' || vr === 'DS') return Number(readString(view, { valueOffset, length }));
+  return view.getUint16(valueOffset, littleEndian);
+};
+
+// "Doe^Jane" (family^given^middle^prefix^suffix) becomes "Jane Doe"
+const formatPersonName = (value) => {
+  if (!value) return null;
+  const [family, given, middle, prefix, suffix] = value.split('=')[0].split('^');
+  return [prefix, given, middle, family, suffix].filter(Boolean).join(' ') || null;
+};
+
+// Combine a DA ("YYYYMMDD") and TM ("HHMMSS.ffffff") or a DT value into an ISO timestamp
+// DICOM times are local to the device, so they are read as local time
+const parseDateTime = (date, time = '') => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(date || '');
+  if (!match) return null;
+  const [, year, month, day] = match;
+  const [, hours = '0', minutes = '0', seconds = '0'] = /^(\d{2})?(\d{2})?(\d{2})?/.exec(time) || [];
+  const result = new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+  return Number.isNaN(result.getTime()) ? null : result.toISOString();
+};
+
+// Data set encoding of a transfer syntax; JPEG and other compressed syntaxes use explicit VR little endian
+const getSyntax = (uid) => ({
+  explicit: uid !== TRANSFER_SYNTAX.IMPLICIT_LITTLE_ENDIAN,
+  littleEndian: uid !== TRANSFER_SYNTAX.EXPLICIT_BIG_ENDIAN
+});
+
+// The fragments of the first frame of encapsulated pixel data, joined
+const readFirstFrame = (view, offset) => {
+  const syntax = { explicit: false, littleEndian: true };
+  const fragments = [];
+  let isOffsetTable = true;
+
+  while (offset + 8 <= view.byteLength) {
+    const item = readElement(view, offset, syntax.explicit, syntax.littleEndian);
+    if (item.tag !== ITEM) break;
+    const length = Math.min(item.length, view.byteLength - item.valueOffset);
+    const fragment = new Uint8Array(view.buffer, item.valueOffset, length);
+    offset = item.valueOffset + length;
+
+    // The first item is the basic offset table, not image data
+    if (isOffsetTable) {
+      isOffsetTable = false;
+      continue;
+    }
+    fragments.push(fragment);
+
+    // A frame ends with the JPEG end-of-image marker, possibly followed by one padding byte
+    const end = fragment[length - 1] === 0 ? length - 1 : length;
+    if (fragment[end - 2] === 0xFF && fragment[end - 1] === 0xD9) break;
+  }
+
+  if (fragments.length === 0) {
+    throw new Error('The DICOM file has no image data');
+  }
+  const frame = new Uint8Array(fragments.reduce((total, fragment) => total + fragment.length, 0));
+  fragments.reduce((position, fragment) => {
+    frame.set(fragment, position);
+    return position + fragment.length;
+  }, 0);
+  return frame;
+};
+
+// Convert the first frame of uncompressed pixel data to RGBA
+const readPixels = (view, element, values, littleEndian) => {
+  const width = values.columns;
+  const height = values.rows;
+  const samples = values.samplesPerPixel || 1;
+  const bitsAllocated = values.bitsAllocated || 8;
+  const photometric = values.photometric || 'MONOCHROME2';
+  const signed = values.pixelRepresentation === 1;
+
+  if (!width || !height) {
+    throw new Error('The DICOM file has no image size');
+  }
+  if (bitsAllocated !== 8 && bitsAllocated !== 16) {
+    throw new Error(`DICOM images with ${bitsAllocated} bits per sample are not supported`);
+  }
+  if (!['MONOCHROME1', 'MONOCHROME2', 'RGB'].includes(photometric)) {
+    throw new Error(`DICOM images in ${photometric} colors are not supported`);
+  }
+
+  const bytesPerSample = bitsAllocated / 8;
+  const count = width * height * samples;
+  if (element.valueOffset + count * bytesPerSample > view.byteLength) {
+    throw new Error('The DICOM image data is incomplete');
+  }
+
+  const read = (index) => {
+    const position = element.valueOffset + index * bytesPerSample;
+    if (bytesPerSample === 1) return signed ? view.getInt8(position) : view.getUint8(position);
+    return signed ? view.getInt16(position, littleEndian) : view.getUint16(position, littleEndian);
+  };
+
+  // Stretch the values to 0-255; 16-bit images rarely use their full range
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < count; i++) {
+    const value = read(i);
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  const range = max - min || 1;
+  const scale = (value) => Math.round(((value - min) / range) * 255);
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  const planeSize = width * height;
+  for (let pixel = 0; pixel < planeSize; pixel++) {
+    const target = pixel * 4;
+    if (samples >= 3) {
+      // Samples are either interleaved (RGBRGB...) or stored as separate planes (RR...GG...BB...)
+      const index = (channel) => (values.planarConfiguration === 1 ? channel * planeSize + pixel : pixel * samples + channel);
+      data[target] = scale(read(index(0)));
+      data[target + 1] = scale(read(index(1)));
+      data[target + 2] = scale(read(index(2)));
+    } else {
+      const value = scale(read(pixel * samples));
+      const gray = photometric === 'MONOCHROME1' ? 255 - value : value;
+      data[target] = gray;
+      data[target + 1] = gray;
+      data[target + 2] = gray;
+    }
+    data[target + 3] = 255;
+  }
+  return { width, height, data };
+};
+
+/**
+ * Read a DICOM file
+ * @param {ArrayBuffer} buffer - The file content
+ * @returns {Object} - { metadata: { patientName, patientId, laterality, acquisitionDate }, jpeg, pixels }
+ *   where laterality is the DICOM code ('R' or 'L') and either jpeg (JPEG bytes) or pixels
+ *   ({ width, height, data } with RGBA data) holds the first frame
+ */
+export const parseDicom = (buffer) => {
+  const view = new DataView(buffer);
+  if (!isDicom(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, PREAMBLE_LENGTH + 4)))) {
+    throw new Error('The file is not a DICOM file');
+  }
+
+  // The file meta information is always explicit VR little endian
+  let transferSyntax = TRANSFER_SYNTAX.IMPLICIT_LITTLE_ENDIAN;
+  const dataSetOffset = walk(view, PREAMBLE_LENGTH + 4, { explicit: true, littleEndian: true }, (element) => {
+    if (element.tag >>> 16 !== 0x0002) return false;
+    if (element.tag === TAGS.TRANSFER_SYNTAX_UID) transferSyntax = readString(view, element);
+    return true;
+  });
+
+  const isJpeg = transferSyntax === TRANSFER_SYNTAX.JPEG_BASELINE;
+  if (!isJpeg && !Object.values(TRANSFER_SYNTAX).includes(transferSyntax)) {
+    throw new Error(`DICOM images with transfer syntax ${transferSyntax} are not supported`);
+  }
+
+  const syntax = getSyntax(transferSyntax);
+  const strings = {};
+  const values = {};
+  let pixelData = null;
+
+  walk(view, dataSetOffset, syntax, (element) => {
+    if (element.tag === TAGS.PIXEL_DATA) {
+      pixelData = element;
+      return false;
+    }
+    if (STRING_TAGS.includes(element.tag)) {
+      strings[element.tag] = readString(view, element);
+    } else if (NUMBER_TAGS[element.tag] && element.length > 0) {
+      values[NUMBER_TAGS[element.tag]] = readNumber(view, element, syntax.littleEndian);
+    }
+    return true;
+  });
+
+  if (!pixelData) {
+    throw new Error('The DICOM file has no image data');
+  }
+  values.photometric = strings[TAGS.PHOTOMETRIC_INTERPRETATION];
+
+  const acquisitionDateTime = strings[TAGS.ACQUISITION_DATE_TIME] || '';
+  const acquisitionDate = parseDateTime(acquisitionDateTime, acquisitionDateTime.slice(8)) ||
+    parseDateTime(strings[TAGS.ACQUISITION_DATE], strings[TAGS.ACQUISITION_TIME]) ||
+    parseDateTime(strings[TAGS.CONTENT_DATE], strings[TAGS.CONTENT_TIME]) ||
+    parseDateTime(strings[TAGS.STUDY_DATE], strings[TAGS.STUDY_TIME]);
+
+  const metadata = {
+    patientName: formatPersonName(strings[TAGS.PATIENT_NAME]),
+    patientId: strings[TAGS.PATIENT_ID] || null,
+    // Image Laterality describes the image itself; Laterality the series it belongs to
+    laterality: strings[TAGS.IMAGE_LATERALITY] || strings[TAGS.LATERALITY] || null,
+    acquisitionDate
+  };
+
+  if (isJpeg) {
+    if (pixelData.length !== UNDEFINED_LENGTH) {
+      throw new Error('The DICOM image data is damaged');
+    }
+    return { metadata, jpeg: readFirstFrame(view, pixelData.valueOffset), pixels: null };
+  }
+  return { metadata, jpeg: null, pixels: readPixels(view, pixelData, values, syntax.littleEndian) };
+};
@@ -0,0 +1,37 @@
+/**
+ * Utility functions for reading and saving files in the browser
+ */
+
+/**
+ * Read a Blob into an ArrayBuffer - FileReader is the fallback for browsers without Blob.arrayBuffer
+ * @param {Blob} blob - The file content
+ * @returns {Promise<ArrayBuffer>} - The bytes
+ */
+export const readBlob = (blob) => {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer();
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+/**
+ * Save a Blob as a file through a temporary download link
+ * @param {Blob} blob - The file content
+ * @param {string} fileName - Suggested file name
+ */
+export const saveBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.style.display = 'none';
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+};
@@ -0,0 +1,94 @@
+/**
+ * Form schemas used with the useForm hook
+ */
+import AuthService from '../services/AuthService';
+import { rules } from './FormValidation';
+
+// Ask the backend whether a username is still free
+const checkUsernameAvailability = async (userName, { signal }) => {
+  const { available, message } = await AuthService.checkUsernameAvailability(userName, { signal });
+  return {
+    isValid: available,
+    message: available ? '' : message || 'This username is already taken'
+  };
+};
+
+// The profile form only checks passwords when the user started changing the password
+const isChangingPassword = (values) => Boolean(
+  values.currentPassword || values.newPassword || values.confirmPassword
+);
+
+// Fields with the user's own details, which a new password must not contain
+const REGISTER_USER_FIELDS = ['firstName', 'lastName', 'userName', 'email'];
+const PROFILE_USER_FIELDS = ['firstName', 'lastName', 'userName'];
+
+export const loginSchema = {
+  email: {
+    rules: [rules.required('Email is required'), rules.email()]
+  },
+  password: {
+    rules: [rules.required('Password is required'), rules.minLength(6, 'Password must be at least 6 characters')]
+  },
+  rememberMe: {
+    initialValue: false
+  }
+};
+
+export const registerSchema = {
+  firstName: {
+    rules: [rules.required(), rules.name()]
+  },
+  lastName: {
+    rules: [rules.required(), rules.name()]
+  },
+  userName: {
+    rules: [rules.required('Username is required'), rules.username()],
+    asyncValidator: checkUsernameAvailability
+  },
+  email: {
+    rules: [rules.required('Email is required'), rules.email()]
+  },
+  password: {
+    rules: [rules.required('Password is required'), rules.passwordStrength(REGISTER_USER_FIELDS)],
+    dependsOn: REGISTER_USER_FIELDS
+  },
+  confirmPassword: {
+    rules: [rules.required('Please confirm your password'), rules.matches('password')],
+    dependsOn: ['password']
+  }
+};
+
+export const profileSchema = {
+  firstName: {
+    rules: [rules.name()]
+  },
+  lastName: {
+    rules: [rules.name()]
+  },
+  userName: {},
+  currentPassword: {
+    rules: [rules.when(isChangingPassword, [rules.required('Current password is required')])],
+    dependsOn: ['newPassword', 'confirmPassword']
+  },
+  newPassword: {
+    rules: [
+      rules.when(isChangingPassword, [
+        rules.required('New password is required'),
+        rules.passwordStrength(PROFILE_USER_FIELDS)
+      ])
+    ],
+    dependsOn: ['currentPassword', 'confirmPassword', ...PROFILE_USER_FIELDS]
+  },
+  confirmPassword: {
+    rules: [
+      rules.when(isChangingPassword, [
+        (value, values) => (value && !values.newPassword ? 'Please enter new password first' : ''),
+        rules.when((values) => Boolean(values.newPassword), [
+          rules.required('Please confirm your password'),
+          rules.matches('newPassword')
+        ])
+      ])
+    ],
+    dependsOn: ['currentPassword', 'newPassword']
+  }
+};
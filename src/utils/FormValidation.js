@@ -0,0 +1,118 @@
+/**
+ * Schema-based form validation
+ * A schema maps each field to its definition:
+ *   {
+ *     initialValue: '',
+ *     rules: [rules.required('Email is required'), rules.email()],
+ *     dependsOn: ['password'], // Validate again when these fields change (cross-field rules)
+ *     asyncValidator: (value, { signal, values }) => Promise<{ isValid, message }>
+ *   }
+ * A rule is a function (value, values) => message, returning '' when the value is valid.
+ */
+import {
+  isValidEmail,
+  validatePasswordStrength,
+  passwordsMatch,
+  validateName,
+  validateUsername,
+  validateNumber,
+  validateRequired
+} from './ValidationUtils';
+
+/**
+ * Turn a ValidationUtils validator ({ isValid, message }) into a rule
+ * @param {Function} validator - (value, values) => { isValid, message }
+ * @returns {Function} - The rule
+ */
+export const fromValidator = (validator) => (value, values) => {
+  const result = validator(value, values);
+  return result.isValid ? '' : result.message;
+};
+
+// Run rules in order and return the first error
+const runRules = (fieldRules, value, values) => {
+  for (const rule of fieldRules) {
+    const message = rule(value, values);
+    if (message) return message;
+  }
+  return '';
+};
+
+// Rules for common fields - apart from `required`, they accept an empty value
+export const rules = {
+  required: (message) => (value) => (
+    validateRequired(value).isValid ? '' : message || validateRequired(value).message
+  ),
+  email: (message = 'Please enter a valid email address') => (value) => (
+    !value || isValidEmail(value) ? '' : message
+  ),
+  minLength: (length, message) => (value) => (
+    !value || value.length >= length ? '' : message || `Must be at least ${length} characters`
+  ),
+  name: () => (value, values) => (value ? fromValidator(validateName)(value, values) : ''),
+  username: () => (value, values) => (value ? fromValidator(validateUsername)(value, values) : ''),
+  // userFields name the form fields the password must not contain, e.g. ['firstName', 'userName']
+  passwordStrength: (userFields = []) => (value, values) => (
+    value ? fromValidator(() => validatePasswordStrength(value, userFields.map((field) => values[field])))(value, values) : ''
+  ),
+  number: (options = {}) => fromValidator((value) => validateNumber(value, options)),
+  // Cross-field: the value must equal another field, e.g. a password confirmation
+  matches: (field) => (value, values) => (
+    value ? fromValidator(() => passwordsMatch(values[field], value))(value, values) : ''
+  ),
+  // Apply rules only while a condition on the whole form holds
+  when: (condition, fieldRules) => (value, values) => (
+    condition(values) ? runRules(fieldRules, value, values) : ''
+  )
+};
+
+/**
+ * Get the initial values of a schema
+ * @param {Object} schema - The form schema
+ * @returns {Object} - Initial value per field
+ */
+export const getInitialValues = (schema) => {
+  return Object.keys(schema).reduce((values, name) => ({
+    ...values,
+    [name]: schema[name].initialValue !== undefined ? schema[name].initialValue : ''
+  }), {});
+};
+
+/**
+ * Validate one field with its synchronous rules
+ * @param {Object} schema - The form schema
+ * @param {string} name - The field name
+ * @param {Object} values - All form values, for cross-field rules
+ * @returns {string} - The first error message, or '' if the field is valid
+ */
+export const validateField = (schema, name, values) => {
+  const field = schema[name];
+  if (!field || !field.rules) return '';
+  return runRules(field.rules, values[name], values);
+};
+
+/**
+ * Validate all fields with their synchronous rules
+ * @param {Object} schema - The form schema
+ * @param {Object} values - All form values
+ * @returns {Object} - Error message per invalid field
+ */
+export const validateValues = (schema, values) => {
+  return Object.keys(schema).reduce((errors, name) => {
+    const message = validateField(schema, name, values);
+    return message ? { ...errors, [name]: message } : errors;
+  }, {});
+};
+
+/**
+ * Find the fields to validate again after some fields changed
+ * @param {Object} schema - The form schema
+ * @param {Array<string>} changedNames - The fields that changed
+ * @returns {Array<string>} - The changed fields and the fields depending on them
+ */
+export const getAffectedFields = (schema, changedNames) => {
+  const dependents = Object.keys(schema).filter((name) => (
+    (schema[name].dependsOn || []).some((dependency) => changedNames.includes(dependency))
+  ));
+  return [...new Set([...changedNames, ...dependents])];
+};
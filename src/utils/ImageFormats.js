@@ -0,0 +1,254 @@
+/**
+ * Pluggable decoders that turn the image formats users and cameras produce into one the model accepts
+ * The format is detected from the first bytes of the file, not from its type or extension, which are
+ * often missing or wrong (DICOM files usually have no type at all). JPEG and PNG are passed through;
+ * the other formats are converted in the browser.
+ */
+import { readBlob } from './DownloadUtils';
+import { loadImage } from './ImageQuality';
+import { LATERALITY } from './Laterality';
+import { decodeTiff } from './TiffDecoder';
+import { isDicom, parseDicom } from './DicomParser';
+
+// File types the analysis server accepts; image/jpg is not a registered type but some systems report it
+export const MODEL_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/jpg'];
+
+// Bytes read to detect the format; DICOM has its magic bytes after a 128-byte preamble
+const HEADER_LENGTH = 132;
+
+// Quality of the JPEG a browser-decoded photo is re-encoded as
+const JPEG_QUALITY = 0.92;
+
+// Types browsers report for files they know nothing about; the content decides
+const GENERIC_TYPES = ['', 'application/octet-stream'];
+
+// DICOM laterality codes; 'B' (both) and 'U' (unpaired) leave the eye to the user
+const DICOM_LATERALITY = {
+  R: LATERALITY.RIGHT,
+  L: LATERALITY.LEFT
+};
+
+const startsWith = (bytes, signature, offset = 0) => (
+  bytes.length >= offset + signature.length && signature.every((byte, i) => bytes[offset + i] === byte)
+);
+
+const ascii = (text) => Array.from(text, (character) => character.charCodeAt(0));
+
+// ISO base media brands used by HEIC and HEIF images
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+const replaceExtension = (fileName, extension) => `${fileName.replace(/\.[^.]+$/, '') || 'image'}.${extension}`;
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => {
+    if (blob) {
+      resolve(blob);
+    } else {
+      reject(new Error('The image could not be converted'));
+    }
+  }, type, quality);
+});
+
+const getContext = (canvas) => {
+  const context = canvas.getContext && canvas.getContext('2d');
+  if (!context) {
+    throw new Error('This browser cannot convert images');
+  }
+  return context;
+};
+
+// Re-encode an image the browser can display itself as a JPEG
+const convertWithBrowser = async (file, formatLabel) => {
+  let image;
+  try {
+    image = await loadImage(file);
+  } catch (error) {
+    throw new Error(`This browser cannot open ${formatLabel} images. Convert the image to JPEG or PNG first.`);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = image.naturalWidth;
+  canvas.height = image.naturalHeight;
+  const context = getContext(canvas);
+  // JPEG has no transparency; fill it with black like the frame of a fundus photo
+  context.fillStyle = '#000';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0);
+
+  const blob = await canvasToBlob(canvas, 'image/jpeg', JPEG_QUALITY);
+  return new File([blob], replaceExtension(file.name, 'jpg'), { type: 'image/jpeg', lastModified: file.lastModified });
+};
+
+// Encode decoded pixels as a PNG, which keeps medical images lossless
+const pixelsToFile = async ({ width, height, data }, fileName) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = getContext(canvas);
+  const imageData = context.createImageData(width, height);
+  imageData.data.set(data);
+  context.putImageData(imageData, 0, 0);
+
+  const blob = await canvasToBlob(canvas, 'image/png');
+  return new File([blob], replaceExtension(fileName, 'png'), { type: 'image/png', lastModified: Date.now() });
+};
+
+// Formats the model accepts are uploaded as they are, relabelled if the type does not match the content
+const passThrough = (type, extension) => async (file) => ({
+  file: file.type === type ? file : new File([file], replaceExtension(file.name, extension), { type, lastModified: file.lastModified }),
+  metadata: {}
+});
+
+/*
+ * Built-in decoders. Each one has:
+ * - id, label: name of the format
+ * - mimeTypes, extensions: how files of the format are usually named, used to filter the file picker
+ * - matches(bytes): whether the first HEADER_LENGTH bytes of a file are of this format
+ * - decode(file): Promise<{ file, metadata }>, with file a JPEG or PNG and metadata what the file says
+ *   about the image, e.g. { laterality, acquisitionDate }
+ */
+const BUILT_IN_DECODERS = [
+  {
+    id: 'jpeg',
+    label: 'JPEG',
+    mimeTypes: ['image/jpeg', 'image/jpg'],
+    extensions: ['jpg', 'jpeg'],
+    matches: (bytes) => startsWith(bytes, [0xFF, 0xD8, 0xFF]),
+    decode: passThrough('image/jpeg', 'jpg')
+  },
+  {
+    id: 'png',
+    label: 'PNG',
+    mimeTypes: ['image/png'],
+    extensions: ['png'],
+    matches: (bytes) => startsWith(bytes, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    decode: passThrough('image/png', 'png')
+  },
+  {
+    id: 'webp',
+    label: 'WebP',
+    mimeTypes: ['image/webp'],
+    extensions: ['webp'],
+    matches: (bytes) => startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8),
+    decode: async (file) => ({ file: await convertWithBrowser(file, 'WebP'), metadata: {} })
+  },
+  {
+    // Only Safari decodes HEIC itself; register a decoder built on a HEIF library to support other browsers
+    id: 'heic',
+    label: 'HEIC',
+    mimeTypes: ['image/heic', 'image/heif'],
+    extensions: ['heic', 'heif'],
+    matches: (bytes) => (
+      startsWith(bytes, ascii('ftyp'), 4) &&
+      HEIF_BRANDS.includes(String.fromCharCode(...bytes.subarray(8, 12)))
+    ),
+    decode: async (file) => ({ file: await convertWithBrowser(file, 'HEIC'), metadata: {} })
+  },
+  {
+    id: 'tiff',
+    label: 'TIFF',
+    mimeTypes: ['image/tiff'],
+    extensions: ['tif', 'tiff'],
+    matches: (bytes) => startsWith(bytes, [0x49, 0x49, 0x2A, 0x00]) || startsWith(bytes, [0x4D, 0x4D, 0x00, 0x2A]),
+    decode: async (file) => {
+      const pixels = await decodeTiff(await readBlob(file));
+      return { file: await pixelsToFile(pixels, file.name), metadata: {} };
+    }
+  },
+  {
+    id: 'dicom',
+    label: 'DICOM',
+    mimeTypes: ['application/dicom'],
+    extensions: ['dcm', 'dicom'],
+    matches: isDicom,
+    decode: async (file) => {
+      const { metadata, jpeg, pixels } = parseDicom(await readBlob(file));
+      const converted = jpeg
+        ? new File([jpeg], replaceExtension(file.name, 'jpg'), { type: 'image/jpeg', lastModified: file.lastModified })
+        : await pixelsToFile(pixels, file.name);
+      return {
+        file: converted,
+        metadata: { ...metadata, laterality: DICOM_LATERALITY[metadata.laterality] || null }
+      };
+    }
+  }
+];
+
+// Registered decoders, checked in order; decoders added later come first so they can replace a built-in one
+let decoders = [...BUILT_IN_DECODERS];
+
+/**
+ * Add a decoder for another format, or one replacing a built-in decoder with the same id
+ * @param {Object} decoder - { id, label, mimeTypes, extensions, matches(bytes), decode(file) }, see BUILT_IN_DECODERS
+ */
+export const registerImageDecoder = (decoder) => {
+  decoders = [decoder, ...decoders.filter(({ id }) => id !== decoder.id)];
+};
+
+/**
+ * The registered decoders
+ * @returns {Array<Object>} - The decoders, in the order they are checked
+ */
+export const getImageDecoders = () => decoders;
+
+/**
+ * Names of the supported formats, e.g. for help texts
+ * @returns {string} - e.g. "JPEG, PNG, WebP, HEIC, TIFF or DICOM"
+ */
+export const getSupportedFormatNames = () => {
+  const labels = decoders.map(({ label }) => label);
+  return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}` : labels.join('');
+};
+
+/**
+ * Value for the accept attribute of a file input
+ * @returns {string} - MIME types and extensions of the supported formats
+ */
+export const getAcceptedFileTypes = () => decoders
+  .flatMap(({ mimeTypes, extensions }) => [...mimeTypes, ...extensions.map((extension) => `.${extension}`)])
+  .join(', ');
+
+/**
+ * Quick check by type and extension, before the file is read; the content decides in the end
+ * @param {File} file - The file
+ * @returns {boolean} - False when the file is clearly of another kind, e.g. a PDF
+ */
+export const isSupportedImageFile = (file) => {
+  if (GENERIC_TYPES.includes(file.type || '')) return true;
+  const extension = (file.name || '').split('.').pop().toLowerCase();
+  return decoders.some(({ mimeTypes, extensions }) => mimeTypes.includes(file.type) || extensions.includes(extension));
+};
+
+/**
+ * Detect the format of a file from its first bytes
+ * @param {Blob} file - The file
+ * @returns {Promise<Object|null>} - The matching decoder, or null for an unsupported format
+ */
+export const detectImageFormat = async (file) => {
+  const bytes = new Uint8Array(await readBlob(file.slice(0, HEADER_LENGTH)));
+  return decoders.find((decoder) => decoder.matches(bytes)) || null;
+};
+
+/**
+ * Convert an image into a format the model accepts
+ * @param {File} file - The image as selected by the user
+ * @returns {Promise<Object>} - { file, format, metadata }, where file is a JPEG or PNG (the file itself if it
+ *   already is one), format the id of the detected format and metadata what the file says about the image
+ */
+export const convertImageFile = async (file) => {
+  const decoder = await detectImageFormat(file);
+  if (!decoder) {
+    throw new Error(`This is not a supported image. Please upload a ${getSupportedFormatNames()} image.`);
+  }
+
+  try {
+    const { file: converted, metadata = {} } = await decoder.decode(file);
+    return { file: converted, format: decoder.id, metadata };
+  } catch (error) {
+    // Reading past the end of a truncated file
+    if (error instanceof RangeError) {
+      throw new Error(`The ${decoder.label} file is damaged or incomplete.`);
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,326 @@
+/**
+ * Image pre-processing in the browser: crop, rotate, flip and resize eye images before upload
+ * Phone photos of a fundus are large and mostly black background, so they are cropped to the
+ * retina and re-encoded as a JPEG small enough for the upload limit. Everything runs on a canvas.
+ */
+import { readBlob } from './DownloadUtils';
+import { loadImage, BACKGROUND_LEVEL } from './ImageQuality';
+
+// Largest file the backend accepts, see validateImageFile
+export const MAX_UPLOAD_SIZE_MB = 5;
+
+// Largest file accepted for editing; it is shrunk below MAX_UPLOAD_SIZE_MB before upload
+export const MAX_SOURCE_SIZE_MB = 25;
+
+// Longer side of the processed image in pixels; null keeps the original size
+export const OUTPUT_SIZES = [
+  { value: null, label: 'Original size' },
+  { value: 2048, label: '2048 px' },
+  { value: 1024, label: '1024 px' },
+  { value: 512, label: '512 px' }
+];
+
+/**
+ * Edits applied when an image is processed without the user opening the editor
+ * rotation is clockwise in degrees (0, 90, 180 or 270); flips are applied after the rotation
+ */
+export const DEFAULT_EDITS = {
+  rotation: 0,
+  flipHorizontal: false,
+  flipVertical: false,
+  cropToFundus: true,
+  maxDimension: 2048
+};
+
+// JPEG qualities tried in turn until the file fits
+const JPEG_QUALITIES = [0.92, 0.85, 0.75, 0.6];
+
+// When even the lowest quality is too large, the image is scaled down by this factor and tried again
+const DOWNSCALE_STEP = 0.8;
+
+// Never shrink below the model's input size
+const MIN_DIMENSION = 224;
+
+// Longer side of the copy the fundus is detected on
+const DETECTION_SIZE = 256;
+
+// Space left around the detected retina, as a share of its diameter
+const CROP_MARGIN = 0.02;
+
+// Rows and columns with fewer retina pixels than this share are noise, e.g. a timestamp in the corner
+const MIN_LINE_COVERAGE = 0.02;
+
+// How much of the EXIF data is read; the orientation tag sits near the start of the file
+const EXIF_SEARCH_BYTES = 64 * 1024;
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+/*
+ * Transforms are canvas matrices [a, b, c, d, e, f], i.e. x' = a*x + c*y + e and y' = b*x + d*y + f.
+ * Each step takes the current size and returns its matrix and the size after it.
+ */
+const rotate90 = (width, height) => ({ matrix: [0, 1, -1, 0, height, 0], width: height, height: width });
+const rotate180 = (width, height) => ({ matrix: [-1, 0, 0, -1, width, height], width, height });
+const rotate270 = (width, height) => ({ matrix: [0, -1, 1, 0, 0, width], width: height, height: width });
+const flipHorizontal = (width, height) => ({ matrix: [-1, 0, 0, 1, width, 0], width, height });
+const flipVertical = (width, height) => ({ matrix: [1, 0, 0, -1, 0, height], width, height });
+
+const ROTATION_STEPS = {
+  90: [rotate90],
+  180: [rotate180],
+  270: [rotate270]
+};
+
+// Steps that turn an image stored with an EXIF orientation (2-8) upright
+const EXIF_ORIENTATION_STEPS = {
+  2: [flipHorizontal],
+  3: [rotate180],
+  4: [flipVertical],
+  5: [rotate90, flipHorizontal],
+  6: [rotate90],
+  7: [rotate270, flipHorizontal],
+  8: [rotate270]
+};
+
+// Matrix applying m1 first and then m2
+const multiply = (m2, m1) => [
+  m2[0] * m1[0] + m2[2] * m1[1],
+  m2[1] * m1[0] + m2[3] * m1[1],
+  m2[0] * m1[2] + m2[2] * m1[3],
+  m2[1] * m1[2] + m2[3] * m1[3],
+  m2[0] * m1[4] + m2[2] * m1[5] + m2[4],
+  m2[1] * m1[4] + m2[3] * m1[5] + m2[5]
+];
+
+// Combine the steps into one matrix and the size of the result
+const getTransform = (width, height, steps) => steps.reduce((current, step) => {
+  const next = step(current.width, current.height);
+  return { matrix: multiply(next.matrix, current.matrix), width: next.width, height: next.height };
+}, { matrix: [1, 0, 0, 1, 0, 0], width, height });
+
+const getSteps = (edits, orientation) => [
+  ...(EXIF_ORIENTATION_STEPS[orientation] || []),
+  ...(ROTATION_STEPS[edits.rotation] || []),
+  ...(edits.flipHorizontal ? [flipHorizontal] : []),
+  ...(edits.flipVertical ? [flipVertical] : [])
+];
+
+// Current browsers turn images upright themselves when drawing them; older ones ignore EXIF orientation
+const browserAppliesOrientation = () => (
+  typeof CSS !== 'undefined' && typeof CSS.supports === 'function' && CSS.supports('image-orientation', 'from-image')
+);
+
+// Find the orientation tag in the first IFD of the TIFF structure inside the Exif block
+const readTiffOrientation = (view, start) => {
+  if (start + 8 > view.byteLength) return 1;
+  const littleEndian = view.getUint16(start) === 0x4949; // "II"
+  const directory = start + view.getUint32(start + 4, littleEndian);
+  if (directory + 2 > view.byteLength) return 1;
+
+  const entries = view.getUint16(directory, littleEndian);
+  for (let i = 0; i < entries; i++) {
+    const entry = directory + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    if (view.getUint16(entry, littleEndian) === EXIF_ORIENTATION_TAG) {
+      const orientation = view.getUint16(entry + 8, littleEndian);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+  return 1;
+};
+
+/**
+ * Read the EXIF orientation of a JPEG, which phones use instead of rotating the pixels
+ * @param {Blob} file - The image file
+ * @returns {Promise<number>} - The orientation (1-8); 1 (upright) for other formats or without the tag
+ */
+export const readExifOrientation = async (file) => {
+  const view = new DataView(await readBlob(file.slice(0, EXIF_SEARCH_BYTES)));
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1; // Not a JPEG
+
+  // Walk the JPEG segments up to the image data, looking for the APP1 "Exif" segment
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+
+    const length = view.getUint16(offset + 2);
+    if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      return readTiffOrientation(view, offset + 10);
+    }
+    offset += 2 + length;
+  }
+  return 1;
+};
+
+/**
+ * Load an image for editing
+ * @param {Blob} file - The image file
+ * @returns {Promise<Object>} - { image, orientation }, where orientation is the EXIF orientation
+ *   still to be applied, or 1 when the browser already draws the image upright
+ */
+export const decodeImage = async (file) => {
+  const image = await loadImage(file);
+  const orientation = browserAppliesOrientation() ? 1 : await readExifOrientation(file);
+  return { image, orientation };
+};
+
+/**
+ * Find the round retina in the black frame of a fundus photo
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object|null} - A square crop around the retina as shares of the image size { x, y, width, height },
+ *   which may reach past the edges when the retina is cut off; null when there is no frame to crop
+ */
+export const detectFundusRegion = (data, width, height) => {
+  const rowCounts = new Array(height).fill(0);
+  const columnCounts = new Array(width).fill(0);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      // ITU-R BT.601 luma
+      if (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2] > BACKGROUND_LEVEL) {
+        rowCounts[y]++;
+        columnCounts[x]++;
+      }
+    }
+  }
+
+  const findEdges = (counts, lineLength) => {
+    const minimum = Math.max(1, lineLength * MIN_LINE_COVERAGE);
+    const first = counts.findIndex((count) => count >= minimum);
+    if (first === -1) return null;
+    let last = counts.length - 1;
+    while (counts[last] < minimum) last--;
+    return { start: first, end: last + 1 };
+  };
+
+  const rows = findEdges(rowCounts, width);
+  const columns = findEdges(columnCounts, height);
+  if (!rows || !columns) return null;
+
+  // The retina already fills the picture
+  const retinaWidth = columns.end - columns.start;
+  const retinaHeight = rows.end - rows.start;
+  if (retinaWidth >= width * 0.98 && retinaHeight >= height * 0.98) return null;
+
+  // Square, so the model does not see a squashed eye
+  const side = Math.max(retinaWidth, retinaHeight) * (1 + 2 * CROP_MARGIN);
+  const centerX = (columns.start + columns.end) / 2;
+  const centerY = (rows.start + rows.end) / 2;
+  return {
+    x: (centerX - side / 2) / width,
+    y: (centerY - side / 2) / height,
+    width: side / width,
+    height: side / height
+  };
+};
+
+// Draw the transformed image at the given scale, shifted so (left, top) of the result is the corner
+const drawTransformed = (context, image, matrix, { scale, left, top }) => {
+  const { width, height } = context.canvas;
+  context.setTransform(1, 0, 0, 1, 0, 0);
+  // Transparent and uncovered areas become black background, like the frame of a fundus photo
+  context.fillStyle = '#000';
+  context.fillRect(0, 0, width, height);
+  context.imageSmoothingQuality = 'high';
+  context.setTransform(scale, 0, 0, scale, -left * scale, -top * scale);
+  context.transform(...matrix);
+  context.drawImage(image, 0, 0);
+};
+
+// Detect the retina on a small copy of the transformed image
+const findFundus = (image, transform) => {
+  const scale = Math.min(1, DETECTION_SIZE / Math.max(transform.width, transform.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(transform.width * scale));
+  canvas.height = Math.max(1, Math.round(transform.height * scale));
+  const context = canvas.getContext && canvas.getContext('2d');
+  if (!context) return null;
+
+  drawTransformed(context, image, transform.matrix, { scale, left: 0, top: 0 });
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+  return detectFundusRegion(data, canvas.width, canvas.height);
+};
+
+/**
+ * Draw an image with the edits applied: EXIF orientation, rotation, flips, fundus crop and size
+ * @param {HTMLImageElement} image - The image, from decodeImage
+ * @param {Object} edits - See DEFAULT_EDITS
+ * @param {Object} options - Options
+ * @param {number} options.orientation - EXIF orientation still to be applied, from decodeImage
+ * @param {HTMLCanvasElement} options.canvas - Canvas to draw on, e.g. a preview; a new one by default
+ * @returns {HTMLCanvasElement|null} - The canvas, or null without canvas support
+ */
+export const renderImage = (image, edits = DEFAULT_EDITS, { orientation = 1, canvas = document.createElement('canvas') } = {}) => {
+  const transform = getTransform(image.naturalWidth, image.naturalHeight, getSteps(edits, orientation));
+  const crop = (edits.cropToFundus && findFundus(image, transform)) || { x: 0, y: 0, width: 1, height: 1 };
+
+  const cropWidth = crop.width * transform.width;
+  const cropHeight = crop.height * transform.height;
+  const scale = edits.maxDimension ? Math.min(1, edits.maxDimension / Math.max(cropWidth, cropHeight)) : 1;
+
+  canvas.width = Math.max(1, Math.round(cropWidth * scale));
+  canvas.height = Math.max(1, Math.round(cropHeight * scale));
+  const context = canvas.getContext && canvas.getContext('2d');
+  if (!context) return null;
+
+  drawTransformed(context, image, transform.matrix, {
+    scale,
+    left: crop.x * transform.width,
+    top: crop.y * transform.height
+  });
+  return canvas;
+};
+
+const canvasToBlob = (canvas, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => {
+    if (blob) {
+      resolve(blob);
+    } else {
+      reject(new Error('The image could not be encoded'));
+    }
+  }, 'image/jpeg', quality);
+});
+
+/**
+ * Apply the edits and re-encode the image as a JPEG below the upload limit
+ * The quality is lowered first, then the image is scaled down until the file fits.
+ * @param {File} file - The original image
+ * @param {Object} edits - See DEFAULT_EDITS
+ * @param {Object} options - Options
+ * @param {number} options.maxSizeInMB - Largest allowed file size
+ * @returns {Promise<Object>} - { file, width, height }, where file is the processed JPEG
+ */
+export const processImage = async (file, edits = DEFAULT_EDITS, { maxSizeInMB = MAX_UPLOAD_SIZE_MB } = {}) => {
+  const { image, orientation } = await decodeImage(file);
+  const maxBytes = maxSizeInMB * 1024 * 1024;
+  const fileName = `${file.name.replace(/\.[^.]+$/, '')}-edited.jpg`;
+
+  let maxDimension = edits.maxDimension;
+  for (;;) {
+    const canvas = renderImage(image, { ...edits, maxDimension }, { orientation });
+    if (!canvas) {
+      throw new Error('This browser cannot edit images');
+    }
+
+    for (const quality of JPEG_QUALITIES) {
+      const blob = await canvasToBlob(canvas, quality);
+      if (blob.size <= maxBytes) {
+        return {
+          file: new File([blob], fileName, { type: 'image/jpeg', lastModified: Date.now() }),
+          width: canvas.width,
+          height: canvas.height
+        };
+      }
+    }
+
+    const longSide = Math.max(canvas.width, canvas.height);
+    if (longSide <= MIN_DIMENSION) {
+      throw new Error(`The image could not be made smaller than ${maxSizeInMB}MB`);
+    }
+    maxDimension = Math.max(MIN_DIMENSION, Math.round(longSide * DOWNSCALE_STEP));
+  }
+};
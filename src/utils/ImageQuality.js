@@ -0,0 +1,254 @@
+/**
+ * Client-side quality checks for eye images, run before an image is sent for analysis
+ * A blurry, dark or over-exposed photo still gets a confident diagnosis from the model,
+ * so such images are flagged here first. Everything runs on a canvas in the browser.
+ */
+
+// Overall result of the checks
+export const QUALITY_STATUS = {
+  OK: 'ok',
+  WARNING: 'warning', // Probably usable, but the result may be less reliable
+  BLOCKED: 'blocked', // Not analysed unless the user overrides it
+  SKIPPED: 'skipped' // The browser cannot run the checks; the image is analysed as is
+};
+
+// Severity of a single issue
+export const QUALITY_SEVERITY = {
+  WARNING: 'warning',
+  ERROR: 'error'
+};
+
+/**
+ * Limits for the checks; below `block` values (or above, for upper limits) the image is blocked,
+ * below `warn` values it only gets a warning
+ */
+export const QUALITY_THRESHOLDS = {
+  // Shorter side in pixels; the model works on 224 x 224 inputs
+  resolution: { block: 224, warn: 512 },
+  // Variance of the Laplacian, measured on the image scaled to ANALYSIS_SIZE
+  sharpness: { block: 8, warn: 25 },
+  // Mean brightness of the retina (0-255)
+  minBrightness: { block: 25, warn: 50 },
+  maxBrightness: { block: 235, warn: 200 },
+  // Standard deviation of the brightness of the retina
+  contrast: { block: 6, warn: 15 },
+  // Share of retina pixels that are pure white
+  overexposed: { block: 0.25, warn: 0.05 },
+  // Share of the picture that is not black background
+  retinaCoverage: { block: 0.1, warn: 0.2 }
+};
+
+// Longer side of the scaled copy the pixel checks run on; keeps large photos fast and the measurements comparable
+const ANALYSIS_SIZE = 512;
+
+// Fundus photos have a black border around the round retina; darker pixels count as background
+export const BACKGROUND_LEVEL = 15;
+
+// Pixels at or above this level are clipped
+const CLIPPED_LEVEL = 250;
+
+/**
+ * Load a file into an <img> element
+ * @param {Blob} file - The image file
+ * @returns {Promise<HTMLImageElement>} - The loaded image; rejects when the browser cannot decode it
+ */
+export const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('The image could not be read'));
+  };
+  image.src = url;
+});
+
+// Draw a scaled copy of the image and return its grayscale pixels, or null without canvas support
+const getGrayscale = (image) => {
+  const scale = Math.min(1, ANALYSIS_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+  const width = Math.max(1, Math.round(image.naturalWidth * scale));
+  const height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext && canvas.getContext('2d');
+  if (!context) return null;
+
+  context.drawImage(image, 0, 0, width, height);
+  const { data } = context.getImageData(0, 0, width, height);
+
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    // ITU-R BT.601 luma
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return { gray, width, height };
+};
+
+/**
+ * Measure brightness, contrast and clipping of the retina, ignoring the black background
+ * @param {Float32Array} gray - Grayscale pixels (0-255)
+ * @returns {Object} - { brightness, contrast, overexposed, retinaCoverage }
+ */
+export const measureExposure = (gray) => {
+  let count = 0;
+  let sum = 0;
+  let sumOfSquares = 0;
+  let clipped = 0;
+
+  for (let i = 0; i < gray.length; i++) {
+    const value = gray[i];
+    if (value > BACKGROUND_LEVEL) {
+      count++;
+      sum += value;
+      sumOfSquares += value * value;
+      if (value >= CLIPPED_LEVEL) clipped++;
+    }
+  }
+
+  if (count === 0) {
+    return { brightness: 0, contrast: 0, overexposed: 0, retinaCoverage: 0 };
+  }
+
+  const mean = sum / count;
+  return {
+    brightness: mean,
+    contrast: Math.sqrt(Math.max(0, sumOfSquares / count - mean * mean)),
+    overexposed: clipped / count,
+    retinaCoverage: count / gray.length
+  };
+};
+
+/**
+ * Measure sharpness as the variance of the Laplacian; blurry images have few strong edges and a low variance
+ * Only pixels whose whole neighbourhood is retina are used, so the edge of the black border does not count as detail.
+ * @param {Float32Array} gray - Grayscale pixels (0-255)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {number} - The variance of the Laplacian
+ */
+export const measureSharpness = (gray, width, height) => {
+  let count = 0;
+  let sum = 0;
+  let sumOfSquares = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const up = gray[i - width];
+      const down = gray[i + width];
+      const left = gray[i - 1];
+      const right = gray[i + 1];
+      if (Math.min(gray[i], up, down, left, right) <= BACKGROUND_LEVEL) continue;
+
+      const laplacian = up + down + left + right - 4 * gray[i];
+      count++;
+      sum += laplacian;
+      sumOfSquares += laplacian * laplacian;
+    }
+  }
+
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumOfSquares / count - mean * mean;
+};
+
+// Turn the measurements into issues, most serious first
+const findIssues = ({ width, height, sharpness, brightness, contrast, overexposed, retinaCoverage }, thresholds) => {
+  const issues = [];
+  const add = (code, isError, message) => {
+    issues.push({ code, severity: isError ? QUALITY_SEVERITY.ERROR : QUALITY_SEVERITY.WARNING, message });
+  };
+
+  const shortSide = Math.min(width, height);
+  if (shortSide < thresholds.resolution.warn) {
+    add('LOW_RESOLUTION', shortSide < thresholds.resolution.block,
+      `The image is only ${width} x ${height} pixels. Use a photo of at least ${thresholds.resolution.warn} pixels on each side.`);
+  }
+
+  // Exposure and sharpness of a nearly black image say nothing more
+  const hasRetina = retinaCoverage >= thresholds.retinaCoverage.warn;
+  if (!hasRetina) {
+    add('NO_RETINA', retinaCoverage < thresholds.retinaCoverage.block,
+      'Most of the image is black. Make sure the retina is visible and fills the frame.');
+  }
+
+  if (hasRetina && sharpness < thresholds.sharpness.warn) {
+    add('BLURRY', sharpness < thresholds.sharpness.block,
+      'The image looks blurry. Hold the camera still, check the focus and take the photo again.');
+  }
+
+  if (!hasRetina) {
+    // Nothing to measure
+  } else if (brightness < thresholds.minBrightness.warn) {
+    add('TOO_DARK', brightness < thresholds.minBrightness.block,
+      'The image is too dark. Increase the illumination or the exposure.');
+  } else if (brightness > thresholds.maxBrightness.warn) {
+    add('TOO_BRIGHT', brightness > thresholds.maxBrightness.block,
+      'The image is too bright. Reduce the flash or the exposure.');
+  }
+
+  if (hasRetina && overexposed > thresholds.overexposed.warn) {
+    add('OVEREXPOSED', overexposed > thresholds.overexposed.block,
+      `${Math.round(overexposed * 100)}% of the retina is washed out to white. Reduce the flash or the exposure.`);
+  }
+
+  if (hasRetina && contrast < thresholds.contrast.warn) {
+    add('LOW_CONTRAST', contrast < thresholds.contrast.block,
+      'The image has very little contrast, so details of the retina are hard to see.');
+  }
+
+  return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === QUALITY_SEVERITY.ERROR ? -1 : 1));
+};
+
+/**
+ * Check an image for blur, exposure, contrast and resolution before it is analysed
+ * @param {File} file - The image, already accepted by validateImageFile
+ * @param {Object} options - Options
+ * @param {Object} options.thresholds - Overrides for QUALITY_THRESHOLDS
+ * @returns {Promise<Object>} - { status, issues: [{ code, severity, message }], metrics }
+ */
+export const assessImageQuality = async (file, { thresholds: overrides = {} } = {}) => {
+  const thresholds = { ...QUALITY_THRESHOLDS, ...overrides };
+
+  let image;
+  try {
+    image = await loadImage(file);
+  } catch (error) {
+    return {
+      status: QUALITY_STATUS.BLOCKED,
+      issues: [{
+        code: 'UNREADABLE',
+        severity: QUALITY_SEVERITY.ERROR,
+        message: 'The image could not be read. The file may be damaged.'
+      }],
+      metrics: null
+    };
+  }
+
+  const pixels = getGrayscale(image);
+  if (!pixels) {
+    return { status: QUALITY_STATUS.SKIPPED, issues: [], metrics: null };
+  }
+
+  const metrics = {
+    width: image.naturalWidth,
+    height: image.naturalHeight,
+    sharpness: measureSharpness(pixels.gray, pixels.width, pixels.height),
+    ...measureExposure(pixels.gray)
+  };
+  const issues = findIssues(metrics, thresholds);
+
+  let status = QUALITY_STATUS.OK;
+  if (issues.some((issue) => issue.severity === QUALITY_SEVERITY.ERROR)) {
+    status = QUALITY_STATUS.BLOCKED;
+  } else if (issues.length > 0) {
+    status = QUALITY_STATUS.WARNING;
+  }
+
+  return { status, issues, metrics };
+};
@@ -0,0 +1,54 @@
+/**
+ * Which eye an image shows, using the ophthalmic abbreviations
+ * OD (oculus dexter) is the right eye, OS (oculus sinister) the left eye.
+ */
+
+/**
+ * Laterality values sent to and stored by the backend
+ */
+export const LATERALITY = {
+  RIGHT: 'OD',
+  LEFT: 'OS'
+};
+
+/**
+ * Display names for the laterality values
+ */
+export const LATERALITY_LABELS = {
+  [LATERALITY.RIGHT]: 'Right eye (OD)',
+  [LATERALITY.LEFT]: 'Left eye (OS)'
+};
+
+/**
+ * Short display names, e.g. for badges and table cells
+ */
+export const LATERALITY_SHORT_LABELS = {
+  [LATERALITY.RIGHT]: 'OD',
+  [LATERALITY.LEFT]: 'OS'
+};
+
+// File name words that give the eye away, e.g. "patient12_OD_1.jpg" or "left-eye.png"
+const FILE_NAME_HINTS = {
+  [LATERALITY.RIGHT]: ['od', 'right'],
+  [LATERALITY.LEFT]: ['os', 'left']
+};
+
+/**
+ * Check a value against the known laterality values
+ * @param {string} value - The value to check
+ * @returns {boolean} - True if the value is OD or OS
+ */
+export const isValidLaterality = (value) => Object.values(LATERALITY).includes(value);
+
+/**
+ * Guess the eye from an image's file name, so technicians following a naming scheme do not have to tag each image
+ * @param {string} fileName - The file name
+ * @returns {string|null} - OD, OS, or null when the name does not tell or mentions both eyes
+ */
+export const guessLaterality = (fileName = '') => {
+  const words = fileName.toLowerCase().replace(/\.[^.]+$/, '').split(/[^a-z]+/);
+  const matches = Object.keys(FILE_NAME_HINTS).filter((laterality) => (
+    FILE_NAME_HINTS[laterality].some((hint) => words.includes(hint))
+  ));
+  return matches.length === 1 ? matches[0] : null;
+};
@@ -0,0 +1,103 @@
+/**
+ * Role-based access control for the clinic's user roles
+ * Roles come from the JWT claims (see TokenUtils.getRoles); permissions are derived from them here.
+ * The backend still enforces access - these checks only decide what the UI shows.
+ */
+
+/**
+ * Roles issued by the backend, lower-case and without the ROLE_ prefix
+ */
+export const ROLES = {
+  PATIENT: 'patient',
+  TECHNICIAN: 'technician',
+  OPHTHALMOLOGIST: 'ophthalmologist'
+};
+
+/**
+ * Display names for the roles
+ */
+export const ROLE_LABELS = {
+  [ROLES.PATIENT]: 'Patient',
+  [ROLES.TECHNICIAN]: 'Technician',
+  [ROLES.OPHTHALMOLOGIST]: 'Ophthalmologist'
+};
+
+/**
+ * Actions the UI can allow or hide
+ */
+export const PERMISSIONS = {
+  UPLOAD_SCAN: 'scan:upload',
+  UPLOAD_FOR_PATIENTS: 'scan:upload-for-patients',
+  VIEW_RESULTS: 'results:view',
+  VIEW_PATIENT_RESULTS: 'results:view-patients',
+  REVIEW_RESULTS: 'results:review'
+};
+
+// Permissions granted by each role
+const ROLE_PERMISSIONS = {
+  [ROLES.PATIENT]: [
+    PERMISSIONS.UPLOAD_SCAN,
+    PERMISSIONS.VIEW_RESULTS
+  ],
+  [ROLES.TECHNICIAN]: [
+    PERMISSIONS.UPLOAD_SCAN,
+    PERMISSIONS.UPLOAD_FOR_PATIENTS,
+    PERMISSIONS.VIEW_RESULTS,
+    PERMISSIONS.VIEW_PATIENT_RESULTS
+  ],
+  [ROLES.OPHTHALMOLOGIST]: [
+    PERMISSIONS.VIEW_RESULTS,
+    PERMISSIONS.VIEW_PATIENT_RESULTS,
+    PERMISSIONS.REVIEW_RESULTS
+  ]
+};
+
+// Accounts created before roles were introduced carry no role claim and are patients
+const DEFAULT_ROLE = ROLES.PATIENT;
+
+/**
+ * Get the effective roles of a user
+ * @param {string[]} roles - Roles from the JWT claims
+ * @returns {string[]} - The roles, or the default role if there are none
+ */
+export const getEffectiveRoles = (roles) => {
+  return roles && roles.length > 0 ? roles : [DEFAULT_ROLE];
+};
+
+/**
+ * Get every permission granted by a set of roles
+ * @param {string[]} roles - Roles from the JWT claims
+ * @returns {string[]} - The granted permissions, without duplicates
+ */
+export const getPermissions = (roles) => {
+  const permissions = getEffectiveRoles(roles).flatMap((role) => ROLE_PERMISSIONS[role] || []);
+  return Array.from(new Set(permissions));
+};
+
+/**
+ * Check if a user has at least one of the required roles
+ * @param {string[]} roles - Roles from the JWT claims
+ * @param {string|string[]} required - A role or a list of accepted roles
+ * @returns {boolean} - True if one of the roles matches, or if no role is required
+ */
+export const hasRole = (roles, required) => {
+  const accepted = [].concat(required || []);
+  if (accepted.length === 0) return true;
+
+  const userRoles = getEffectiveRoles(roles);
+  return accepted.some((role) => userRoles.includes(role));
+};
+
+/**
+ * Check if a user has all of the required permissions
+ * @param {string[]} roles - Roles from the JWT claims
+ * @param {string|string[]} required - A permission or a list of permissions that must all be granted
+ * @returns {boolean} - True if every permission is granted, or if none is required
+ */
+export const hasPermission = (roles, required) => {
+  const needed = [].concat(required || []);
+  if (needed.length === 0) return true;
+
+  const granted = getPermissions(roles);
+  return needed.every((permission) => granted.includes(permission));
+};
@@ -0,0 +1,283 @@
+/**
+ * Minimal TIFF decoder for the images fundus cameras export
+ * Browsers other than Safari cannot display TIFF, so the pixels are decoded here and drawn on a canvas.
+ * Supported: baseline strip images with 8 or 16 bits per sample, grayscale or RGB (with or without alpha),
+ * uncompressed or compressed with LZW, PackBits or Deflate. Tiled, palette, CMYK and YCbCr images are not.
+ */
+
+// Tags read from the first image file directory
+const TAGS = {
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  PHOTOMETRIC_INTERPRETATION: 262,
+  STRIP_OFFSETS: 273,
+  SAMPLES_PER_PIXEL: 277,
+  ROWS_PER_STRIP: 278,
+  STRIP_BYTE_COUNTS: 279,
+  PLANAR_CONFIGURATION: 284,
+  PREDICTOR: 317,
+  TILE_WIDTH: 322
+};
+
+const COMPRESSION = {
+  NONE: 1,
+  LZW: 5,
+  DEFLATE: 8,
+  PACKBITS: 32773,
+  DEFLATE_OLD: 32946
+};
+
+const PHOTOMETRIC = {
+  WHITE_IS_ZERO: 0,
+  BLACK_IS_ZERO: 1,
+  RGB: 2
+};
+
+// Size in bytes of the field types that hold whole numbers: BYTE, SHORT and LONG
+const TYPE_SIZES = { 1: 1, 3: 2, 4: 4 };
+
+const LZW_CLEAR = 256;
+const LZW_END = 257;
+
+// Read the numeric tags of an image file directory into { tag: [values] }
+const readDirectory = (view, offset, littleEndian) => {
+  const tags = {};
+  const count = view.getUint16(offset, littleEndian);
+
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const tag = view.getUint16(entry, littleEndian);
+    const type = view.getUint16(entry + 2, littleEndian);
+    const valueCount = view.getUint32(entry + 4, littleEndian);
+    const size = TYPE_SIZES[type];
+    if (!size) continue;
+
+    // Values that fit in four bytes are stored in the entry itself
+    const valueOffset = size * valueCount > 4 ? view.getUint32(entry + 8, littleEndian) : entry + 8;
+    const values = [];
+    for (let j = 0; j < valueCount; j++) {
+      const position = valueOffset + j * size;
+      if (size === 1) values.push(view.getUint8(position));
+      else if (size === 2) values.push(view.getUint16(position, littleEndian));
+      else values.push(view.getUint32(position, littleEndian));
+    }
+    tags[tag] = values;
+  }
+  return tags;
+};
+
+// LZW as used by TIFF: codes are written most significant bit first and grow one code early
+const decodeLzw = (input, expectedLength) => {
+  const output = new Uint8Array(expectedLength);
+  const totalBits = input.length * 8;
+  let position = 0;
+  let bitPosition = 0;
+
+  const readCode = (width) => {
+    if (bitPosition + width > totalBits) return LZW_END;
+    let code = 0;
+    for (let i = 0; i < width; i++) {
+      code = (code << 1) | ((input[bitPosition >> 3] >> (7 - (bitPosition & 7))) & 1);
+      bitPosition++;
+    }
+    return code;
+  };
+
+  const write = (entry) => {
+    const length = Math.min(entry.length, expectedLength - position);
+    output.set(entry.subarray(0, length), position);
+    position += length;
+  };
+
+  const append = (entry, byte) => {
+    const result = new Uint8Array(entry.length + 1);
+    result.set(entry);
+    result[entry.length] = byte;
+    return result;
+  };
+
+  const table = [];
+  for (let i = 0; i < 256; i++) table.push(Uint8Array.of(i));
+  const reset = () => {
+    table.length = 258;
+  };
+  reset();
+
+  let width = 9;
+  let previous = null;
+  while (position < expectedLength) {
+    const code = readCode(width);
+    if (code === LZW_END) break;
+
+    if (code === LZW_CLEAR) {
+      reset();
+      width = 9;
+      previous = null;
+      continue;
+    }
+
+    let entry;
+    if (code < table.length) {
+      entry = table[code];
+      if (previous) table.push(append(previous, entry[0]));
+    } else if (previous) {
+      // The code being defined by this very step
+      entry = append(previous, previous[0]);
+      table.push(entry);
+    } else {
+      throw new Error('The TIFF image is damaged');
+    }
+
+    write(entry);
+    previous = entry;
+    if (table.length >= (1 << width) - 1 && width < 12) width++;
+  }
+  return output;
+};
+
+// PackBits run-length encoding
+const decodePackBits = (input, expectedLength) => {
+  const output = new Uint8Array(expectedLength);
+  let position = 0;
+  let i = 0;
+
+  while (i < input.length && position < expectedLength) {
+    const header = (input[i++] << 24) >> 24; // Signed byte
+    if (header >= 0) {
+      const length = Math.min(header + 1, expectedLength - position, input.length - i);
+      output.set(input.subarray(i, i + length), position);
+      position += length;
+      i += header + 1;
+    } else if (header !== -128) {
+      const length = Math.min(1 - header, expectedLength - position);
+      output.fill(input[i++], position, position + length);
+      position += length;
+    }
+  }
+  return output;
+};
+
+// Deflate (zlib) through the browser's own decompression
+const inflate = async (input) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read Deflate-compressed TIFF images');
+  }
+  const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const decompress = (input, compression, expectedLength) => {
+  switch (compression) {
+    case COMPRESSION.NONE:
+      return input;
+    case COMPRESSION.LZW:
+      return decodeLzw(input, expectedLength);
+    case COMPRESSION.PACKBITS:
+      return decodePackBits(input, expectedLength);
+    case COMPRESSION.DEFLATE:
+    case COMPRESSION.DEFLATE_OLD:
+      return inflate(input);
+    default:
+      throw new Error(`TIFF images with compression type ${compression} are not supported`);
+  }
+};
+
+/**
+ * Decode the first image of a TIFF file
+ * @param {ArrayBuffer} buffer - The file content
+ * @returns {Promise<Object>} - { width, height, data }, where data holds RGBA pixels
+ */
+export const decodeTiff = async (buffer) => {
+  const view = new DataView(buffer);
+  const byteOrder = view.getUint16(0);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) {
+    throw new Error('The file is not a TIFF image');
+  }
+  const littleEndian = byteOrder === 0x4949; // "II"
+  if (view.getUint16(2, littleEndian) !== 42) {
+    throw new Error('BigTIFF images are not supported');
+  }
+
+  const tags = readDirectory(view, view.getUint32(4, littleEndian), littleEndian);
+  const get = (tag, fallback) => (tags[tag] ? tags[tag][0] : fallback);
+
+  const width = get(TAGS.IMAGE_WIDTH);
+  const height = get(TAGS.IMAGE_LENGTH);
+  const samplesPerPixel = get(TAGS.SAMPLES_PER_PIXEL, 1);
+  const bitsPerSample = get(TAGS.BITS_PER_SAMPLE, 1);
+  const compression = get(TAGS.COMPRESSION, COMPRESSION.NONE);
+  const photometric = get(TAGS.PHOTOMETRIC_INTERPRETATION, PHOTOMETRIC.BLACK_IS_ZERO);
+  const predictor = get(TAGS.PREDICTOR, 1);
+
+  if (!width || !height || !tags[TAGS.STRIP_OFFSETS]) {
+    throw new Error(tags[TAGS.TILE_WIDTH] ? 'Tiled TIFF images are not supported' : 'The TIFF image is damaged');
+  }
+  if (bitsPerSample !== 8 && bitsPerSample !== 16) {
+    throw new Error(`TIFF images with ${bitsPerSample} bits per sample are not supported`);
+  }
+  if (samplesPerPixel > 1 && get(TAGS.PLANAR_CONFIGURATION, 1) !== 1) {
+    throw new Error('TIFF images with separate color planes are not supported');
+  }
+  if (!Object.values(PHOTOMETRIC).includes(photometric)) {
+    throw new Error('Only grayscale and RGB TIFF images are supported');
+  }
+  if (predictor === 2 && bitsPerSample !== 8) {
+    throw new Error('TIFF images with a 16-bit predictor are not supported');
+  }
+
+  // Join the strips into one buffer of raw samples
+  const rowBytes = width * samplesPerPixel * (bitsPerSample / 8);
+  const rowsPerStrip = Math.min(get(TAGS.ROWS_PER_STRIP, height), height);
+  const offsets = tags[TAGS.STRIP_OFFSETS];
+  const byteCounts = tags[TAGS.STRIP_BYTE_COUNTS] || [];
+  const raw = new Uint8Array(rowBytes * height);
+
+  for (let strip = 0; strip < offsets.length; strip++) {
+    const firstRow = strip * rowsPerStrip;
+    if (firstRow >= height) break;
+    const rows = Math.min(rowsPerStrip, height - firstRow);
+    const expectedLength = rows * rowBytes;
+    const byteCount = byteCounts[strip] || Math.min(expectedLength, buffer.byteLength - offsets[strip]);
+
+    const input = new Uint8Array(buffer, offsets[strip], Math.min(byteCount, buffer.byteLength - offsets[strip]));
+    const data = (await decompress(input, compression, expectedLength)).subarray(0, expectedLength);
+
+    // Horizontal differencing: each sample is stored as the difference to the one to its left
+    if (predictor === 2) {
+      for (let row = 0; row < rows; row++) {
+        for (let i = row * rowBytes + samplesPerPixel; i < (row + 1) * rowBytes && i < data.length; i++) {
+          data[i] = (data[i] + data[i - samplesPerPixel]) & 0xFF;
+        }
+      }
+    }
+    raw.set(data, firstRow * rowBytes);
+  }
+
+  // Reduce 16-bit samples to their high byte
+  const sample = bitsPerSample === 16
+    ? (index) => raw[index * 2 + (littleEndian ? 1 : 0)]
+    : (index) => raw[index];
+
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    const base = pixel * samplesPerPixel;
+    const target = pixel * 4;
+
+    if (photometric === PHOTOMETRIC.RGB) {
+      pixels[target] = sample(base);
+      pixels[target + 1] = sample(base + 1);
+      pixels[target + 2] = sample(base + 2);
+      pixels[target + 3] = samplesPerPixel > 3 ? sample(base + 3) : 255;
+    } else {
+      const value = photometric === PHOTOMETRIC.WHITE_IS_ZERO ? 255 - sample(base) : sample(base);
+      pixels[target] = value;
+      pixels[target + 1] = value;
+      pixels[target + 2] = value;
+      pixels[target + 3] = samplesPerPixel > 1 ? sample(base + 1) : 255;
+    }
+  }
+
+  return { width, height, data: pixels };
+};
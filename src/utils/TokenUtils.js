@@ -0,0 +1,134 @@
+/**
+ * JWT utility functions for reading claims from the access token
+ * Tokens are only decoded, not verified - the backend remains the authority on validity
+ */
+
+/**
+ * Decode a base64url segment into a string, keeping UTF-8 characters intact
+ * @param {string} segment - The base64url encoded segment
+ * @returns {string} - The decoded text
+ */
+const decodeBase64Url = (segment) => {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const encoded = Array.from(binary, (char) => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join('');
+  return decodeURIComponent(encoded);
+};
+
+/**
+ * Decode the payload (claims) of a JWT
+ * @param {string} token - The JWT, with or without a 'Bearer ' prefix
+ * @returns {Object|null} - The claims, or null if the token is malformed
+ */
+export const decodeToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.replace(/^Bearer\s+/i, '').split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(decodeBase64Url(parts[1]));
+    return claims && typeof claims === 'object' ? claims : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the user ID from a JWT
+ * @param {string} token - The JWT
+ * @returns {string|number|null} - The user ID from the id, userId, sub or user_id claim
+ */
+export const getUserId = (token) => {
+  const claims = decodeToken(token);
+  if (!claims) return null;
+
+  // Look for common user ID fields in JWT tokens
+  const userId = claims.id ?? claims.userId ?? claims.sub ?? claims.user_id;
+  return userId ?? null;
+};
+
+/**
+ * Get the username from a JWT
+ * @param {string} token - The JWT
+ * @returns {string|null} - The username from the preferred_username, username, userName or sub claim
+ */
+export const getUsername = (token) => {
+  const claims = decodeToken(token);
+  if (!claims) return null;
+
+  const username = claims.preferred_username || claims.username || claims.userName || claims.sub;
+  return username ? String(username) : null;
+};
+
+/**
+ * Get the roles from a JWT
+ * Supports `roles`/`role` claims and Spring style `authorities`, with the ROLE_ prefix removed
+ * @param {string} token - The JWT
+ * @returns {string[]} - Lower-case role names, empty if there are none
+ */
+export const getRoles = (token) => {
+  const claims = decodeToken(token);
+  if (!claims) return [];
+
+  let roles = claims.roles || claims.role || claims.authorities || [];
+  if (typeof roles === 'string') {
+    roles = roles.split(/[\s,]+/);
+  }
+  if (!Array.isArray(roles)) {
+    return [];
+  }
+
+  return roles
+    .map((role) => (role && typeof role === 'object' ? role.authority : role))
+    .filter((role) => typeof role === 'string' && role.length > 0)
+    .map((role) => role.replace(/^ROLE_/i, '').toLowerCase());
+};
+
+/**
+ * Get the expiry time of a JWT
+ * @param {string} token - The JWT
+ * @returns {number|null} - Expiry as a timestamp in milliseconds, or null if the token has no `exp` claim
+ */
+export const getTokenExpiry = (token) => {
+  const claims = decodeToken(token);
+  if (!claims || typeof claims.exp !== 'number') return null;
+  return claims.exp * 1000;
+};
+
+/**
+ * Check whether a JWT is expired or unreadable
+ * @param {string} token - The JWT
+ * @param {number} leeway - Treat the token as expired this many milliseconds early
+ * @returns {boolean} - True if the token must not be used
+ */
+export const isTokenExpired = (token, leeway = 0) => {
+  if (!decodeToken(token)) return true;
+
+  const expiry = getTokenExpiry(token);
+  // Tokens without an expiry claim never expire on the client side
+  if (expiry === null) return false;
+
+  return expiry - leeway <= Date.now();
+};
+
+/**
+ * Read the claims the app uses from a JWT
+ * @param {string} token - The JWT
+ * @returns {Object|null} - { userId, username, roles, expiresAt }, or null if the token is malformed
+ */
+export const getTokenClaims = (token) => {
+  if (!decodeToken(token)) return null;
+
+  return {
+    userId: getUserId(token),
+    username: getUsername(token),
+    roles: getRoles(token),
+    expiresAt: getTokenExpiry(token)
+  };
+};
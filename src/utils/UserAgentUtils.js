@@ -0,0 +1,38 @@
+/**
+ * Utility functions for showing user agent strings to users
+ */
+
+// Checked in order - Edge and Opera also mention Chrome, and Chrome also mentions Safari
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+  { name: 'Opera', pattern: /OPR\/|Opera/ },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+  { name: 'Safari', pattern: /Safari\// }
+];
+
+// Checked in order - Android and iOS user agents also mention Linux and Mac OS X
+const OPERATING_SYSTEMS = [
+  { name: 'Android', pattern: /Android/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * Describe a user agent in a few words, e.g. "Chrome on Windows"
+ * @param {string} userAgent - The user agent string
+ * @returns {string} - A short description, or 'Unknown device' if nothing is recognised
+ */
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(({ pattern }) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(userAgent));
+
+  if (browser && os) return `${browser.name} on ${os.name}`;
+  if (browser) return browser.name;
+  if (os) return os.name;
+  return 'Unknown device';
+};
@@ -1,6 +1,8 @@
 /**
  * Validation utility functions for form validation across the application
  */
+import { COMMON_PASSWORDS, COMMON_WORDS } from './CommonPasswords';
+import { MODEL_IMAGE_TYPES, isSupportedImageFile, getSupportedFormatNames } from './ImageFormats';
 
 /**
  * Validates an email address format
@@ -14,10 +16,13 @@ export const isValidEmail = (email) => {
 
 /**
  * Validates password strength
+ * Besides the character requirements, the password must not be a common password
+ * and must be hard enough to guess (see estimatePasswordEntropy).
  * @param {string} password - The password to validate
+ * @param {string[]} userInputs - The user's own name, username or email, which the password should not contain
  * @returns {Object} - Object containing validation result and message
  */
-export const validatePasswordStrength = (password) => {
+export const validatePasswordStrength = (password, userInputs = []) => {
   if (!password) {
     return { isValid: false, message: 'Password is required' };
   }
@@ -41,6 +46,16 @@ export const validatePasswordStrength = (password) => {
   if (!/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)) {
     return { isValid: false, message: 'Password must contain at least one special character' };
   }
+
+  const estimate = estimatePasswordEntropy(password, userInputs);
+  if (estimate.isCommon) {
+    return { isValid: false, message: 'This is a commonly used password. Please choose a different one' };
+  }
+
+  if (estimate.score < MIN_PASSWORD_SCORE) {
+    const hint = estimate.warning || estimate.suggestions[0];
+    return { isValid: false, message: `Password is too easy to guess${hint ? `. ${hint}` : ''}` };
+  }
   
   return { isValid: true, message: 'Password is strong' };
 };
@@ -67,9 +82,11 @@ export const passwordsMatch = (password, confirmPassword) => {
  * Validates image file type and size
  * @param {File} file - The file to validate
  * @param {number} maxSizeInMB - Maximum file size in MB
+ * @param {Object} options - Options
+ * @param {boolean} options.allowConversion - Accept every format in utils/ImageFormats.js instead of only JPEG and PNG
  * @returns {Object} - Object containing validation result and message
  */
-export const validateImageFile = (file, maxSizeInMB = 5) => {
+export const validateImageFile = (file, maxSizeInMB = 5, { allowConversion = false } = {}) => {
   if (!file) {
     return { isValid: false, message: 'No file selected' };
   }
@@ -84,8 +101,15 @@ export const validateImageFile = (file, maxSizeInMB = 5) => {
   }
   
   // Validate file type
-  const validTypes = ['image/jpeg', 'image/png', 'image/jpg'];
-  if (!validTypes.includes(file.type)) {
+  if (allowConversion) {
+    // Other formats are converted before upload; the content is checked when the file is read
+    if (!isSupportedImageFile(file)) {
+      return {
+        isValid: false,
+        message: `Unsupported file format: ${file.type}. Please upload a ${getSupportedFormatNames()} image.`
+      };
+    }
+  } else if (!MODEL_IMAGE_TYPES.includes(file.type)) {
     return { 
       isValid: false, 
       message: `Unsupported file format: ${file.type}. Please upload a JPEG or PNG image.` 
@@ -95,37 +119,346 @@ export const validateImageFile = (file, maxSizeInMB = 5) => {
   return { isValid: true, message: 'File is valid' };
 };
 
+// Entropy in bits needed for scores 1 to 4; below the first one the score is 0
+const SCORE_THRESHOLDS = [28, 36, 60, 80];
+
+// Lowest score validatePasswordStrength accepts
+const MIN_PASSWORD_SCORE = 2;
+
+const STRENGTH_LEVELS = [
+  { label: 'Very weak', color: 'bg-red-500' },
+  { label: 'Weak', color: 'bg-red-500' },
+  { label: 'Moderate', color: 'bg-yellow-500' },
+  { label: 'Strong', color: 'bg-green-500' },
+  { label: 'Very strong', color: 'bg-green-600' }
+];
+
+// Passwords longer than this are only analysed up to this length
+const MAX_ANALYSED_LENGTH = 64;
+
+// Keyboard rows checked for patterns like "qwerty" or "asdf"
+const KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+// Common "leet" substitutions, undone before looking up words
+const LEET_SUBSTITUTIONS = {
+  '4': 'a', '@': 'a', '8': 'b', '(': 'c', '3': 'e', '6': 'g', '1': 'i', '!': 'i',
+  '|': 'l', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't', '2': 'z'
+};
+
+// Rank of every known word, common passwords first; the rank is the number of guesses to find it
+const WORD_RANKS = [...COMMON_PASSWORDS, ...COMMON_WORDS].reduce((ranks, word, index) => {
+  if (!ranks.has(word)) ranks.set(word, index + 1);
+  return ranks;
+}, new Map());
+
+const COMMON_PASSWORD_SET = new Set(COMMON_PASSWORDS);
+
+const log2 = (value) => Math.log(value) / Math.log(2);
+
+// Number of ways to choose k of n
+const binomial = (n, k) => {
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = (result * (n - k + i)) / i;
+  }
+  return result;
+};
+
+// Size of the character set an attacker has to try for each character of the password
+const getCharsetSize = (password) => {
+  let size = 0;
+  if (/[a-z]/.test(password)) size += 26;
+  if (/[A-Z]/.test(password)) size += 26;
+  if (/[0-9]/.test(password)) size += 10;
+  if (/[^A-Za-z0-9]/.test(password)) size += 33;
+  return size || 26;
+};
+
+// Extra bits for the capitalization of a matched word; "Password" and "PASSWORD" are barely harder than "password"
+const getCaseEntropy = (token) => {
+  const upper = (token.match(/[A-Z]/g) || []).length;
+  const lower = (token.match(/[a-z]/g) || []).length;
+  if (upper === 0) return 0;
+  if (lower === 0 || /^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token)) return 1;
+
+  let variations = 0;
+  for (let i = 1; i <= Math.min(upper, lower); i++) {
+    variations += binomial(upper + lower, i);
+  }
+  return log2(variations);
+};
+
+// Split the user's own details into lower case tokens worth looking for, e.g. an email into its parts
+const getUserTokens = (userInputs) => {
+  const tokens = new Set();
+  userInputs
+    .filter((input) => typeof input === 'string' && input)
+    .forEach((input) => {
+      const lower = input.toLowerCase();
+      const local = lower.split('@')[0];
+      [lower, local, ...lower.split(/[^a-z0-9]+/)]
+        .filter((token) => token.length >= 3)
+        .forEach((token) => tokens.add(token));
+    });
+  return tokens;
+};
+
+// Words from the word lists and the user's details, also behind leet substitutions
+const findWordMatches = (password, userTokens) => {
+  const matches = [];
+  const lower = password.toLowerCase();
+  const unleeted = lower.split('').map((char) => LEET_SUBSTITUTIONS[char] || char).join('');
+
+  for (let i = 0; i < password.length; i++) {
+    for (let j = i + 3; j <= password.length; j++) {
+      const token = password.slice(i, j);
+      const leetCount = unleeted.slice(i, j).split('').filter((char, k) => char !== lower[i + k]).length;
+      const caseEntropy = getCaseEntropy(token);
+
+      [lower.slice(i, j), unleeted.slice(i, j)].forEach((word, index) => {
+        const isLeet = index === 1;
+        if (isLeet && leetCount === 0) return;
+        const leetEntropy = isLeet ? Math.max(1, leetCount) : 0;
+
+        if (userTokens.has(word)) {
+          matches.push({ pattern: 'userInput', i, j, token, entropy: 1 + caseEntropy + leetEntropy, isLeet });
+        } else if (word.length >= 4 && WORD_RANKS.has(word)) {
+          matches.push({
+            pattern: 'dictionary',
+            i,
+            j,
+            token,
+            entropy: log2(WORD_RANKS.get(word)) + caseEntropy + leetEntropy,
+            isLeet,
+            isCapitalized: caseEntropy > 0
+          });
+        }
+      });
+    }
+  }
+  return matches;
+};
+
+// Runs of at least 4 neighbouring keys, in either direction
+const findKeyboardMatches = (password) => {
+  const matches = [];
+  const lower = password.toLowerCase();
+  const startingKeys = KEYBOARD_ROWS.join('').length * 2;
+
+  KEYBOARD_ROWS.forEach((row) => {
+    let i = 0;
+    while (i < lower.length - 1) {
+      let j = i + 1;
+      const direction = row.indexOf(lower[j]) - row.indexOf(lower[i]);
+      if (row.includes(lower[i]) && row.includes(lower[j]) && Math.abs(direction) === 1) {
+        while (j < lower.length && row.includes(lower[j]) && row.indexOf(lower[j]) - row.indexOf(lower[j - 1]) === direction) {
+          j++;
+        }
+        if (j - i >= 4) {
+          const token = password.slice(i, j);
+          matches.push({ pattern: 'keyboard', i, j, token, entropy: log2(startingKeys * (j - i)) + getCaseEntropy(token) });
+        }
+        i = j - 1;
+      } else {
+        i++;
+      }
+    }
+  });
+  return matches;
+};
+
+// Alphabetical or numerical runs like "abc", "4567" or "zyx"
+const findSequenceMatches = (password) => {
+  const matches = [];
+  let i = 0;
+  while (i < password.length - 1) {
+    const delta = password.charCodeAt(i + 1) - password.charCodeAt(i);
+    let j = i + 1;
+    if (Math.abs(delta) === 1) {
+      while (j < password.length && password.charCodeAt(j) - password.charCodeAt(j - 1) === delta) {
+        j++;
+      }
+      if (j - i >= 3) {
+        const token = password.slice(i, j);
+        // Starting at either end of the alphabet or digits is the first thing to try
+        const startBits = 'aAzZ019'.includes(token[0]) ? 1 : log2(/[0-9]/.test(token[0]) ? 10 : 26);
+        matches.push({ pattern: 'sequence', i, j, token, entropy: startBits + log2(j - i) + (delta < 0 ? 1 : 0) });
+      }
+    }
+    i = j;
+  }
+  return matches;
+};
+
+// A character or a chunk repeated, like "aaaa" or "abcabc"
+const findRepeatMatches = (password) => {
+  const matches = [];
+  const repeatRegex = /(.+?)\1+/g;
+  let match;
+  while ((match = repeatRegex.exec(password)) !== null) {
+    const [token, chunk] = match;
+    if (token.length >= 3) {
+      const chunkEntropy = chunk.length * log2(getCharsetSize(chunk));
+      matches.push({
+        pattern: 'repeat',
+        i: match.index,
+        j: match.index + token.length,
+        token,
+        entropy: chunkEntropy + log2(token.length / chunk.length)
+      });
+    }
+  }
+  return matches;
+};
+
+// Years from 1900 to 2099, the most common way dates end up in passwords
+const findYearMatches = (password) => {
+  const matches = [];
+  const yearRegex = /(?:19|20)\d\d/g;
+  let match;
+  while ((match = yearRegex.exec(password)) !== null) {
+    matches.push({ pattern: 'year', i: match.index, j: match.index + 4, token: match[0], entropy: log2(200) });
+    yearRegex.lastIndex = match.index + 1;
+  }
+  return matches;
+};
+
+// What to tell the user about the weakest parts of the password
+const getFeedback = (password, matches, isCommon) => {
+  const warnings = [];
+  const suggestions = [];
+  const addSuggestion = (suggestion) => {
+    if (!suggestions.includes(suggestion)) suggestions.push(suggestion);
+  };
+
+  if (isCommon) {
+    warnings.push('This is one of the most commonly used passwords');
+  }
+
+  matches.forEach((match) => {
+    switch (match.pattern) {
+      case 'userInput':
+        warnings.push('Passwords containing your name or username are easy to guess');
+        addSuggestion('Leave your name, username and email out of the password');
+        break;
+      case 'dictionary':
+        warnings.push('Common words and names are easy to guess');
+        addSuggestion('Add more words that are less common, or use a passphrase of several unrelated words');
+        if (match.isCapitalized) addSuggestion('Capitalization doesn’t help much - capitalize letters in the middle instead');
+        if (match.isLeet) addSuggestion('Predictable substitutions like "@" for "a" don’t help much');
+        break;
+      case 'keyboard':
+        warnings.push('Keyboard patterns like "qwerty" are easy to guess');
+        addSuggestion('Avoid rows of neighbouring keys');
+        break;
+      case 'sequence':
+        warnings.push('Sequences like "abc" or "1234" are easy to guess');
+        addSuggestion('Avoid alphabetical and numerical sequences');
+        break;
+      case 'repeat':
+        warnings.push('Repeats like "aaa" or "abcabc" are barely harder to guess than a single one');
+        addSuggestion('Avoid repeated characters and words');
+        break;
+      case 'year':
+        warnings.push('Years and dates are easy to guess');
+        addSuggestion('Avoid years and dates that are associated with you');
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (password.length < 12) {
+    addSuggestion('Use a longer password - each extra character makes it much harder to guess');
+  }
+  if (suggestions.length === 0) {
+    addSuggestion('Use a few unrelated words together, avoiding common phrases');
+  }
+
+  return { warning: warnings[0] || '', suggestions };
+};
+
 /**
- * Calculates password strength score
+ * Estimates how many bits of entropy a password really has
+ * The password is split into the cheapest combination of known patterns - common passwords
+ * and words (also in "leet" spelling), the user's own details, keyboard rows, sequences,
+ * repeats and years - and random characters, and the guesses for each part are added up.
+ * Everything runs offline against the bundled word lists in CommonPasswords.js.
  * @param {string} password - The password to check
- * @returns {Object} - Object containing score, label, and color
+ * @param {string[]} userInputs - The user's own name, username or email, which the password should not contain
+ * @returns {Object} - { entropy, score (0-4), isCommon, warning, suggestions }
  */
-export const calculatePasswordStrength = (password) => {
-  if (!password) return { score: 0, label: 'None', color: 'bg-gray-200' };
+export const estimatePasswordEntropy = (password, userInputs = []) => {
+  if (!password) {
+    return { entropy: 0, score: 0, isCommon: false, warning: '', suggestions: [] };
+  }
 
-  let score = 0;
-  
-  // Add points for length
-  if (password.length >= 8) score += 1;
-  if (password.length >= 12) score += 1;
-  
-  // Add points for complexity
-  if (/[A-Z]/.test(password)) score += 1;
-  if (/[a-z]/.test(password)) score += 1;
-  if (/[0-9]/.test(password)) score += 1;
-  if (/[^A-Za-z0-9]/.test(password)) score += 1;
-  
-  // Determine strength label and color based on score
-  switch (true) {
-    case (score <= 2):
-      return { score, label: 'Weak', color: 'bg-red-500' };
-    case (score <= 4):
-      return { score, label: 'Moderate', color: 'bg-yellow-500' };
-    case (score <= 6):
-      return { score, label: 'Strong', color: 'bg-green-500' };
-    default:
-      return { score: 0, label: 'None', color: 'bg-gray-200' };
+  const analysed = password.slice(0, MAX_ANALYSED_LENGTH);
+  const lower = analysed.toLowerCase();
+  const isCommon = COMMON_PASSWORD_SET.has(lower)
+    || COMMON_PASSWORD_SET.has(lower.replace(/[^a-z0-9@$]+$/, ''));
+
+  const matches = [
+    ...findWordMatches(analysed, getUserTokens(userInputs)),
+    ...findKeyboardMatches(analysed),
+    ...findSequenceMatches(analysed),
+    ...findRepeatMatches(analysed),
+    ...findYearMatches(analysed)
+  ];
+
+  // Cheapest way to guess the first i characters, and the match ending there (null for a random character)
+  const bitsPerCharacter = log2(getCharsetSize(analysed));
+  const best = [{ entropy: 0, match: null }];
+  for (let i = 1; i <= analysed.length; i++) {
+    best[i] = { entropy: best[i - 1].entropy + bitsPerCharacter, match: null };
+    matches
+      .filter((match) => match.j === i)
+      .forEach((match) => {
+        const entropy = best[match.i].entropy + match.entropy;
+        if (entropy < best[i].entropy) {
+          best[i] = { entropy, match };
+        }
+      });
+  }
+
+  // Walk back through the cheapest split to find the patterns it used
+  const usedMatches = [];
+  for (let i = analysed.length; i > 0;) {
+    const { match } = best[i];
+    if (match) {
+      usedMatches.unshift(match);
+      i = match.i;
+    } else {
+      i--;
+    }
+  }
+
+  // Characters beyond the analysed part still count as random
+  const entropy = best[analysed.length].entropy + (password.length - analysed.length) * bitsPerCharacter;
+  const score = isCommon ? 0 : SCORE_THRESHOLDS.filter((threshold) => entropy >= threshold).length;
+
+  return {
+    entropy: Math.round(entropy * 10) / 10,
+    score,
+    isCommon,
+    ...getFeedback(analysed, usedMatches, isCommon)
+  };
+};
+
+/**
+ * Calculates password strength score
+ * @param {string} password - The password to check
+ * @param {string[]} userInputs - The user's own name, username or email, which the password should not contain
+ * @returns {Object} - Object containing score (0-4), maxScore, label, color, warning and suggestions
+ */
+export const calculatePasswordStrength = (password, userInputs = []) => {
+  const maxScore = STRENGTH_LEVELS.length - 1;
+  if (!password) {
+    return { score: 0, maxScore, label: 'None', color: 'bg-gray-200', warning: '', suggestions: [] };
   }
+
+  const { score, warning, suggestions } = estimatePasswordEntropy(password, userInputs);
+  return { score, maxScore, ...STRENGTH_LEVELS[score], warning, suggestions };
 };
 
 /**
@@ -163,6 +496,39 @@ export const validateName = (name) => {
   };
 };
 
+/**
+ * Validates a username before it is checked with the backend
+ * @param {string} userName - The username to validate
+ * @returns {Object} - Object with isValid flag and message
+ */
+export const validateUsername = (userName) => {
+  if (!userName || userName.trim() === '') {
+    return {
+      isValid: false,
+      message: 'Username is required'
+    };
+  }
+
+  if (userName.length < 3) {
+    return {
+      isValid: false,
+      message: 'Username must be at least 3 characters'
+    };
+  }
+
+  if (/\s/.test(userName)) {
+    return {
+      isValid: false,
+      message: 'Username cannot contain spaces'
+    };
+  }
+
+  return {
+    isValid: true,
+    message: ''
+  };
+};
+
 /**
  * Validates a numeric input
  * @param {string} value - The value to validate
@@ -0,0 +1,129 @@
+/**
+ * Utility functions for building ZIP archives in the browser
+ * Files are stored without compression - the archive mostly holds images, which are compressed already.
+ * ZIP64 is not supported, so the archive must stay below 4 GB and 65535 files.
+ */
+import { readBlob } from './DownloadUtils';
+
+// Signatures of the ZIP records
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Version 2.0 of the format, general purpose flag for UTF-8 file names
+const ZIP_VERSION = 20;
+const UTF8_FLAG = 0x0800;
+
+// CRC-32 lookup table, built on first use
+let crcTable = null;
+
+const getCrcTable = () => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+};
+
+/**
+ * Calculate the CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes - The data
+ * @returns {number} - The unsigned checksum
+ */
+export const crc32 = (bytes) => {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Bring file content into bytes: strings are UTF-8 encoded, objects are written as JSON
+const toBytes = async (content) => {
+  if (content instanceof Uint8Array) return content;
+  if (content instanceof ArrayBuffer) return new Uint8Array(content);
+  if (content instanceof Blob) return new Uint8Array(await readBlob(content));
+  if (typeof content === 'string') return new TextEncoder().encode(content);
+  return new TextEncoder().encode(JSON.stringify(content, null, 2));
+};
+
+// Date and time in MS-DOS format, as stored in the ZIP headers
+const toDosDateTime = (date) => {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+};
+
+/**
+ * Build a ZIP archive
+ * @param {Array<Object>} files - The files to add, in order
+ * @param {string} files[].name - Path inside the archive, e.g. 'images/scan.jpg'
+ * @param {Blob|ArrayBuffer|Uint8Array|string|Object} files[].content - File content, objects are written as JSON
+ * @param {Date} files[].date - Modification date, defaults to now
+ * @returns {Promise<Blob>} - The archive
+ */
+export const createZip = async (files) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = await toBytes(file.content);
+    const checksum = crc32(data);
+    const { time, date } = toDosDateTime(file.date || new Date());
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, LOCAL_FILE_HEADER, true);
+    header.setUint16(4, ZIP_VERSION, true);
+    header.setUint16(6, UTF8_FLAG, true);
+    header.setUint16(8, 0, true); // Stored, no compression
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, checksum, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, 0, true);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    entry.setUint16(4, ZIP_VERSION, true);
+    entry.setUint16(6, ZIP_VERSION, true);
+    entry.setUint16(8, UTF8_FLAG, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, checksum, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    // Extra field, comment, disk number and attributes stay 0
+    entry.setUint32(42, offset, true);
+
+    parts.push(header, name, data);
+    centralDirectory.push(entry, name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const directorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+};